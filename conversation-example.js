@@ -8,6 +8,22 @@
 import dotenv from 'dotenv';
 import { ConversationService } from './src/conversation-service.js';
 import { MessageType } from './src/data-models.js';
+import { createStorageBackend } from './src/storage-backend.js';
+import { LocalKeyDirectory } from './src/key-directory.js';
+import { CipherRegistry } from './src/cipher-registry.js';
+import { loadOrCreateIdentity } from './src/wallet-identity.js';
+import { Keystore } from './src/keystore.js';
+import { createConsoleLogger } from './src/logger.js';
+import { LocalVerificationStore } from './src/verification-store.js';
+import {
+  AuthorizationError,
+  BlobExpiredError,
+  DecryptionError,
+  IntegrityError,
+  KeyChangedError,
+  NetworkError,
+  NotFoundError
+} from './src/errors.js';
 import readline from 'readline';
 
 // Load environment variables
@@ -18,18 +34,105 @@ const config = {
   walrus: {
     aggregatorUrl: process.env.WALRUS_AGGREGATOR_URL || 'https://aggregator.walrus-testnet.walrus.space',
     publisherUrl: process.env.WALRUS_PUBLISHER_URL || 'https://publisher.walrus-testnet.walrus.space',
-    network: process.env.SUI_NETWORK || 'testnet'
+    // Optional comma-separated fallback endpoints used for failover
+    aggregatorUrls: process.env.WALRUS_AGGREGATOR_URLS?.split(',').map(url => url.trim()),
+    publisherUrls: process.env.WALRUS_PUBLISHER_URLS?.split(',').map(url => url.trim()),
+    network: process.env.SUI_NETWORK || 'testnet',
+    // Cache retrieved blobs in memory, and on disk when a cache directory is set
+    cache: { directory: process.env.WALRUS_CACHE_DIR },
+    // Certificates are always verified unless WALRUS_TLS_INSECURE is set on testnet/localnet
+    tls: {
+      caFile: process.env.WALRUS_TLS_CA_FILE,
+      pins: process.env.WALRUS_TLS_PINS?.split(',').map(pin => pin.trim()),
+      insecure: process.env.WALRUS_TLS_INSECURE === 'true'
+    }
   },
+  // Optional local backend (memory or filesystem) to run without the Walrus network
+  storageBackend: createStorageBackend({
+    type: process.env.WALRUS_STORAGE_BACKEND,
+    directory: process.env.WALRUS_STORAGE_DIR
+  }),
+  // Library output goes through a console logger that keeps the emoji style
+  logger: createConsoleLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    redactAddresses: process.env.LOG_REDACT_ADDRESSES === 'true'
+  }),
+  // Public encryption keys of all known addresses, shared through a local JSON file
+  keyDirectory: new LocalKeyDirectory({ file: process.env.WALRUS_KEY_DIRECTORY || '.walrus-keys.json' }),
+  // Content ciphers, declared in the published key records so senders can negotiate one
+  ciphers: new CipherRegistry(),
+  // Contacts verified by safety number; sending warns if their keys change afterwards
+  verificationStore: new LocalVerificationStore({ file: process.env.WALRUS_VERIFICATION_FILE || '.walrus-verifications.json' }),
+  identity: null, // The sender's identity, filled by loadIdentities()
+  identities: [], // The receiver's identity, filled by loadIdentities()
   senderAddress: process.env.SENDER_WALLET_ADDRESS,
   receiverAddress: process.env.RECEIVER_WALLET_ADDRESS
 };
 
+// Explain library errors in terms of what went wrong for the user
+function describeError(error) {
+  if (error instanceof BlobExpiredError) {
+    return `the blob expired at epoch ${error.details.endEpoch} and can no longer be retrieved`;
+  }
+  if (error instanceof NotFoundError) {
+    return `not found (${error.message})`;
+  }
+  if (error instanceof KeyChangedError) {
+    return `the keys of a verified contact changed (${error.message})`;
+  }
+  if (error instanceof AuthorizationError) {
+    return `not addressed to you or not signed by the claimed sender (${error.message})`;
+  }
+  if (error instanceof IntegrityError) {
+    return `the stored data was tampered with or corrupted (${error.message})`;
+  }
+  if (error instanceof DecryptionError) {
+    return `the data could not be decrypted (${error.message})`;
+  }
+  if (error instanceof NetworkError) {
+    return `Walrus network error (${error.message})`;
+  }
+  return error.message;
+}
+
+// Show whether the sender's signature could be tied to the sender's address
+function describeVerification(verification) {
+  return verification.status === 'verified'
+    ? '✅ verified sender'
+    : `⚠️  unverified sender (${verification.reason})`;
+}
+
 // Create readline interface for user input
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
+// Send a message, asking for confirmation first if a verified participant's keys changed
+async function sendWithKeyCheck(conversationService, conversationId, messageType, content, metadata = {}) {
+  try {
+    return await conversationService.sendMessage(conversationId, messageType, content, metadata);
+  } catch (error) {
+    if (!(error instanceof KeyChangedError)) {
+      throw error;
+    }
+
+    for (const change of error.details.changes) {
+      console.log(`⚠️  The keys of ${change.address} changed since you verified them on ${change.verifiedAt}`);
+      console.log(change.actual ? '   Compare safety numbers again (option 10) before trusting them.' : '   They no longer have a published key.');
+    }
+    const answer = await new Promise((resolve) => {
+      rl.question('❓ Send anyway? (y/N): ', (input) => {
+        resolve(input.trim().toLowerCase());
+      });
+    });
+    if (answer !== 'y') {
+      throw error;
+    }
+    return conversationService.sendMessage(conversationId, messageType, content, metadata, { acceptKeyChanges: true });
+  }
+}
+
 // Validate configuration
 function validateConfig() {
   if (!config.senderAddress) {
@@ -49,6 +152,41 @@ function validateConfig() {
   console.log(`📥 Receiver: ${config.receiverAddress}`);
 }
 
+// Load the key pairs of both demo wallets and publish their public keys
+// Wallets in the keystore are unlocked with WALRUS_KEYSTORE_PASSPHRASE; other
+// wallets get unencrypted development key pairs from WALRUS_IDENTITY_DIR
+async function loadIdentities() {
+  const keystore = new Keystore({ directory: process.env.WALRUS_KEYSTORE_DIR || '.walrus-keystore' });
+  const directory = process.env.WALRUS_IDENTITY_DIR || '.walrus-identities';
+  
+  for (const address of [config.senderAddress, config.receiverAddress]) {
+    let identity;
+    if (await keystore.has(address)) {
+      if (!process.env.WALRUS_KEYSTORE_PASSPHRASE) {
+        console.error(`❌ WALRUS_KEYSTORE_PASSPHRASE is required to unlock ${address}`);
+        process.exit(1);
+      }
+      try {
+        identity = await keystore.unlock(address, process.env.WALRUS_KEYSTORE_PASSPHRASE);
+      } catch (error) {
+        console.error(`❌ Failed to unlock ${address}:`, describeError(error));
+        process.exit(1);
+      }
+      console.log(`🔐 Unlocked ${address} from ${keystore.directory}`);
+    } else {
+      identity = await loadOrCreateIdentity(address, directory);
+      console.log(`🔑 Using the development key pair of ${address} from ${directory}`);
+    }
+    
+    await config.keyDirectory.publishPublicKeys(identity.toPublicRecord({ ciphers: config.ciphers.getSupportedCiphers() }));
+    if (address === config.senderAddress) {
+      config.identity = identity;
+    } else {
+      config.identities.push(identity);
+    }
+  }
+}
+
 // Create a new conversation
 async function createConversation(conversationService) {
   console.log('\n💬 Create a New Conversation');
@@ -93,7 +231,8 @@ async function sendTextMessage(conversationId, conversationService) {
     
     console.log('⏳ Sending text message...');
     
-    const result = await conversationService.sendMessage(
+    const result = await sendWithKeyCheck(
+      conversationService,
       conversationId,
       MessageType.TEXT,
       content
@@ -157,7 +296,8 @@ async function sendPaymentMessage(conversationId, conversationService) {
     
     console.log('⏳ Sending payment message...');
     
-    const result = await conversationService.sendMessage(
+    const result = await sendWithKeyCheck(
+      conversationService,
       conversationId,
       MessageType.SEND_PAYMENT,
       description,
@@ -216,7 +356,8 @@ async function sendPaymentRequestMessage(conversationId, conversationService) {
     
     console.log('⏳ Sending payment request...');
     
-    const result = await conversationService.sendMessage(
+    const result = await sendWithKeyCheck(
+      conversationService,
       conversationId,
       MessageType.REQUEST_PAYMENT,
       description,
@@ -266,16 +407,12 @@ async function retrieveMessage(conversationService) {
     
     const message = await conversationService.getMessage(messageId, blobId);
     
-    if (!message) {
-      console.log('❌ Message not found or could not be decrypted');
-      return null;
-    }
-    
     console.log('✅ Message retrieved successfully!');
     console.log(`🆔 Message ID: ${message.id}`);
     console.log(`💬 Type: ${message.type}`);
     console.log(`💬 Content: "${message.content}"`);
     console.log(`👤 Sender: ${message.sender}`);
+    console.log(`🔏 Signature: ${describeVerification(message.verification)}`);
     console.log(`📅 Timestamp: ${message.timestamp}`);
     
     if (message.metadata && Object.keys(message.metadata).length > 0) {
@@ -287,7 +424,7 @@ async function retrieveMessage(conversationService) {
     
     return message;
   } catch (error) {
-    console.error('❌ Failed to retrieve message:', error.message);
+    console.error('❌ Failed to retrieve message:', describeError(error));
     return null;
   }
 }
@@ -334,23 +471,18 @@ async function loadStorageIndex(conversationService) {
     
     console.log('⏳ Loading storage index...');
     
-    const success = await conversationService.loadStorageIndex(blobId);
+    await conversationService.loadStorageIndex(blobId);
     
-    if (success) {
-      console.log('✅ Storage index loaded successfully!');
-      console.log(`📋 Blob ID: ${blobId}`);
-      
-      // Show loaded conversations
-      const conversations = await conversationService.getUserConversations();
-      console.log(`📊 Loaded ${conversations.length} conversations`);
-      
-      return blobId;
-    } else {
-      console.log('❌ Failed to load storage index');
-      return null;
-    }
+    console.log('✅ Storage index loaded successfully!');
+    console.log(`📋 Blob ID: ${blobId}`);
+    
+    // Show loaded conversations
+    const conversations = await conversationService.getUserConversations();
+    console.log(`📊 Loaded ${conversations.length} conversations`);
+    
+    return blobId;
   } catch (error) {
-    console.error('❌ Failed to load storage index:', error.message);
+    console.error('❌ Failed to load storage index:', describeError(error));
     return null;
   }
 }
@@ -390,24 +522,21 @@ async function displayConversationMessages(conversationId, conversationService)
       try {
         const message = await conversationService.getMessage(messageId, blobId);
         
-        if (message) {
-          console.log(`🆔 Message ID: ${message.id}`);
-          console.log(`💬 Type: ${message.type}`);
-          console.log(`💬 Content: "${message.content}"`);
-          console.log(`👤 Sender: ${message.sender}`);
-          console.log(`📅 Timestamp: ${message.timestamp}`);
-          
-          if (message.metadata && Object.keys(message.metadata).length > 0) {
-            console.log('📊 Metadata:');
-            Object.entries(message.metadata).forEach(([key, value]) => {
-              console.log(`   ${key}: ${value}`);
-            });
-          }
-        } else {
-          console.log(`❌ Failed to retrieve message ${messageId}`);
+        console.log(`🆔 Message ID: ${message.id}`);
+        console.log(`💬 Type: ${message.type}`);
+        console.log(`💬 Content: "${message.content}"`);
+        console.log(`👤 Sender: ${message.sender}`);
+        console.log(`🔏 Signature: ${describeVerification(message.verification)}`);
+        console.log(`📅 Timestamp: ${message.timestamp}`);
+        
+        if (message.metadata && Object.keys(message.metadata).length > 0) {
+          console.log('📊 Metadata:');
+          Object.entries(message.metadata).forEach(([key, value]) => {
+            console.log(`   ${key}: ${value}`);
+          });
         }
       } catch (error) {
-        console.log(`❌ Error retrieving message ${messageId}: ${error.message}`);
+        console.log(`❌ Error retrieving message ${messageId}: ${describeError(error)}`);
       }
       
       console.log(''); // Empty line for readability
@@ -511,6 +640,44 @@ async function runDemo(conversationService) {
   }
 }
 
+// Show the safety numbers of the conversation's participants and mark one as verified
+async function showSafetyNumbers(conversationId, conversationService) {
+  console.log('\n🔏 Safety Numbers');
+  console.log('=================');
+  console.log('Compare these numbers with each participant in person or over a call.');
+
+  try {
+    const safetyNumbers = await conversationService.getConversationSafetyNumbers(conversationId);
+    for (const entry of safetyNumbers) {
+      const status = entry.verified
+        ? `✅ verified on ${entry.verifiedAt}`
+        : entry.keyChanged ? '⚠️  keys changed since verification' : '❔ not verified';
+      console.log(`\n👤 ${entry.address} - ${status}`);
+      for (const row of entry.safetyNumber.match(/(\d{5} ?){1,4}/g)) {
+        console.log(`   ${row.trim()}`);
+      }
+    }
+
+    const address = await new Promise((resolve) => {
+      rl.question('\n🔏 Enter an address to mark as verified (or press Enter to skip): ', (input) => {
+        resolve(input.trim());
+      });
+    });
+    if (!address) {
+      return;
+    }
+    if (!safetyNumbers.some(entry => entry.address === address)) {
+      console.log('❌ Not a participant of this conversation');
+      return;
+    }
+
+    const verification = await conversationService.verifyContact(address);
+    console.log(`✅ ${address} verified on ${verification.verifiedAt}`);
+  } catch (error) {
+    console.error('❌ Failed to show safety numbers:', describeError(error));
+  }
+}
+
 // Interactive menu function
 async function showMenu() {
   console.log('\n🔐 Walrus Structured Conversation App');
@@ -524,10 +691,11 @@ async function showMenu() {
   console.log('7. 💾 Save storage index');
   console.log('8. 📂 Load storage index');
   console.log('9. 🎬 Run full demo');
-  console.log('10. ❌ Exit');
+  console.log('10. 🔏 Show and verify safety numbers');
+  console.log('11. ❌ Exit');
   
   const choice = await new Promise((resolve) => {
-    rl.question('\nSelect an option (1-10): ', (input) => {
+    rl.question('\nSelect an option (1-11): ', (input) => {
       resolve(input.trim());
     });
   });
@@ -542,6 +710,7 @@ async function main() {
   
   // Validate configuration
   validateConfig();
+  await loadIdentities();
   
   // Create a single conversation service instance to maintain storage index
   const conversationService = new ConversationService(config);
@@ -592,12 +761,19 @@ async function main() {
           await runDemo(conversationService);
           break;
         case '10':
+          if (!currentConversationId) {
+            console.log('❌ Please create a conversation first (option 1)');
+          } else {
+            await showSafetyNumbers(currentConversationId, conversationService);
+          }
+          break;
+        case '11':
           console.log('\n👋 Goodbye!');
           rl.close();
           process.exit(0);
           break;
         default:
-          console.log('❌ Invalid option. Please select 1-10.');
+          console.log('❌ Invalid option. Please select 1-11.');
       }
       
       // Ask if user wants to continue
@@ -631,7 +807,7 @@ async function main() {
 const args = process.argv.slice(2);
 
 if (args.includes('--help') || args.includes('-h')) {
-  console.log(`\nWalrus Structured Conversation App Example\n\nUsage:\n  node conversation-example.js                    # Run the interactive app\n  node conversation-example.js --help            # Show this help message\n\nEnvironment Variables:\n  SENDER_WALLET_ADDRESS          # Your Sui wallet address (required)\n  RECEIVER_WALLET_ADDRESS        # Recipient's wallet address (required)\n  WALRUS_AGGREGATOR_URL          # Walrus aggregator URL (optional, default: https://aggregator.walrus-testnet.walrus.space)\n  WALRUS_PUBLISHER_URL           # Walrus publisher URL (optional, default: https://publisher.walrus-testnet.walrus.space)\n  SUI_NETWORK                    # Sui network (optional, default: testnet)\n\nFeatures:\n  - Create conversations between participants\n  - Send text messages\n  - Send payment messages with metadata\n  - Send payment request messages\n  - Retrieve and decrypt messages\n  - Display all messages in a conversation\n  - Save and load storage index for persistence\n  - Structured data models with validation\n  - Full demo with message display\n\nExample:\n  SENDER_WALLET_ADDRESS=0x123... RECEIVER_WALLET_ADDRESS=0x456... node conversation-example.js\n`);
+  console.log(`\nWalrus Structured Conversation App Example\n\nUsage:\n  node conversation-example.js                    # Run the interactive app\n  node conversation-example.js --help            # Show this help message\n\nEnvironment Variables:\n  SENDER_WALLET_ADDRESS          # Your Sui wallet address (required)\n  RECEIVER_WALLET_ADDRESS        # Recipient's wallet address (required)\n  WALRUS_AGGREGATOR_URL          # Walrus aggregator URL (optional, default: https://aggregator.walrus-testnet.walrus.space)\n  WALRUS_PUBLISHER_URL           # Walrus publisher URL (optional, default: https://publisher.walrus-testnet.walrus.space)\n  WALRUS_AGGREGATOR_URLS         # Comma-separated fallback aggregator URLs (optional)\n  WALRUS_PUBLISHER_URLS          # Comma-separated fallback publisher URLs (optional)\n  SUI_NETWORK                    # Sui network (optional, default: testnet)\n  WALRUS_STORAGE_BACKEND         # Storage backend: http, memory or filesystem (optional, default: http)\n  WALRUS_STORAGE_DIR             # Blob directory for the filesystem backend (optional, default: .walrus-blobs)\n  WALRUS_CACHE_DIR               # Directory for the persistent blob cache (optional, memory-only if unset)\n  WALRUS_TLS_CA_FILE             # PEM bundle of extra trusted CA certificates (optional)\n  WALRUS_TLS_PINS                # Comma-separated sha256/<base64> public key pins for SUI_NETWORK (optional)\n  WALRUS_TLS_INSECURE            # Set to true to skip certificate checks, testnet/localnet only (optional)\n  LOG_LEVEL                      # Library log level: debug, info, warn, error or silent (optional, default: info)\n  LOG_REDACT_ADDRESSES           # Set to true to shorten wallet addresses in logs (optional)\n  WALRUS_IDENTITY_DIR            # Directory of local wallet key pairs (optional, default: .walrus-identities)\n  WALRUS_KEY_DIRECTORY           # JSON file of published public keys (optional, default: .walrus-keys.json)\n  WALRUS_KEYSTORE_DIR            # Passphrase-encrypted identities, see keystore.js (optional, default: .walrus-keystore)\n  WALRUS_KEYSTORE_PASSPHRASE     # Passphrase unlocking keystore identities (required if a wallet is in the keystore)\n  WALRUS_VERIFICATION_FILE       # JSON file of contacts verified by safety number (optional, default: .walrus-verifications.json)\n\nFeatures:\n  - Create conversations between participants\n  - Send text messages\n  - Send payment messages with metadata\n  - Send payment request messages\n  - Retrieve and decrypt messages\n  - Display all messages in a conversation\n  - Save and load storage index for persistence\n  - Structured data models with validation\n  - Full demo with message display\n  - Safety numbers to verify participants, with a warning when their keys change\n\nExample:\n  SENDER_WALLET_ADDRESS=0x123... RECEIVER_WALLET_ADDRESS=0x456... node conversation-example.js\n`);
   process.exit(0);
 }
 
@@ -7,6 +7,20 @@
 
 import dotenv from 'dotenv';
 import { MessagingService } from './src/messaging-service.js';
+import { createStorageBackend } from './src/storage-backend.js';
+import { LocalKeyDirectory } from './src/key-directory.js';
+import { CipherRegistry } from './src/cipher-registry.js';
+import { loadOrCreateIdentity } from './src/wallet-identity.js';
+import { Keystore } from './src/keystore.js';
+import { createConsoleLogger } from './src/logger.js';
+import {
+  AuthorizationError,
+  BlobExpiredError,
+  DecryptionError,
+  IntegrityError,
+  NetworkError,
+  NotFoundError
+} from './src/errors.js';
 import readline from 'readline';
 
 // Load environment variables
@@ -17,12 +31,69 @@ const config = {
   walrus: {
     aggregatorUrl: process.env.WALRUS_AGGREGATOR_URL || 'https://aggregator.walrus-testnet.walrus.space',
     publisherUrl: process.env.WALRUS_PUBLISHER_URL || 'https://publisher.walrus-testnet.walrus.space',
-    network: process.env.SUI_NETWORK || 'testnet'
+    // Optional comma-separated fallback endpoints used for failover
+    aggregatorUrls: process.env.WALRUS_AGGREGATOR_URLS?.split(',').map(url => url.trim()),
+    publisherUrls: process.env.WALRUS_PUBLISHER_URLS?.split(',').map(url => url.trim()),
+    network: process.env.SUI_NETWORK || 'testnet',
+    // Cache retrieved blobs in memory, and on disk when a cache directory is set
+    cache: { directory: process.env.WALRUS_CACHE_DIR },
+    // Certificates are always verified unless WALRUS_TLS_INSECURE is set on testnet/localnet
+    tls: {
+      caFile: process.env.WALRUS_TLS_CA_FILE,
+      pins: process.env.WALRUS_TLS_PINS?.split(',').map(pin => pin.trim()),
+      insecure: process.env.WALRUS_TLS_INSECURE === 'true'
+    }
   },
+  // Optional local backend (memory or filesystem) to run without the Walrus network
+  storageBackend: createStorageBackend({
+    type: process.env.WALRUS_STORAGE_BACKEND,
+    directory: process.env.WALRUS_STORAGE_DIR
+  }),
+  // Library output goes through a console logger that keeps the emoji style
+  logger: createConsoleLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    redactAddresses: process.env.LOG_REDACT_ADDRESSES === 'true'
+  }),
+  // Public encryption keys of all known addresses, shared through a local JSON file
+  keyDirectory: new LocalKeyDirectory({ file: process.env.WALRUS_KEY_DIRECTORY || '.walrus-keys.json' }),
+  // Content ciphers, declared in the published key records so senders can negotiate one
+  ciphers: new CipherRegistry(),
+  identity: null, // The sender's identity, filled by loadIdentities()
+  identities: [], // The receiver's identity, filled by loadIdentities()
   senderAddress: process.env.SENDER_WALLET_ADDRESS,
   receiverAddress: process.env.RECEIVER_WALLET_ADDRESS
 };
 
+// Explain library errors in terms of what went wrong for the user
+function describeError(error) {
+  if (error instanceof BlobExpiredError) {
+    return `the blob expired at epoch ${error.details.endEpoch} and can no longer be retrieved`;
+  }
+  if (error instanceof NotFoundError) {
+    return `not found (${error.message})`;
+  }
+  if (error instanceof AuthorizationError) {
+    return `not addressed to you or not signed by the claimed sender (${error.message})`;
+  }
+  if (error instanceof IntegrityError) {
+    return `the stored data was tampered with or corrupted (${error.message})`;
+  }
+  if (error instanceof DecryptionError) {
+    return `the data could not be decrypted (${error.message})`;
+  }
+  if (error instanceof NetworkError) {
+    return `Walrus network error (${error.message})`;
+  }
+  return error.message;
+}
+
+// Show whether the sender's signature could be tied to the sender's address
+function describeVerification(verification) {
+  return verification.status === 'verified'
+    ? '✅ verified sender'
+    : `⚠️  unverified sender (${verification.reason})`;
+}
+
 // Create readline interface for user input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -48,6 +119,41 @@ function validateConfig() {
   console.log(`📥 Receiver: ${config.receiverAddress}`);
 }
 
+// Load the key pairs of both demo wallets and publish their public keys
+// Wallets in the keystore are unlocked with WALRUS_KEYSTORE_PASSPHRASE; other
+// wallets get unencrypted development key pairs from WALRUS_IDENTITY_DIR
+async function loadIdentities() {
+  const keystore = new Keystore({ directory: process.env.WALRUS_KEYSTORE_DIR || '.walrus-keystore' });
+  const directory = process.env.WALRUS_IDENTITY_DIR || '.walrus-identities';
+  
+  for (const address of [config.senderAddress, config.receiverAddress]) {
+    let identity;
+    if (await keystore.has(address)) {
+      if (!process.env.WALRUS_KEYSTORE_PASSPHRASE) {
+        console.error(`❌ WALRUS_KEYSTORE_PASSPHRASE is required to unlock ${address}`);
+        process.exit(1);
+      }
+      try {
+        identity = await keystore.unlock(address, process.env.WALRUS_KEYSTORE_PASSPHRASE);
+      } catch (error) {
+        console.error(`❌ Failed to unlock ${address}:`, describeError(error));
+        process.exit(1);
+      }
+      console.log(`🔐 Unlocked ${address} from ${keystore.directory}`);
+    } else {
+      identity = await loadOrCreateIdentity(address, directory);
+      console.log(`🔑 Using the development key pair of ${address} from ${directory}`);
+    }
+    
+    await config.keyDirectory.publishPublicKeys(identity.toPublicRecord({ ciphers: config.ciphers.getSupportedCiphers() }));
+    if (address === config.senderAddress) {
+      config.identity = identity;
+    } else {
+      config.identities.push(identity);
+    }
+  }
+}
+
 // Interactive message sending function
 async function sendInteractiveMessage() {
   console.log('\n📤 Send a Message');
@@ -115,12 +221,13 @@ async function retrieveInteractiveMessage() {
     console.log('✅ Message retrieved and decrypted successfully!');
     console.log(`💬 Message: "${result.message}"`);
     console.log(`📤 From: ${result.sender}`);
+    console.log(`🔏 Signature: ${describeVerification(result.verification)}`);
     console.log(`📥 To: ${result.recipient}`);
     console.log(`📅 Timestamp: ${result.timestamp}`);
     
     return result;
   } catch (error) {
-    console.error('❌ Failed to retrieve message:', error.message);
+    console.error('❌ Failed to retrieve message:', describeError(error));
     return null;
   }
 }
@@ -189,6 +296,7 @@ async function sendAndRetrieveDemo() {
     console.log('✅ Message retrieved and decrypted successfully!');
     console.log(`💬 Message: "${retrievedResult.message}"`);
     console.log(`📤 From: ${retrievedResult.sender}`);
+    console.log(`🔏 Signature: ${describeVerification(retrievedResult.verification)}`);
     console.log(`📥 To: ${retrievedResult.recipient}`);
     console.log(`📅 Timestamp: ${retrievedResult.timestamp}`);
     
@@ -206,6 +314,7 @@ async function main() {
   
   // Validate configuration
   validateConfig();
+  await loadIdentities();
   
   try {
     while (true) {
@@ -261,7 +370,7 @@ async function main() {
 const args = process.argv.slice(2);
 
 if (args.includes('--help') || args.includes('-h')) {
-  console.log(`\nWalrus Encrypted Messaging App Example\n\nUsage:\n  node index.js                    # Run the interactive app\n  node index.js --help            # Show this help message\n\nEnvironment Variables:\n  SENDER_WALLET_ADDRESS          # Your Sui wallet address (required)\n  RECEIVER_WALLET_ADDRESS        # Recipient's wallet address (required)\n  WALRUS_AGGREGATOR_URL          # Walrus aggregator URL (optional, default: https://aggregator.walrus-testnet.walrus.space)\n  WALRUS_PUBLISHER_URL           # Walrus publisher URL (optional, default: https://publisher.walrus-testnet.walrus.space)\n  SUI_NETWORK                    # Sui network (optional, default: testnet)\n\nExample:\n  SENDER_WALLET_ADDRESS=0x123... RECEIVER_WALLET_ADDRESS=0x456... node index.js\n`);
+  console.log(`\nWalrus Encrypted Messaging App Example\n\nUsage:\n  node index.js                    # Run the interactive app\n  node index.js --help            # Show this help message\n\nEnvironment Variables:\n  SENDER_WALLET_ADDRESS          # Your Sui wallet address (required)\n  RECEIVER_WALLET_ADDRESS        # Recipient's wallet address (required)\n  WALRUS_AGGREGATOR_URL          # Walrus aggregator URL (optional, default: https://aggregator.walrus-testnet.walrus.space)\n  WALRUS_PUBLISHER_URL           # Walrus publisher URL (optional, default: https://publisher.walrus-testnet.walrus.space)\n  WALRUS_AGGREGATOR_URLS         # Comma-separated fallback aggregator URLs (optional)\n  WALRUS_PUBLISHER_URLS          # Comma-separated fallback publisher URLs (optional)\n  SUI_NETWORK                    # Sui network (optional, default: testnet)\n  WALRUS_STORAGE_BACKEND         # Storage backend: http, memory or filesystem (optional, default: http)\n  WALRUS_STORAGE_DIR             # Blob directory for the filesystem backend (optional, default: .walrus-blobs)\n  WALRUS_CACHE_DIR               # Directory for the persistent blob cache (optional, memory-only if unset)\n  WALRUS_TLS_CA_FILE             # PEM bundle of extra trusted CA certificates (optional)\n  WALRUS_TLS_PINS                # Comma-separated sha256/<base64> public key pins for SUI_NETWORK (optional)\n  WALRUS_TLS_INSECURE            # Set to true to skip certificate checks, testnet/localnet only (optional)\n  LOG_LEVEL                      # Library log level: debug, info, warn, error or silent (optional, default: info)\n  LOG_REDACT_ADDRESSES           # Set to true to shorten wallet addresses in logs (optional)\n  WALRUS_IDENTITY_DIR            # Directory of local wallet key pairs (optional, default: .walrus-identities)\n  WALRUS_KEY_DIRECTORY           # JSON file of published public keys (optional, default: .walrus-keys.json)\n  WALRUS_KEYSTORE_DIR            # Passphrase-encrypted identities, see keystore.js (optional, default: .walrus-keystore)\n  WALRUS_KEYSTORE_PASSPHRASE     # Passphrase unlocking keystore identities (required if a wallet is in the keystore)\n\nExample:\n  SENDER_WALLET_ADDRESS=0x123... RECEIVER_WALLET_ADDRESS=0x456... node index.js\n`);
   process.exit(0);
 }
 
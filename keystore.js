@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Keystore CLI
+ * Creates, imports and lists the passphrase-encrypted wallet identities used by the examples
+ */
+
+import dotenv from 'dotenv';
+import readline from 'readline';
+import { Keystore } from './src/keystore.js';
+
+// Load environment variables
+dotenv.config();
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!command || command === '--help' || command === '-h') {
+  console.log(`\nWalrus Keystore\n\nUsage:\n  node keystore.js list                          # List stored identities\n  node keystore.js create [--label <name>]       # Create an identity with a new Sui address\n  node keystore.js create --address <0x...>      # Create an identity bound to an existing address\n  node keystore.js import [--label <name>]       # Import a Sui private key (suiprivkey1...), prompted for\n  node keystore.js --help                        # Show this help message\n\nEnvironment Variables:\n  WALRUS_KEYSTORE_DIR            # Keystore directory (optional, default: .walrus-keystore)\n  WALRUS_KEYSTORE_PASSPHRASE     # Passphrase, prompted for if unset (optional)\n\nExample:\n  node keystore.js import --label alice\n`);
+  process.exit(0);
+}
+
+// Read a --name value from the arguments
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+// Ask a question without echoing the answer
+function promptHidden(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) {
+        rl.output.write(question);
+      }
+    };
+  });
+}
+
+async function readPassphrase({ confirm }) {
+  if (process.env.WALRUS_KEYSTORE_PASSPHRASE) {
+    return process.env.WALRUS_KEYSTORE_PASSPHRASE;
+  }
+
+  const passphrase = await promptHidden('🔑 Keystore passphrase: ');
+  if (confirm && passphrase !== await promptHidden('🔑 Repeat passphrase: ')) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+const keystore = new Keystore({ directory: process.env.WALRUS_KEYSTORE_DIR || '.walrus-keystore' });
+
+try {
+  switch (command) {
+    case 'list': {
+      const entries = await keystore.list();
+      if (entries.length === 0) {
+        console.log(`📭 No identities in ${keystore.directory}`);
+      }
+      for (const entry of entries) {
+        console.log(`👤 ${entry.address}${entry.label ? ` (${entry.label})` : ''}`);
+        console.log(`   🔐 Encryption key: ${entry.encryptionKey}`);
+        console.log(`   🔏 Signing key: ${entry.signingKey}`);
+        console.log(`   📅 Created: ${entry.createdAt}`);
+      }
+      break;
+    }
+    case 'create': {
+      const passphrase = await readPassphrase({ confirm: true });
+      const identity = await keystore.create(passphrase, { address: option('address'), label: option('label') });
+      console.log(`✅ Created identity ${identity.address}`);
+      break;
+    }
+    case 'import': {
+      const suiPrivateKey = await promptHidden('🗝️  Sui private key (suiprivkey1...): ');
+      const passphrase = await readPassphrase({ confirm: true });
+      const identity = await keystore.importSuiPrivateKey(suiPrivateKey, passphrase, { label: option('label') });
+      console.log(`✅ Imported identity ${identity.address}`);
+      break;
+    }
+    default:
+      console.error(`❌ Unknown command: ${command} (see --help)`);
+      process.exit(1);
+  }
+} catch (error) {
+  console.error('❌ Keystore error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Local Walrus Server
+ * Runs a local publisher/aggregator so the examples work end to end without the Walrus network
+ */
+
+import dotenv from 'dotenv';
+import { LocalWalrusServer } from './src/local-walrus-server.js';
+import { createStorageBackend } from './src/storage-backend.js';
+import { ManualEpochClock, TimeBasedEpochClock } from './src/epoch-clock.js';
+import { createConsoleLogger } from './src/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`\nLocal Walrus Server\n\nUsage:\n  node local-walrus.js              # Start the server\n  node local-walrus.js --help      # Show this help message\n\nEnvironment Variables:\n  WALRUS_LOCAL_PORT              # Port to listen on (optional, default: 31415)\n  WALRUS_LOCAL_HOST              # Interface to bind to (optional, default: 127.0.0.1)\n  WALRUS_LOCAL_STORAGE_DIR       # Keep blobs on disk in this directory (optional, in memory if unset)\n  WALRUS_LOCAL_EPOCH_MS          # Epoch duration in milliseconds; epochs never advance if unset (optional)\n  WALRUS_LOCAL_FAILURE_RATE      # Fraction of requests (0-1) that fail, to exercise retries (optional, default: 0)\n  WALRUS_LOCAL_FAILURE_STATUS    # Status code of injected failures (optional, default: 503)\n  WALRUS_LOCAL_LATENCY_MS        # Delay added to every response (optional, default: 0)\n  LOG_LEVEL                      # Log level: debug, info, warn, error or silent (optional, default: info)\n\nExample:\n  WALRUS_LOCAL_FAILURE_RATE=0.2 node local-walrus.js\n`);
+  process.exit(0);
+}
+
+// Epochs either stay put or advance in real time, so blob expiry can be observed locally
+const clock = process.env.WALRUS_LOCAL_EPOCH_MS
+  ? new TimeBasedEpochClock({
+    referenceEpoch: 0,
+    referenceTime: Date.now(),
+    epochDurationMs: Number(process.env.WALRUS_LOCAL_EPOCH_MS)
+  })
+  : new ManualEpochClock();
+
+const server = new LocalWalrusServer({
+  port: Number(process.env.WALRUS_LOCAL_PORT || 31415),
+  host: process.env.WALRUS_LOCAL_HOST || '127.0.0.1',
+  backend: createStorageBackend({
+    type: process.env.WALRUS_LOCAL_STORAGE_DIR ? 'filesystem' : 'memory',
+    directory: process.env.WALRUS_LOCAL_STORAGE_DIR,
+    clock
+  }),
+  failures: {
+    rate: Number(process.env.WALRUS_LOCAL_FAILURE_RATE || 0),
+    status: Number(process.env.WALRUS_LOCAL_FAILURE_STATUS || 503),
+    latencyMs: Number(process.env.WALRUS_LOCAL_LATENCY_MS || 0)
+  },
+  logger: createConsoleLogger({ level: process.env.LOG_LEVEL || 'info' })
+});
+
+try {
+  const url = await server.start();
+  console.log(`🐋 Local Walrus server running at ${url}`);
+  console.log(`📦 Blobs are kept ${process.env.WALRUS_LOCAL_STORAGE_DIR ? `in ${process.env.WALRUS_LOCAL_STORAGE_DIR}` : 'in memory'}`);
+  if (server.failures.rate > 0) {
+    console.log(`💥 Failing ${server.failures.rate * 100}% of requests with status ${server.failures.status}`);
+  }
+  console.log('\nPoint the examples at it with:');
+  console.log(`  SUI_NETWORK=localnet WALRUS_AGGREGATOR_URL=${url} WALRUS_PUBLISHER_URL=${url} npm start`);
+  console.log('\nPress Ctrl+C to stop.');
+} catch (error) {
+  console.error('❌ Failed to start local Walrus server:', error.message);
+  process.exit(1);
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', async () => {
+  console.log('\n👋 Stopping local Walrus server...');
+  await server.stop();
+  process.exit(0);
+});
@@ -0,0 +1,117 @@
+/**
+ * Bech32
+ * Encoding used by Sui for exported private keys (BIP-173 checksum)
+ */
+
+import { ValidationError } from './errors.js';
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const CHECKSUM_LENGTH = 6;
+
+/**
+ * Compute the BCH checksum polynomial
+ * @param {Array<number>} values - 5-bit values
+ * @returns {number}
+ */
+function polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    GENERATOR.forEach((generator, i) => {
+      if ((top >>> i) & 1) {
+        checksum ^= generator;
+      }
+    });
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Expand the human-readable part for checksum computation
+ * @param {string} prefix - Human-readable part
+ * @returns {Array<number>}
+ */
+function expandPrefix(prefix) {
+  const codes = [...prefix].map(char => char.charCodeAt(0));
+  return [...codes.map(code => code >>> 5), 0, ...codes.map(code => code & 31)];
+}
+
+/**
+ * Regroup bits between word sizes
+ * @param {Iterable<number>} data - Input words
+ * @param {number} fromBits - Input word size
+ * @param {number} toBits - Output word size
+ * @param {boolean} pad - Pad the last output word (encoding) or require zero padding (decoding)
+ * @returns {Array<number>}
+ */
+function convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >>> bits) & maxValue);
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) {
+      result.push((accumulator << (toBits - bits)) & maxValue);
+    }
+  } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+    throw new ValidationError('Invalid bech32 padding');
+  }
+  return result;
+}
+
+/**
+ * Encode bytes as a bech32 string
+ * @param {string} prefix - Human-readable part
+ * @param {Uint8Array} bytes - Payload
+ * @returns {string} - Lowercase bech32 string
+ */
+export function encodeBech32(prefix, bytes) {
+  const words = convertBits(bytes, 8, 5, true);
+  const checksum = polymod([...expandPrefix(prefix), ...words, ...new Array(CHECKSUM_LENGTH).fill(0)]) ^ 1;
+  const checksumWords = Array.from({ length: CHECKSUM_LENGTH }, (_, i) => (checksum >>> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...words, ...checksumWords].map(word => CHARSET[word]).join('')}`;
+}
+
+/**
+ * Decode a bech32 string
+ * @param {string} value - Bech32 string
+ * @returns {Object} - { prefix, bytes }
+ * @throws {ValidationError} - If the string is malformed or its checksum does not match
+ */
+export function decodeBech32(value) {
+  if (typeof value !== 'string' || (value !== value.toLowerCase() && value !== value.toUpperCase())) {
+    throw new ValidationError('Invalid bech32 string');
+  }
+
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + CHECKSUM_LENGTH + 1 > lower.length) {
+    throw new ValidationError('Invalid bech32 string: missing prefix or checksum');
+  }
+
+  const prefix = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map(char => CHARSET.indexOf(char));
+  if (words.includes(-1)) {
+    throw new ValidationError('Invalid bech32 string: unexpected character');
+  }
+  if (polymod([...expandPrefix(prefix), ...words]) !== 1) {
+    throw new ValidationError('Invalid bech32 checksum');
+  }
+
+  return {
+    prefix,
+    bytes: new Uint8Array(convertBits(words.slice(0, -CHECKSUM_LENGTH), 5, 8, false))
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Blob Cache
+ * Local cache for immutable, content-addressed Walrus blobs: an in-memory LRU
+ * in front of an optional persistent on-disk store
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError } from './errors.js';
+
+/**
+ * Default cache limits
+ */
+export const DEFAULT_CACHE_OPTIONS = {
+  maxMemoryEntries: 500,
+  maxMemoryBytes: 64 * 1024 * 1024,  // 64 MiB
+  maxDiskBytes: 512 * 1024 * 1024    // 512 MiB
+};
+
+export class BlobCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} [options.maxMemoryEntries] - Maximum number of blobs kept in memory
+   * @param {number} [options.maxMemoryBytes] - Maximum total size of blobs kept in memory
+   * @param {string} [options.directory] - Directory for the on-disk store (disabled if omitted)
+   * @param {number} [options.maxDiskBytes] - Maximum total size of the on-disk store
+   */
+  constructor(options = {}) {
+    const settings = { ...DEFAULT_CACHE_OPTIONS, ...options };
+    this.maxMemoryEntries = settings.maxMemoryEntries;
+    this.maxMemoryBytes = settings.maxMemoryBytes;
+    this.maxDiskBytes = settings.maxDiskBytes;
+    this.directory = settings.directory || null;
+
+    this.memory = new Map(); // blobId -> Uint8Array, in least-recently-used order
+    this.memoryBytes = 0;
+
+    this.diskIndex = null; // blobId -> { size, lastAccess }, loaded lazily
+    this.diskBytes = 0;
+
+    this.stats = {
+      memoryHits: 0,
+      diskHits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0,
+      invalidations: 0
+    };
+  }
+
+  /**
+   * Get a cached blob
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<Uint8Array|null>} - The cached data, or null on a miss
+   */
+  async get(blobId) {
+    const cached = this.memory.get(blobId);
+    if (cached) {
+      // Move to the most recently used position
+      this.memory.delete(blobId);
+      this.memory.set(blobId, cached);
+      this.stats.memoryHits++;
+      return new Uint8Array(cached);
+    }
+
+    if (this.directory) {
+      const diskIndex = await this.loadDiskIndex();
+      const entry = diskIndex.get(blobId);
+      if (entry) {
+        try {
+          const data = new Uint8Array(await fs.readFile(this.getDiskPath(blobId)));
+          entry.lastAccess = Date.now();
+          this.stats.diskHits++;
+          this.setMemory(blobId, data);
+          return new Uint8Array(data);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          // File removed behind our back
+          diskIndex.delete(blobId);
+          this.diskBytes -= entry.size;
+        }
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Add a blob to the cache
+   * @param {string} blobId - The blob ID
+   * @param {Uint8Array} data - The blob data
+   * @returns {Promise<void>}
+   */
+  async set(blobId, data) {
+    const copy = new Uint8Array(data);
+    this.setMemory(blobId, copy);
+    this.stats.writes++;
+
+    if (this.directory) {
+      const diskIndex = await this.loadDiskIndex();
+      if (!diskIndex.has(blobId) && copy.length <= this.maxDiskBytes) {
+        const diskPath = this.getDiskPath(blobId);
+        const tempPath = `${diskPath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, copy);
+        await fs.rename(tempPath, diskPath);
+        diskIndex.set(blobId, { size: copy.length, lastAccess: Date.now() });
+        this.diskBytes += copy.length;
+        await this.evictDisk();
+      }
+    }
+  }
+
+  /**
+   * Remove a blob from the cache
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<boolean>} - True if the blob was cached
+   */
+  async invalidate(blobId) {
+    let removed = this.deleteMemory(blobId);
+
+    if (this.directory) {
+      const diskIndex = await this.loadDiskIndex();
+      const entry = diskIndex.get(blobId);
+      if (entry) {
+        diskIndex.delete(blobId);
+        this.diskBytes -= entry.size;
+        await fs.rm(this.getDiskPath(blobId), { force: true });
+        removed = true;
+      }
+    }
+
+    if (removed) {
+      this.stats.invalidations++;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every blob from the cache
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.memory.clear();
+    this.memoryBytes = 0;
+
+    if (this.directory) {
+      const diskIndex = await this.loadDiskIndex();
+      for (const blobId of diskIndex.keys()) {
+        await fs.rm(this.getDiskPath(blobId), { force: true });
+      }
+      diskIndex.clear();
+      this.diskBytes = 0;
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} - Hit/miss counters and current sizes
+   */
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.diskHits;
+    const lookups = hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hits,
+      hitRate: lookups === 0 ? 0 : hits / lookups,
+      memoryEntries: this.memory.size,
+      memoryBytes: this.memoryBytes,
+      diskEntries: this.diskIndex ? this.diskIndex.size : 0,
+      diskBytes: this.diskBytes
+    };
+  }
+
+  /**
+   * Add a blob to the in-memory LRU, evicting least recently used entries
+   * @param {string} blobId - The blob ID
+   * @param {Uint8Array} data - The blob data
+   */
+  setMemory(blobId, data) {
+    this.deleteMemory(blobId);
+    if (data.length > this.maxMemoryBytes) {
+      return;
+    }
+
+    this.memory.set(blobId, data);
+    this.memoryBytes += data.length;
+
+    for (const oldestId of this.memory.keys()) {
+      if (this.memory.size <= this.maxMemoryEntries && this.memoryBytes <= this.maxMemoryBytes) {
+        break;
+      }
+      this.deleteMemory(oldestId);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove a blob from the in-memory LRU
+   * @param {string} blobId - The blob ID
+   * @returns {boolean} - True if the blob was in memory
+   */
+  deleteMemory(blobId) {
+    const existing = this.memory.get(blobId);
+    if (!existing) {
+      return false;
+    }
+    this.memory.delete(blobId);
+    this.memoryBytes -= existing.length;
+    return true;
+  }
+
+  /**
+   * Evict least recently used blobs from disk until under the size limit
+   * @returns {Promise<void>}
+   */
+  async evictDisk() {
+    if (this.diskBytes <= this.maxDiskBytes) {
+      return;
+    }
+
+    const entries = [...this.diskIndex.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [blobId, entry] of entries) {
+      if (this.diskBytes <= this.maxDiskBytes) {
+        break;
+      }
+      this.diskIndex.delete(blobId);
+      this.diskBytes -= entry.size;
+      await fs.rm(this.getDiskPath(blobId), { force: true });
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Build the on-disk index from the cache directory on first use
+   * @returns {Promise<Map>} - blobId -> { size, lastAccess }
+   */
+  async loadDiskIndex() {
+    if (this.diskIndex) {
+      return this.diskIndex;
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const diskIndex = new Map();
+    let diskBytes = 0;
+
+    for (const name of await fs.readdir(this.directory)) {
+      if (name.endsWith('.tmp')) {
+        continue;
+      }
+      const stat = await fs.stat(path.join(this.directory, name));
+      diskIndex.set(name, { size: stat.size, lastAccess: stat.mtimeMs });
+      diskBytes += stat.size;
+    }
+
+    // Another call may have loaded the index while we were reading the directory
+    if (!this.diskIndex) {
+      this.diskIndex = diskIndex;
+      this.diskBytes = diskBytes;
+    }
+    return this.diskIndex;
+  }
+
+  /**
+   * Resolve the on-disk path for a blob
+   * @param {string} blobId - The blob ID
+   * @returns {string} - File path
+   */
+  getDiskPath(blobId) {
+    if (!/^[A-Za-z0-9_-]+$/.test(blobId)) {
+      throw new ValidationError(`Invalid blob ID: ${blobId}`, { details: { blobId } });
+    }
+    return path.join(this.directory, blobId);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Blob Integrity
+ * Local content hashing used to verify that stored and retrieved bytes are the
+ * bytes we expect, independently of what the publisher or aggregator reports
+ */
+
+import crypto from 'crypto';
+import { IntegrityError } from './errors.js';
+
+/**
+ * Compute the SHA-256 digest of blob contents
+ * @param {Uint8Array} data - Blob data
+ * @returns {string} - Hex digest
+ */
+export function computeBlobDigest(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Verify blob contents against an expected digest
+ * @param {string} blobId - The blob ID (for error reporting)
+ * @param {Uint8Array} data - Blob data
+ * @param {string} expectedDigest - Expected hex digest
+ * @returns {string} - The verified digest
+ * @throws {IntegrityError} - If the digest does not match
+ */
+export function verifyBlobDigest(blobId, data, expectedDigest) {
+  const actual = computeBlobDigest(data);
+  if (actual !== expectedDigest) {
+    throw new IntegrityError(
+      `Blob ${blobId} failed integrity check: expected digest ${expectedDigest}, got ${actual}`,
+      { details: { blobId, expected: expectedDigest, actual } }
+    );
+  }
+  return actual;
+}
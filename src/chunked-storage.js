@@ -0,0 +1,115 @@
+/**
+ * Chunked Storage helpers
+ * Splits large payloads into several Walrus blobs described by a manifest blob,
+ * and reads them back as a stream
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Manifest type marker, used to recognise manifest blobs on retrieval
+ */
+export const CHUNK_MANIFEST_TYPE = 'walrus-chunked-blob';
+export const CHUNK_MANIFEST_VERSION = 1;
+
+/**
+ * Default chunking settings
+ */
+export const DEFAULT_CHUNK_OPTIONS = {
+  chunkSize: 4 * 1024 * 1024, // 4 MiB per chunk blob
+  concurrency: 3              // Chunk uploads/downloads in flight at once
+};
+
+/**
+ * Split a payload into chunks of a fixed size
+ * Accepts a Uint8Array, a Node stream or any (async) iterable of byte chunks,
+ * and only holds one chunk worth of data in memory at a time
+ * @param {Uint8Array|AsyncIterable<Uint8Array>|Iterable<Uint8Array>} source - The payload
+ * @param {number} chunkSize - Chunk size in bytes
+ * @returns {AsyncGenerator<Uint8Array>} - Chunks of at most chunkSize bytes
+ */
+export async function* splitIntoChunks(source, chunkSize) {
+  if (source instanceof Uint8Array) {
+    for (let offset = 0; offset < source.length; offset += chunkSize) {
+      yield source.subarray(offset, offset + chunkSize);
+    }
+    return;
+  }
+
+  let buffer = new Uint8Array(chunkSize);
+  let filled = 0;
+
+  for await (const piece of source) {
+    const bytes = typeof piece === 'string' ? new TextEncoder().encode(piece) : piece;
+    let offset = 0;
+    while (offset < bytes.length) {
+      const length = Math.min(chunkSize - filled, bytes.length - offset);
+      buffer.set(bytes.subarray(offset, offset + length), filled);
+      filled += length;
+      offset += length;
+
+      if (filled === chunkSize) {
+        yield buffer;
+        buffer = new Uint8Array(chunkSize);
+        filled = 0;
+      }
+    }
+  }
+
+  if (filled > 0) {
+    yield buffer.subarray(0, filled);
+  }
+}
+
+/**
+ * Create a manifest describing stored chunks
+ * @param {Array<Object>} chunks - Chunk entries ({ blobId, size, sha256 }) in order
+ * @param {number} chunkSize - Chunk size used for splitting
+ * @returns {Object} - The manifest
+ */
+export function createChunkManifest(chunks, chunkSize) {
+  return {
+    type: CHUNK_MANIFEST_TYPE,
+    version: CHUNK_MANIFEST_VERSION,
+    size: chunks.reduce((total, chunk) => total + chunk.size, 0),
+    chunkSize,
+    chunks
+  };
+}
+
+/**
+ * Serialize a manifest for storage
+ * @param {Object} manifest - The manifest
+ * @returns {Uint8Array} - Serialized manifest
+ */
+export function serializeChunkManifest(manifest) {
+  return new TextEncoder().encode(JSON.stringify(manifest));
+}
+
+/**
+ * Parse a blob as a chunk manifest
+ * @param {Uint8Array} data - Blob data
+ * @returns {Object|null} - The manifest, or null if the blob is not a manifest
+ */
+export function parseChunkManifest(data) {
+  // Manifests are JSON objects; skip parsing anything else
+  if (data.length === 0 || data[0] !== 0x7b) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(new TextDecoder().decode(data));
+    if (manifest?.type !== CHUNK_MANIFEST_TYPE || !Array.isArray(manifest.chunks)) {
+      return null;
+    }
+    if (manifest.version !== CHUNK_MANIFEST_VERSION) {
+      throw new ValidationError(`Unsupported chunk manifest version: ${manifest.version}`);
+    }
+    return manifest;
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Cipher Registry
+ * Content ciphers an EncryptionService can encrypt and decrypt with. Every
+ * envelope records the identifier of its cipher (see envelope-codec.js), and
+ * participants declare the ciphers they support in their public key record, so
+ * senders pick one every recipient can read. A retired cipher is no longer
+ * chosen for new envelopes but still decrypts old ones.
+ */
+
+import crypto from 'crypto';
+import { DecryptionError, ValidationError } from './errors.js';
+import { CipherAlgorithm } from './envelope-codec.js';
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+// Public key records without a cipher list were published before ciphers were declared
+export const DEFAULT_CIPHER = 'aes-256-gcm';
+
+/**
+ * Build an AEAD cipher on Node crypto with a 256-bit key, 96-bit IV and 128-bit tag
+ * @param {number} id - Envelope identifier (see CipherAlgorithm)
+ * @param {string} name - Cipher name, also used by Node crypto
+ * @returns {Object} - Cipher ({ id, name, keyLength, ivLength, encrypt, decrypt })
+ */
+function createNodeAeadCipher(id, name) {
+  return {
+    id,
+    name,
+    keyLength: KEY_LENGTH,
+    ivLength: IV_LENGTH,
+
+    /**
+     * @param {Uint8Array} key - Raw key
+     * @param {Uint8Array} iv - IV
+     * @param {Uint8Array} plaintext - Content to encrypt
+     * @param {Uint8Array} [additionalData] - Data authenticated along with the content
+     * @returns {Promise<Uint8Array>} - Ciphertext with the authentication tag appended
+     */
+    async encrypt(key, iv, plaintext, additionalData) {
+      const cipher = crypto.createCipheriv(name, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+      if (additionalData) {
+        cipher.setAAD(additionalData);
+      }
+      return new Uint8Array(Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]));
+    },
+
+    /**
+     * @param {Uint8Array} key - Raw key
+     * @param {Uint8Array} iv - IV
+     * @param {Uint8Array} ciphertext - Ciphertext with the authentication tag appended
+     * @param {Uint8Array} [additionalData] - Data authenticated along with the content
+     * @returns {Promise<Uint8Array>} - The content
+     * @throws {Error} - If the ciphertext or additional data was modified
+     */
+    async decrypt(key, iv, ciphertext, additionalData) {
+      if (ciphertext.length < AUTH_TAG_LENGTH) {
+        throw new DecryptionError('Ciphertext is shorter than its authentication tag');
+      }
+      const body = ciphertext.subarray(0, ciphertext.length - AUTH_TAG_LENGTH);
+      const decipher = crypto.createDecipheriv(name, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+      decipher.setAuthTag(ciphertext.subarray(ciphertext.length - AUTH_TAG_LENGTH));
+      if (additionalData) {
+        decipher.setAAD(additionalData);
+      }
+      return new Uint8Array(Buffer.concat([decipher.update(body), decipher.final()]));
+    }
+  };
+}
+
+export const AES_256_GCM = createNodeAeadCipher(CipherAlgorithm.AES_256_GCM, 'aes-256-gcm');
+export const CHACHA20_POLY1305 = createNodeAeadCipher(CipherAlgorithm.CHACHA20_POLY1305, 'chacha20-poly1305');
+
+export class CipherRegistry {
+  /**
+   * @param {Object} [config] - Registry configuration
+   * @param {Array<Object>} [config.ciphers] - Ciphers in order of preference (AES-256-GCM, then ChaCha20-Poly1305)
+   * @param {Array<string>} [config.retired] - Names of ciphers to use only for decryption
+   */
+  constructor(config = {}) {
+    this.ciphers = []; // in order of preference
+    this.retired = new Set();
+    for (const cipher of config.ciphers || [AES_256_GCM, CHACHA20_POLY1305]) {
+      this.register(cipher);
+    }
+    for (const name of config.retired || []) {
+      this.retire(name);
+    }
+  }
+
+  /**
+   * Add a cipher, preferred less than the ones already registered
+   * @param {Object} cipher - Cipher ({ id, name, keyLength, ivLength, encrypt, decrypt }); the id is
+   *   recorded in envelopes as a single byte
+   * @throws {ValidationError} - If its identifier or name is already registered
+   */
+  register(cipher) {
+    if (!Number.isInteger(cipher?.id) || !cipher.name || !cipher.encrypt || !cipher.decrypt) {
+      throw new ValidationError('A cipher requires an id, a name, and encrypt and decrypt functions');
+    }
+    if (cipher.id < 0 || cipher.id > 0xff) {
+      throw new ValidationError(`Cipher identifier must be between 0 and 255, got ${cipher.id}`);
+    }
+    if (this.ciphers.some(existing => existing.id === cipher.id || existing.name === cipher.name)) {
+      throw new ValidationError(`Cipher ${cipher.name} (${cipher.id}) is already registered`);
+    }
+    this.ciphers.push(cipher);
+  }
+
+  /**
+   * Stop choosing a cipher for new envelopes; envelopes using it can still be decrypted
+   * @param {string} name - Cipher name
+   * @throws {ValidationError} - If the cipher is not registered
+   */
+  retire(name) {
+    if (!this.ciphers.some(cipher => cipher.name === name)) {
+      throw new ValidationError(`Unknown cipher: ${name}`);
+    }
+    this.retired.add(name);
+  }
+
+  /**
+   * Check whether a cipher is retired
+   * @param {string} name - Cipher name
+   * @returns {boolean}
+   */
+  isRetired(name) {
+    return this.retired.has(name);
+  }
+
+  /**
+   * Get a cipher by its envelope identifier
+   * @param {number} id - Cipher identifier
+   * @returns {Object} - The cipher
+   * @throws {DecryptionError} - If no cipher with the identifier is registered
+   */
+  getCipher(id) {
+    const cipher = this.ciphers.find(candidate => candidate.id === id);
+    if (!cipher) {
+      throw new DecryptionError(`Unsupported cipher algorithm: ${id}`, { details: { cipher: id } });
+    }
+    return cipher;
+  }
+
+  /**
+   * Get the names of the ciphers to declare in a public key record
+   * @returns {Array<string>} - Names of the ciphers that are not retired, in order of preference
+   */
+  getSupportedCiphers() {
+    return this.ciphers.filter(cipher => !this.retired.has(cipher.name)).map(cipher => cipher.name);
+  }
+
+  /**
+   * Choose the most preferred cipher that every participant supports
+   * @param {Array<Array<string>|null>} declarations - Cipher names declared by each participant
+   *   (null for participants that declared none, who are assumed to support only AES-256-GCM)
+   * @returns {Object} - The cipher
+   * @throws {ValidationError} - If no cipher that is not retired is supported by all participants
+   */
+  negotiate(declarations) {
+    const supported = declarations.map(names => names || [DEFAULT_CIPHER]);
+    const cipher = this.ciphers.find(candidate =>
+      !this.retired.has(candidate.name) && supported.every(names => names.includes(candidate.name))
+    );
+    if (!cipher) {
+      throw new ValidationError('No cipher is supported by all participants', {
+        details: { expected: this.getSupportedCiphers(), actual: supported }
+      });
+    }
+    return cipher;
+  }
+}
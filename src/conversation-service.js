@@ -1,19 +1,91 @@
 /**
  * Conversation Service
  * Handles structured conversation and message storage in Walrus
+ * Group conversations share a group key, distributed to the participants in
+ * its own blob and replaced with a new key epoch whenever participants change.
+ * Participants can be verified by safety number; sending to a verified
+ * participant whose keys have since changed is refused until accepted.
  */
 
 import { WalrusClient } from './walrus-client.js';
-import { EncryptionService } from './encryption-service.js';
+import { ENVELOPE_VERSION, EncryptionService } from './encryption-service.js';
 import { Conversation, Message, MessageType, StorageIndex } from './data-models.js';
+import { StorageKind, createStoragePolicy } from './storage-policy.js';
+import { RenewalScheduler } from './renewal-scheduler.js';
+import { AuthorizationError, IntegrityError, KeyChangedError, NotFoundError, ValidationError } from './errors.js';
+import { SignatureStatus } from './signatures.js';
+import { silentLogger } from './logger.js';
+import { PrivateKeyMode, getPrivateKeyMode } from './private-envelope.js';
+import {
+  MessageBatcher,
+  isBatchContainer,
+  readBatchLocations,
+  extractBatchEntry
+} from './message-batcher.js';
 import crypto from 'crypto';
 
 export class ConversationService {
+  /**
+   * @param {Object} config - Service configuration
+   * @param {Object} [config.walrus] - WalrusClient configuration
+   * @param {WalrusClient} [config.walrusClient] - Preconfigured client to use instead of building one
+   * @param {StorageBackend} [config.storageBackend] - Storage backend for the client built from config.walrus
+   * @param {WalletIdentity} [config.identity] - The current user's identity, e.g. unlocked from a Keystore
+   * @param {string} [config.senderAddress] - The current user's wallet address (the identity's address if omitted)
+   * @param {Array<WalletIdentity>} [config.identities] - Further identities used to decrypt
+   * @param {KeyDirectory} [config.keyDirectory] - Public keys of recipients
+   * @param {boolean} [config.acceptLegacyEnvelopes] - Decrypt envelopes without authenticated metadata (default true)
+   * @param {boolean} [config.acceptUnwrappedKeys] - Decrypt the first envelopes, whose content key is unencrypted (default false)
+   * @param {SealStrategy} [config.seal] - Seal content keys with key servers instead of wrapping them to each participant
+   * @param {SessionStore} [config.sessionStore] - Encrypt messages of two-party conversations with forward-secret
+   *   ratchet sessions kept in this store
+   * @param {boolean} [config.privacy] - Store conversations, messages, group keys and the storage index as padded
+   *   private envelopes that hide their participants and timestamps
+   * @param {CipherRegistry} [config.ciphers] - Content ciphers in order of preference
+   * @param {VerificationStore} [config.verificationStore] - Participants verified by safety number
+   * @param {Object} [config.storagePolicy] - Store options per blob kind, merged with the defaults
+   * @param {EpochClock} [config.epochClock] - Source of the current epoch for blob renewal
+   * @param {Object} [config.batching] - Pack outgoing messages into shared blobs
+   * @param {boolean} [config.batching.enabled] - Enable batching
+   * @param {number} [config.batching.windowMs] - Flush this long after the first buffered message
+   * @param {number} [config.batching.maxMessages] - Flush once this many messages are buffered
+   * @param {number} [config.batching.maxBytes] - Flush once the buffered messages reach this size
+   * @param {Logger} [config.logger] - Logger shared with the client and encryption service (silent by default)
+   */
   constructor(config) {
-    this.walrusClient = new WalrusClient(config.walrus);
-    this.encryptionService = new EncryptionService();
-    this.senderAddress = config.senderAddress;
+    this.logger = config.logger || silentLogger;
+    this.walrusClient = config.walrusClient || new WalrusClient({
+      logger: this.logger,
+      ...config.walrus,
+      backend: config.storageBackend
+    });
+    this.encryptionService = new EncryptionService({
+      logger: this.logger,
+      identities: [config.identity, ...(config.identities || [])].filter(Boolean),
+      keyDirectory: config.keyDirectory,
+      acceptLegacyEnvelopes: config.acceptLegacyEnvelopes,
+      acceptUnwrappedKeys: config.acceptUnwrappedKeys,
+      seal: config.seal,
+      sessionStore: config.sessionStore,
+      privacy: config.privacy,
+      ciphers: config.ciphers,
+      verificationStore: config.verificationStore
+    });
+    this.senderAddress = config.senderAddress || config.identity?.address;
+    if (!this.senderAddress) {
+      throw new ValidationError('A sender identity or address is required');
+    }
     this.storageIndex = new StorageIndex();
+    this.storagePolicy = createStoragePolicy(config.storagePolicy);
+    this.epochClock = config.epochClock || null;
+    this.renewalScheduler = null;
+    this.storageIndexBlob = null; // Storage result of the last saved index
+    this.groupKeys = new Map(); // "conversationId:epoch" -> raw group key
+    this.messageBatcher = config.batching?.enabled
+      ? new MessageBatcher({ ...config.batching, store: data => this.storeMessageBatch(data) })
+      : null;
+    this.pendingMessages = new Map(); // messageId -> promise of the batch location, until it is stored
+    this.sentMessages = new Map(); // messageId -> plaintext of a ratchet message sent by this service, kept in memory only
   }
 
   /**
@@ -32,19 +104,30 @@ export class ConversationService {
       conversation.id = this.generateConversationId(participants);
       conversation.validate();
 
+      // Groups get a shared key; two-party conversations encrypt to each participant
+      if (participants.length > 2) {
+        conversation.keyEpoch = 1;
+        await this.createGroupKey(conversation.id, conversation.keyEpoch, participants);
+      }
+
       // Encrypt conversation data for all participants
       const encryptedData = await this.encryptConversationData(conversation, participants);
       
       // Store in Walrus
-      const storageResult = await this.walrusClient.storeBlob(
-        encryptedData,
-        this.senderAddress
-      );
+      const storageResult = await this.walrusClient.storeBlob(encryptedData, {
+        owner: this.senderAddress,
+        ...this.storagePolicy[StorageKind.CONVERSATION]
+      });
 
       // Add to storage index
       this.storageIndex.addConversation(conversation.id, storageResult.blobId, participants);
+      this.recordStoredBlob(storageResult, StorageKind.CONVERSATION);
 
-      console.log(`Conversation created successfully! ID: ${conversation.id}`);
+      this.logger.info('Conversation created', {
+        operation: 'createConversation',
+        conversationId: conversation.id,
+        blobId: storageResult.blobId
+      });
       
       return {
         conversation: conversation.toObject(),
@@ -52,7 +135,7 @@ export class ConversationService {
         storageResult
       };
     } catch (error) {
-      console.error('Error creating conversation:', error);
+      this.logger.error('Error creating conversation', { operation: 'createConversation', error });
       throw error;
     }
   }
@@ -63,10 +146,20 @@ export class ConversationService {
    * @param {string} messageType - Type of message ('text', 'send_payment', 'request_payment')
    * @param {string} content - Message content
    * @param {Object} metadata - Additional metadata for payment messages
-   * @returns {Promise<Object>} - Message data with ID
+   * @param {Object} [options] - Send options
+   * @param {boolean} [options.ephemeral] - Store as a short-lived message blob
+   * @param {number} [options.epochs] - Override the policy's storage epochs
+   * @param {boolean} [options.deletable] - Override the policy's deletable flag
+   * @param {string} [options.sendObjectTo] - Address to transfer the Sui blob object to
+   * @param {boolean} [options.acceptKeyChanges] - Send even if a verified participant's keys changed
+   * @returns {Promise<Object>} - Message data with ID. Batched messages resolve as soon as they are buffered,
+   *   with a null blobId and a stored promise resolving to { blobId, offset, length, storageResult }
+   * @throws {KeyChangedError} - If a verified participant's keys changed and the change was not accepted
    */
-  async sendMessage(conversationId, messageType, content, metadata = {}) {
+  async sendMessage(conversationId, messageType, content, metadata = {}, options = {}) {
     try {
+      const { ephemeral, acceptKeyChanges, ...storageOverrides } = options;
+
       // Create message using the data model
       let message;
       
@@ -81,7 +174,7 @@ export class ConversationService {
           message = Message.createRequestPaymentMessage(conversationId, this.senderAddress, content, metadata);
           break;
         default:
-          throw new Error(`Invalid message type. Must be one of: ${Object.values(MessageType).join(', ')}`);
+          throw new ValidationError(`Invalid message type. Must be one of: ${Object.values(MessageType).join(', ')}`);
       }
       
       message.id = this.generateMessageId(conversationId);
@@ -90,37 +183,55 @@ export class ConversationService {
       // Get conversation participants to encrypt for
       const conversation = await this.getConversation(conversationId);
       let participants;
+      let keyEpoch = 0;
       
       if (!conversation) {
         // If conversation not found, we'll create a simple participant list
         // In a real app, you might want to store this information differently
-        console.log(`Conversation ${conversationId} not found, using current user as participant`);
-        participants = [this.senderAddress];
-        
-        // Try to extract receiver from conversation ID if it follows our pattern
         // This is a workaround for the demo - in production you'd want proper conversation management
-        if (conversationId.includes('_')) {
-          // For demo purposes, we'll assume the receiver is the other participant
-          // You might want to store this information in a separate index
-          console.log('Using default participant list for demo');
-        }
+        this.logger.warn('Conversation not in storage index, encrypting for the current user only', {
+          operation: 'sendMessage',
+          conversationId
+        });
+        participants = [this.senderAddress];
       } else {
         participants = conversation.participants;
+        keyEpoch = conversation.keyEpoch || 0;
       }
+
+      await this.checkKeyChanges(conversationId, participants, acceptKeyChanges);
       
       // Encrypt message data for all conversation participants
-      const encryptedData = await this.encryptMessageData(message, participants);
+      const encryptedData = await this.encryptMessageData(message, participants, keyEpoch);
+      const kind = ephemeral ? StorageKind.EPHEMERAL_MESSAGE : StorageKind.MESSAGE;
+
+      // Regular messages go into a shared batch blob when batching is enabled;
+      // ephemeral messages and custom storage options always get their own blob
+      if (this.messageBatcher && !ephemeral && Object.keys(storageOverrides).length === 0) {
+        return {
+          message: message.toObject(),
+          blobId: null,
+          stored: this.addToBatch(message.id, conversationId, encryptedData)
+        };
+      }
       
       // Store in Walrus
-      const storageResult = await this.walrusClient.storeBlob(
-        encryptedData,
-        this.senderAddress
-      );
+      const storageResult = await this.walrusClient.storeBlob(encryptedData, {
+        owner: this.senderAddress,
+        ...this.storagePolicy[kind],
+        ...storageOverrides
+      });
 
       // Add to storage index
       this.storageIndex.addMessage(message.id, storageResult.blobId, conversationId);
+      this.recordStoredBlob(storageResult, kind);
 
-      console.log(`Message sent successfully! ID: ${message.id}`);
+      this.logger.info('Message sent', {
+        operation: 'sendMessage',
+        conversationId,
+        messageId: message.id,
+        blobId: storageResult.blobId
+      });
       
       return {
         message: message.toObject(),
@@ -128,7 +239,7 @@ export class ConversationService {
         storageResult
       };
     } catch (error) {
-      console.error('Error sending message:', error);
+      this.logger.error('Error sending message', { operation: 'sendMessage', conversationId, error });
       throw error;
     }
   }
@@ -136,83 +247,264 @@ export class ConversationService {
   /**
    * Retrieve a conversation by ID
    * @param {string} conversationId - The conversation ID
-   * @returns {Promise<Object|null>} - Conversation data or null if not found
+   * @returns {Promise<Object|null>} - Conversation data or null if it is not in the storage index
+   * @throws {NotFoundError|IntegrityError|AuthorizationError|DecryptionError|NetworkError} - If the conversation cannot be read
    */
   async getConversation(conversationId) {
     try {
-      console.log(`Attempting to retrieve conversation: ${conversationId}`);
-      
       // Get blob ID from storage index
       const blobId = this.storageIndex.getConversationBlobId(conversationId);
       if (!blobId) {
-        console.log(`Conversation ${conversationId} not found in storage index`);
+        this.logger.debug('Conversation not found in storage index', { operation: 'getConversation', conversationId });
         return null;
       }
       
       // Retrieve the encrypted data from Walrus
-      const serializedData = await this.walrusClient.retrieveBlob(blobId);
+      const serializedData = await this.retrieveIndexedBlob(blobId);
       
       // Deserialize and decrypt the conversation data
       const encryptedData = this.encryptionService.deserializeEncryptedData(serializedData);
       
-      // Decrypt the conversation (assuming current user is a participant)
+      // Decrypt the conversation (assuming current user is a participant);
+      // the envelope must have been encrypted for this conversation ID
       const decryptedData = await this.encryptionService.decryptMessage(
         encryptedData,
         this.senderAddress,
-        encryptedData.sender
+        encryptedData.sender,
+        { context: { conversationId } }
       );
       
       // Parse the decrypted JSON data
       const conversationData = JSON.parse(decryptedData);
       
       if (conversationData.id !== conversationId) {
-        throw new Error(`Conversation ID mismatch: expected ${conversationId}, got ${conversationData.id}`);
+        throw new IntegrityError(`Conversation ID mismatch: expected ${conversationId}, got ${conversationData.id}`, {
+          details: { blobId, expected: conversationId, actual: conversationData.id }
+        });
       }
       
-      console.log(`Conversation retrieved successfully: ${conversationId}`);
+      this.logger.debug('Conversation retrieved', { operation: 'getConversation', conversationId, blobId });
       return conversationData;
     } catch (error) {
-      console.error('Error retrieving conversation:', error);
-      return null;
+      this.logger.error('Error retrieving conversation', { operation: 'getConversation', conversationId, error });
+      throw error;
     }
   }
 
   /**
    * Retrieve a message by ID
+   * Messages stored in a batch blob are extracted using the offset recorded in
+   * the storage index, or by scanning the batch if no offset is known. Ratchet
+   * messages can only be decrypted once, by their recipient: the sender reads
+   * its own from the copy kept in memory since they were sent, and a second
+   * read by the recipient fails because the message key was deleted.
    * @param {string} messageId - The message ID
-   * @param {string} blobId - The blob ID where the message is stored
-   * @returns {Promise<Object|null>} - Message data or null if not found
+   * @param {string} [blobId] - The blob ID where the message is stored (looked up in the index if omitted)
+   * @returns {Promise<Object>} - Message data, with the sender signature check in verification
+   *   (verification.status is 'verified' or 'unverified')
+   * @throws {NotFoundError|IntegrityError|AuthorizationError|DecryptionError|NetworkError} - If the message cannot be read
+   *   (an invalid sender signature raises AuthorizationError; a ratchet message read before, or sent by
+   *   another instance of this service, raises DecryptionError)
    */
   async getMessage(messageId, blobId) {
     try {
-      console.log(`Retrieving message ${messageId} from blob ${blobId}`);
+      const sent = this.sentMessages.get(messageId);
+      if (sent) {
+        return {
+          ...sent,
+          verification: { status: SignatureStatus.VERIFIED, reason: 'Sent by this service' },
+          keyEpoch: null
+        };
+      }
+
+      if (!blobId) {
+        // A message still waiting in the batch buffer is readable once its batch is stored
+        await this.pendingMessages.get(messageId);
+        blobId = this.storageIndex.getMessageBlobId(messageId);
+      }
+      if (!blobId) {
+        throw new NotFoundError(`Message ${messageId} not found in storage index`, { details: { messageId } });
+      }
       
       // Retrieve the encrypted data from Walrus
-      const serializedData = await this.walrusClient.retrieveBlob(blobId);
-      
-      // Deserialize and decrypt the message data
-      const encryptedData = this.encryptionService.deserializeEncryptedData(serializedData);
-      
-      // Decrypt the message (assuming current user is a participant)
-      const decryptedData = await this.encryptionService.decryptMessage(
-        encryptedData,
-        this.senderAddress,
-        encryptedData.sender
-      );
-      
-      // Parse the decrypted JSON data
-      const message = JSON.parse(decryptedData);
+      const blobData = await this.retrieveIndexedBlob(blobId);
+
+      const location = this.storageIndex.getMessageBlobId(messageId) === blobId
+        ? this.storageIndex.getMessageLocation(messageId)
+        : null;
+
+      let message;
+      if (location) {
+        message = await this.decryptMessageEntry(extractBatchEntry(blobData, location), messageId);
+      } else if (isBatchContainer(blobData)) {
+        message = await this.findMessageInBatch(blobData, messageId);
+      } else {
+        message = await this.decryptMessageEntry(blobData, messageId);
+      }
       
       if (message.id !== messageId) {
-        throw new Error(`Message ID mismatch: expected ${messageId}, got ${message.id}`);
+        throw new IntegrityError(`Message ID mismatch: expected ${messageId}, got ${message.id}`, {
+          details: { blobId, expected: messageId, actual: message.id }
+        });
       }
       
-      console.log(`Message retrieved successfully: ${message.id}`);
+      this.logger.debug('Message retrieved', { operation: 'getMessage', messageId, blobId });
       return message;
     } catch (error) {
-      console.error('Error retrieving message:', error);
+      this.logger.error('Error retrieving message', { operation: 'getMessage', messageId, blobId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Deserialize, verify and decrypt a single stored message
+   * @param {Uint8Array} serializedData - Serialized encrypted message
+   * @param {string} messageId - The message ID the envelope must have been encrypted for
+   * @returns {Promise<Object>} - Message data with the signature check
+   * @throws {AuthorizationError} - If the signature is invalid or the message claims another sender than the envelope
+   * @throws {DecryptionError} - If the envelope was encrypted for another message ID or modified
+   */
+  async decryptMessageEntry(serializedData, messageId) {
+    const groupKeys = getPrivateKeyMode(serializedData) === PrivateKeyMode.GROUP_KEY
+      ? await this.getMessageGroupKeys(messageId)
+      : undefined;
+    const encryptedData = this.encryptionService.deserializeEncryptedData(serializedData, { groupKeys });
+    const groupKey = encryptedData.groupKey
+      ? await this.getGroupKey(encryptedData.groupKey.conversationId, encryptedData.groupKey.epoch)
+      : undefined;
+    
+    // Decrypt the message (assuming current user is a participant)
+    const { message: decryptedData, verification } = await this.encryptionService.openMessage(
+      encryptedData,
+      this.senderAddress,
+      encryptedData.sender,
+      { context: { messageId }, groupKey }
+    );
+    
+    // Parse the decrypted JSON data
+    const message = JSON.parse(decryptedData);
+    
+    // A group key only covers messages of its own conversation
+    if (encryptedData.groupKey && message.conversationId !== encryptedData.groupKey.conversationId) {
+      throw new IntegrityError('Message was encrypted with the group key of another conversation', {
+        details: { expected: encryptedData.groupKey.conversationId, actual: message.conversationId }
+      });
+    }
+    
+    // The signature covers the envelope sender, so the message must not claim another one
+    if (message.sender !== encryptedData.sender) {
+      throw new AuthorizationError('Message sender does not match the envelope sender', {
+        details: { expected: encryptedData.sender, actual: message.sender }
+      });
+    }
+    
+    return { ...message, verification, keyEpoch: encryptedData.groupKey?.epoch ?? null };
+  }
+
+  /**
+   * Get the group keys that may open a private group message
+   * These are the keys of every epoch of the message's conversation shared with
+   * the current user, or the cached keys if the message is not indexed
+   * @param {string} messageId - The message ID
+   * @returns {Promise<Array<Uint8Array>>} - Raw group keys
+   */
+  async getMessageGroupKeys(messageId) {
+    const conversationId = this.storageIndex.getMessageConversationId(messageId);
+    if (!conversationId) {
+      return [...this.groupKeys.values()];
+    }
+
+    const keys = [];
+    for (const epoch of this.storageIndex.getGroupKeyEpochs(conversationId)) {
+      try {
+        keys.push(await this.getGroupKey(conversationId, epoch));
+      } catch (error) {
+        // Epochs from before the current user joined, unless their keys were shared
+        if (!(error instanceof AuthorizationError)) {
+          throw error;
+        }
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Find a message in a batch blob by decrypting its entries in turn
+   * @param {Uint8Array} blobData - Batch container data
+   * @param {string} messageId - The message ID
+   * @returns {Promise<Object>} - Message data
+   */
+  async findMessageInBatch(blobData, messageId) {
+    for (const location of readBatchLocations(blobData)) {
+      try {
+        const message = await this.decryptMessageEntry(extractBatchEntry(blobData, location), messageId);
+        if (message.id === messageId) {
+          return message;
+        }
+      } catch {
+        // Entry not readable by this user; keep looking
+      }
+    }
+    throw new NotFoundError(`Message ${messageId} not found in batch blob`, { details: { messageId } });
+  }
+
+  /**
+   * Buffer a message in the current batch without waiting for the batch to be stored
+   * @param {string} messageId - The message ID
+   * @param {string} conversationId - The conversation ID
+   * @param {Uint8Array} encryptedData - Serialized encrypted message
+   * @returns {Promise<Object>} - Resolves to { blobId, offset, length, storageResult } once the batch is stored
+   *   and the message is indexed; storage failures are also logged
+   */
+  addToBatch(messageId, conversationId, encryptedData) {
+    const stored = this.messageBatcher.add(encryptedData).then(batched => {
+      this.storageIndex.addMessage(messageId, batched.blobId, conversationId, batched);
+      this.logger.info('Message sent', {
+        operation: 'sendMessage',
+        conversationId,
+        messageId,
+        blobId: batched.blobId,
+        batchSize: batched.batchSize
+      });
+      return { blobId: batched.blobId, offset: batched.offset, length: batched.length, storageResult: batched.storageResult };
+    }).finally(() => {
+      this.pendingMessages.delete(messageId);
+    });
+
+    // Callers may never await the stored promise, so a failed batch is reported here
+    stored.catch(error => {
+      this.logger.error('Error storing message batch', { operation: 'sendMessage', conversationId, messageId, error });
+    });
+    this.pendingMessages.set(messageId, stored);
+    return stored;
+  }
+
+  /**
+   * Store a batch of messages as one blob
+   * @param {Uint8Array} data - Batch container data
+   * @returns {Promise<Object>} - Storage result
+   */
+  async storeMessageBatch(data) {
+    const storageResult = await this.walrusClient.storeBlob(data, {
+      owner: this.senderAddress,
+      ...this.storagePolicy[StorageKind.MESSAGE]
+    });
+    this.recordStoredBlob(storageResult, StorageKind.MESSAGE);
+    return storageResult;
+  }
+
+  /**
+   * Store any messages still waiting in the batch buffer
+   * @returns {Promise<Object|null>} - Storage result of the batch, or null if nothing was pending
+   */
+  async flushPendingMessages() {
+    if (!this.messageBatcher) {
       return null;
     }
+    const pending = [...this.pendingMessages.values()];
+    const storageResult = await this.messageBatcher.flush();
+    await Promise.all(pending); // Index the flushed messages before returning
+    return storageResult;
   }
 
   /**
@@ -222,16 +514,17 @@ export class ConversationService {
    */
   async listConversationMessages(conversationId) {
     try {
-      console.log(`Listing messages for conversation: ${conversationId}`);
-      
       // This is a placeholder implementation
       // In a real app, you'd need to maintain an index of messages per conversation
       // or use Walrus metadata/tags to search for messages
       
-      console.log('Message listing not fully implemented in this example');
+      this.logger.warn('Message listing not fully implemented in this example', {
+        operation: 'listConversationMessages',
+        conversationId
+      });
       return [];
     } catch (error) {
-      console.error('Error listing conversation messages:', error);
+      this.logger.error('Error listing conversation messages', { operation: 'listConversationMessages', conversationId, error });
       throw error;
     }
   }
@@ -271,33 +564,379 @@ export class ConversationService {
   async encryptConversationData(conversation, participants) {
     const conversationJson = JSON.stringify(conversation.toObject());
     
-    // Encrypt for the first participant (could be enhanced to encrypt for all)
+    // One ciphertext, with the content key wrapped to every participant
     const encryptedData = await this.encryptionService.encryptMessage(
       conversationJson,
-      participants[0],
-      this.senderAddress
+      participants,
+      this.senderAddress,
+      { context: { conversationId: conversation.id } }
     );
     
-    return this.encryptionService.serializeEncryptedData(encryptedData);
+    return await this.encryptionService.serializeForStorage(encryptedData);
   }
 
   /**
    * Encrypt message data for all conversation participants
+   * With a session store, messages between two participants are encrypted to
+   * the other participant with their ratchet session instead; conversations
+   * with a group key use the key of the current epoch
    * @param {Message} message - Message instance
    * @param {Array<string>} participants - Array of participant addresses
+   * @param {number} [keyEpoch] - Current group key epoch of the conversation (0 if it has no group key)
    * @returns {Uint8Array} - Serialized encrypted data
    */
-  async encryptMessageData(message, participants) {
+  async encryptMessageData(message, participants, keyEpoch = 0) {
     const messageJson = JSON.stringify(message.toObject());
+    const context = { messageId: message.id };
+    
+    const peers = participants.filter(address => address !== this.senderAddress);
+    if (this.encryptionService.sessionStore && participants.length === 2 && peers.length === 1) {
+      const encryptedData = await this.encryptionService.encryptRatchetMessage(
+        messageJson,
+        peers[0],
+        this.senderAddress,
+        { context }
+      );
+      // Only the recipient can decrypt the envelope, so the sender keeps its own copy
+      this.sentMessages.set(message.id, message.toObject());
+      return await this.encryptionService.serializeForStorage(encryptedData);
+    }
     
-    // Encrypt for the first participant (could be enhanced to encrypt for all)
+    if (keyEpoch > 0) {
+      const key = await this.getGroupKey(message.conversationId, keyEpoch);
+      const encryptedData = await this.encryptionService.encryptGroupMessage(
+        messageJson,
+        participants,
+        this.senderAddress,
+        { conversationId: message.conversationId, epoch: keyEpoch, key },
+        { context }
+      );
+      return await this.encryptionService.serializeForStorage(encryptedData, { groupKey: key });
+    }
+    
+    // One ciphertext, with the content key wrapped to every participant
     const encryptedData = await this.encryptionService.encryptMessage(
       messageJson,
-      participants[0],
-      this.senderAddress
+      participants,
+      this.senderAddress,
+      { context }
     );
     
-    return this.encryptionService.serializeEncryptedData(encryptedData);
+    return await this.encryptionService.serializeForStorage(encryptedData);
+  }
+
+  /**
+   * Create a group key and distribute it to the participants of its epoch
+   * The key is encrypted to every participant in a blob of its own, indexed by
+   * conversation ID and epoch
+   * @param {string} conversationId - The conversation ID
+   * @param {number} epoch - Key epoch
+   * @param {Array<string>} participants - Participant addresses of the epoch
+   * @returns {Promise<Uint8Array>} - The raw group key
+   */
+  async createGroupKey(conversationId, epoch, participants) {
+    const key = new Uint8Array(crypto.randomBytes(32));
+    await this.storeGroupKey(conversationId, epoch, key, participants);
+    this.groupKeys.set(`${conversationId}:${epoch}`, key);
+    return key;
+  }
+
+  /**
+   * Store a group key encrypted to a set of recipients
+   * @param {string} conversationId - The conversation ID
+   * @param {number} epoch - Key epoch
+   * @param {Uint8Array} key - The raw group key
+   * @param {Array<string>} recipients - Addresses to encrypt the key to
+   * @returns {Promise<Object>} - Storage result
+   */
+  async storeGroupKey(conversationId, epoch, key, recipients) {
+    const encryptedData = await this.encryptionService.encryptMessage(
+      JSON.stringify({ conversationId, epoch, key: Buffer.from(key).toString('base64') }),
+      recipients,
+      this.senderAddress,
+      { context: { conversationId, keyEpoch: String(epoch) } }
+    );
+
+    const storageResult = await this.walrusClient.storeBlob(await this.encryptionService.serializeForStorage(encryptedData), {
+      owner: this.senderAddress,
+      ...this.storagePolicy[StorageKind.GROUP_KEY]
+    });
+
+    this.storageIndex.addGroupKey(conversationId, epoch, storageResult.blobId);
+    this.recordStoredBlob(storageResult, StorageKind.GROUP_KEY);
+
+    this.logger.debug('Group key stored', {
+      operation: 'storeGroupKey',
+      conversationId,
+      keyEpoch: epoch,
+      blobId: storageResult.blobId
+    });
+    return storageResult;
+  }
+
+  /**
+   * Get the group key of a key epoch
+   * Keys are read from the key blobs in the storage index and cached
+   * @param {string} conversationId - The conversation ID
+   * @param {number} epoch - Key epoch
+   * @returns {Promise<Uint8Array>} - The raw group key
+   * @throws {AuthorizationError} - If no key blob of the epoch is encrypted to the current user
+   * @throws {IntegrityError} - If a key blob holds the key of another conversation or epoch
+   */
+  async getGroupKey(conversationId, epoch) {
+    const cacheKey = `${conversationId}:${epoch}`;
+    if (this.groupKeys.has(cacheKey)) {
+      return this.groupKeys.get(cacheKey);
+    }
+
+    for (const blobId of this.storageIndex.getGroupKeyBlobIds(conversationId, epoch)) {
+      let encryptedData;
+      try {
+        encryptedData = this.encryptionService.deserializeEncryptedData(await this.retrieveIndexedBlob(blobId));
+      } catch (error) {
+        // Private key blobs shared with other participants cannot be opened at all
+        if (error instanceof AuthorizationError) {
+          continue;
+        }
+        throw error;
+      }
+      // Keys are distributed by participants of the epoch, who are recipients of their own key blobs
+      if (!encryptedData.recipients.includes(this.senderAddress) || !encryptedData.recipients.includes(encryptedData.sender)) {
+        continue;
+      }
+
+      const keyData = JSON.parse(await this.encryptionService.decryptMessage(
+        encryptedData,
+        this.senderAddress,
+        encryptedData.sender,
+        { context: { conversationId, keyEpoch: String(epoch) } }
+      ));
+      if (keyData.conversationId !== conversationId || keyData.epoch !== epoch) {
+        throw new IntegrityError(`Group key mismatch: expected epoch ${epoch} of ${conversationId}`, {
+          details: { blobId, expected: { conversationId, epoch }, actual: { conversationId: keyData.conversationId, epoch: keyData.epoch } }
+        });
+      }
+
+      const key = new Uint8Array(Buffer.from(keyData.key, 'base64'));
+      this.groupKeys.set(cacheKey, key);
+      return key;
+    }
+
+    throw new AuthorizationError(`No group key of epoch ${epoch} of ${conversationId} is shared with ${this.senderAddress}`, {
+      details: { conversationId, keyEpoch: epoch, expected: this.senderAddress }
+    });
+  }
+
+  /**
+   * Add a participant to a conversation
+   * The group key is rotated, so the new participant can read new messages but
+   * not earlier ones unless shared with shareGroupKeyHistory
+   * @param {string} conversationId - The conversation ID
+   * @param {string} address - Wallet address of the new participant
+   * @returns {Promise<Object>} - Conversation data with the new key epoch, blob ID and storage result
+   * @throws {ValidationError} - If the address is already a participant
+   * @throws {NotFoundError} - If the conversation is not in the storage index
+   */
+  async addParticipant(conversationId, address) {
+    const conversation = await this.getConversation(conversationId);
+    if (conversation?.participants.includes(address)) {
+      throw new ValidationError(`${address} is already a participant`, { details: { conversationId, address } });
+    }
+    return await this.updateParticipants(conversationId, conversation, [...(conversation?.participants || []), address]);
+  }
+
+  /**
+   * Remove a participant from a conversation
+   * The group key is rotated, so the removed participant cannot read new messages
+   * @param {string} conversationId - The conversation ID
+   * @param {string} address - Wallet address of the participant to remove
+   * @returns {Promise<Object>} - Conversation data with the new key epoch, blob ID and storage result
+   * @throws {ValidationError} - If the address is not a participant or is the current user
+   * @throws {NotFoundError} - If the conversation is not in the storage index
+   */
+  async removeParticipant(conversationId, address) {
+    const conversation = await this.getConversation(conversationId);
+    if (conversation && !conversation.participants.includes(address)) {
+      throw new ValidationError(`${address} is not a participant`, { details: { conversationId, address } });
+    }
+    if (address === this.senderAddress) {
+      throw new ValidationError('Participants cannot remove themselves; another participant has to', {
+        details: { conversationId, address }
+      });
+    }
+    return await this.updateParticipants(
+      conversationId,
+      conversation,
+      (conversation?.participants || []).filter(participant => participant !== address)
+    );
+  }
+
+  /**
+   * Store a conversation with new participants under a new group key epoch
+   * @param {string} conversationId - The conversation ID
+   * @param {Object|null} conversationData - Current conversation data
+   * @param {Array<string>} participants - New participant addresses
+   * @returns {Promise<Object>} - Conversation data with the new key epoch, blob ID and storage result
+   */
+  async updateParticipants(conversationId, conversationData, participants) {
+    try {
+      if (!conversationData) {
+        throw new NotFoundError(`Conversation ${conversationId} not found in storage index`, { details: { conversationId } });
+      }
+
+      const conversation = Conversation.fromObject({ ...conversationData, participants: [...participants] });
+      conversation.keyEpoch = (conversationData.keyEpoch || 0) + 1;
+      conversation.updatedAt = new Date().toISOString();
+      conversation.validate();
+
+      // The new key is only encrypted to the new participants
+      await this.createGroupKey(conversationId, conversation.keyEpoch, conversation.participants);
+
+      const encryptedData = await this.encryptConversationData(conversation, conversation.participants);
+      const storageResult = await this.walrusClient.storeBlob(encryptedData, {
+        owner: this.senderAddress,
+        ...this.storagePolicy[StorageKind.CONVERSATION]
+      });
+
+      this.storageIndex.updateConversation(conversationId, storageResult.blobId, conversation.participants);
+      this.recordStoredBlob(storageResult, StorageKind.CONVERSATION);
+
+      this.logger.info('Conversation participants changed', {
+        operation: 'updateParticipants',
+        conversationId,
+        keyEpoch: conversation.keyEpoch,
+        participantCount: conversation.participants.length,
+        blobId: storageResult.blobId
+      });
+
+      return {
+        conversation: conversation.toObject(),
+        blobId: storageResult.blobId,
+        storageResult
+      };
+    } catch (error) {
+      this.logger.error('Error changing conversation participants', { operation: 'updateParticipants', conversationId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Share the group keys of earlier key epochs with a participant
+   * Lets a participant added later read the messages sent before they joined
+   * @param {string} conversationId - The conversation ID
+   * @param {string} address - Wallet address to share the keys with
+   * @param {Object} [options] - Share options
+   * @param {Array<number>} [options.epochs] - Key epochs to share (all earlier epochs by default)
+   * @returns {Promise<Array<number>>} - The shared key epochs
+   * @throws {ValidationError} - If the address is not a participant
+   * @throws {NotFoundError} - If the conversation is not in the storage index
+   * @throws {AuthorizationError} - If the current user has no key of a requested epoch
+   */
+  async shareGroupKeyHistory(conversationId, address, options = {}) {
+    try {
+      const conversation = await this.getConversation(conversationId);
+      if (!conversation) {
+        throw new NotFoundError(`Conversation ${conversationId} not found in storage index`, { details: { conversationId } });
+      }
+      if (!conversation.participants.includes(address)) {
+        throw new ValidationError(`${address} is not a participant`, { details: { conversationId, address } });
+      }
+
+      const epochs = options.epochs || Array.from({ length: Math.max(conversation.keyEpoch - 1, 0) }, (_, i) => i + 1);
+      for (const epoch of epochs) {
+        const key = await this.getGroupKey(conversationId, epoch);
+        await this.storeGroupKey(conversationId, epoch, key, [address, this.senderAddress]);
+      }
+
+      this.logger.info('Group key history shared', { operation: 'shareGroupKeyHistory', conversationId, address, epochs });
+      return epochs;
+    } catch (error) {
+      this.logger.error('Error sharing group key history', { operation: 'shareGroupKeyHistory', conversationId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the public key record of the current user, declaring the ciphers it supports
+   * @returns {Promise<Object>} - The published public key record
+   * @throws {AuthorizationError} - If the current user's identity is not available
+   */
+  async publishPublicKeys() {
+    return this.encryptionService.publishPublicKeys(this.senderAddress);
+  }
+
+  /**
+   * Publish a new signed prekey, which peers start ratchet sessions with
+   * @returns {Promise<Object>} - The published public key record
+   * @throws {ValidationError} - If no session store is configured
+   */
+  async rotatePrekey() {
+    return this.encryptionService.rotatePrekey(this.senderAddress);
+  }
+
+  /**
+   * Get the safety number of the current user and another participant
+   * @param {string} address - The participant's wallet address
+   * @returns {Promise<Object>} - { address, safetyNumber, fingerprint, verified, verifiedAt, keyChanged }
+   * @throws {NotFoundError} - If either address has no published key
+   */
+  async getSafetyNumber(address) {
+    return this.encryptionService.getSafetyNumber(this.senderAddress, address);
+  }
+
+  /**
+   * Get the safety numbers of the current user and each other participant of a conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Array<Object>>} - Safety numbers, see getSafetyNumber
+   * @throws {NotFoundError} - If the conversation is not in the storage index or a participant has no published key
+   */
+  async getConversationSafetyNumbers(conversationId) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      throw new NotFoundError(`Conversation ${conversationId} not found in storage index`, { details: { conversationId } });
+    }
+
+    const safetyNumbers = [];
+    for (const address of conversation.participants) {
+      if (address !== this.senderAddress) {
+        safetyNumbers.push(await this.getSafetyNumber(address));
+      }
+    }
+    return safetyNumbers;
+  }
+
+  /**
+   * Mark a participant as verified after comparing safety numbers
+   * @param {string} address - The participant's wallet address
+   * @param {string} [safetyNumber] - The safety number the users compared, checked against the current one
+   * @returns {Promise<Object>} - The stored verification ({ address, fingerprint, verifiedAt })
+   * @throws {ValidationError} - If no verification store is configured
+   * @throws {IntegrityError} - If the safety number does not match the current one
+   */
+  async verifyContact(address, safetyNumber) {
+    return this.encryptionService.verifyContact(this.senderAddress, address, { safetyNumber });
+  }
+
+  /**
+   * Warn about verified participants whose keys changed, and refuse to send to them unless accepted
+   * @param {string} conversationId - The conversation ID
+   * @param {Array<string>} participants - Participant wallet addresses
+   * @param {boolean} [accept] - Only warn, and send anyway
+   * @throws {KeyChangedError} - If keys changed and the change was not accepted
+   */
+  async checkKeyChanges(conversationId, participants, accept = false) {
+    const changes = await this.encryptionService.checkKeyChanges(this.senderAddress, participants);
+    if (changes.length === 0) {
+      return;
+    }
+
+    const addresses = changes.map(change => change.address);
+    this.logger.warn('Keys of verified participants changed', { operation: 'sendMessage', conversationId, addresses });
+    if (!accept) {
+      throw new KeyChangedError(`Keys changed since verification: ${addresses.join(', ')}`, {
+        details: { conversationId, changes }
+      });
+    }
   }
 
   /**
@@ -306,21 +945,26 @@ export class ConversationService {
    */
   async getUserConversations() {
     try {
-      console.log(`Listing conversations for user: ${this.senderAddress}`);
-      
       const userConversationIds = this.storageIndex.getUserConversations(this.senderAddress);
       const conversations = [];
       
       for (const conversationId of userConversationIds) {
-        const conversation = await this.getConversation(conversationId);
-        if (conversation) {
-          conversations.push(conversation);
+        try {
+          const conversation = await this.getConversation(conversationId);
+          if (conversation) {
+            conversations.push(conversation);
+          }
+        } catch (error) {
+          // Skip conversations we are not a participant of
+          if (!(error instanceof AuthorizationError)) {
+            throw error;
+          }
         }
       }
       
       return conversations;
     } catch (error) {
-      console.error('Error listing user conversations:', error);
+      this.logger.error('Error listing user conversations', { operation: 'getUserConversations', error });
       throw error;
     }
   }
@@ -331,6 +975,9 @@ export class ConversationService {
    */
   async saveStorageIndex() {
     try {
+      // Make sure buffered messages are stored and indexed first
+      await this.flushPendingMessages();
+
       const indexData = this.storageIndex.toObject();
       const indexJson = JSON.stringify(indexData);
       
@@ -341,18 +988,29 @@ export class ConversationService {
         this.senderAddress
       );
       
-      const serializedData = this.encryptionService.serializeEncryptedData(encryptedData);
+      const serializedData = await this.encryptionService.serializeForStorage(encryptedData);
       
       // Store in Walrus
-      const storageResult = await this.walrusClient.storeBlob(
-        serializedData,
-        this.senderAddress
-      );
+      const storageResult = await this.walrusClient.storeBlob(serializedData, {
+        owner: this.senderAddress,
+        ...this.storagePolicy[StorageKind.STORAGE_INDEX]
+      });
+      
+      this.storageIndexBlob = storageResult;
+      if (this.renewalScheduler) {
+        this.renewalScheduler.trackBlob(storageResult.blobId, {
+          kind: StorageKind.STORAGE_INDEX,
+          endEpoch: storageResult.endEpoch,
+          epochs: storageResult.epochs,
+          deletable: storageResult.deletable,
+          digest: storageResult.digest
+        });
+      }
       
-      console.log('Storage index saved successfully');
+      this.logger.info('Storage index saved', { operation: 'saveStorageIndex', blobId: storageResult.blobId });
       return storageResult;
     } catch (error) {
-      console.error('Error saving storage index:', error);
+      this.logger.error('Error saving storage index', { operation: 'saveStorageIndex', error });
       throw error;
     }
   }
@@ -360,14 +1018,15 @@ export class ConversationService {
   /**
    * Load storage index from Walrus
    * @param {string} blobId - The blob ID of the storage index
-   * @returns {Promise<boolean>} - True if loaded successfully
+   * @param {Object} [options] - Load options
+   * @param {string} [options.expectedDigest] - Digest returned by saveStorageIndex, checked before decrypting
+   * @returns {Promise<boolean>} - True once the index is loaded
+   * @throws {NotFoundError|IntegrityError|AuthorizationError|DecryptionError|NetworkError} - If the index cannot be read
    */
-  async loadStorageIndex(blobId) {
+  async loadStorageIndex(blobId, options = {}) {
     try {
-      console.log(`Loading storage index from blob: ${blobId}`);
-      
       // Retrieve the encrypted data from Walrus
-      const serializedData = await this.walrusClient.retrieveBlob(blobId);
+      const serializedData = await this.walrusClient.retrieveBlob(blobId, { expectedDigest: options.expectedDigest });
       
       // Deserialize and decrypt the index data
       const encryptedData = this.encryptionService.deserializeEncryptedData(serializedData);
@@ -385,11 +1044,137 @@ export class ConversationService {
       // Load into storage index
       this.storageIndex = StorageIndex.fromObject(indexData);
       
-      console.log('Storage index loaded successfully');
+      this.logger.info('Storage index loaded', { operation: 'loadStorageIndex', blobId });
       return true;
     } catch (error) {
-      console.error('Error loading storage index:', error);
-      return false;
+      this.logger.error('Error loading storage index', { operation: 'loadStorageIndex', blobId, error });
+      throw error;
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Re-encrypt indexed conversations and messages stored without authenticated metadata
+   * Only envelopes sent by the current user can be upgraded, since the new
+   * envelopes are signed by the sender; others are left as they are. Messages
+   * in batch blobs are skipped. Save the storage index afterwards to keep the
+   * new blob IDs.
+   * @returns {Promise<Object>} - Counts of { upgraded, skipped } envelopes
+   * @throws {NotFoundError|IntegrityError|AuthorizationError|DecryptionError|NetworkError} - If an envelope cannot be read
+   */
+  async upgradeLegacyEnvelopes() {
+    const result = { upgraded: 0, skipped: 0 };
+    const entries = [
+      ...[...this.storageIndex.conversations].map(([conversationId, blobId]) => ({
+        blobId,
+        kind: StorageKind.CONVERSATION,
+        context: { conversationId }
+      })),
+      ...[...this.storageIndex.messages]
+        .filter(([messageId]) => !this.storageIndex.getMessageLocation(messageId))
+        .map(([messageId, blobId]) => ({ blobId, kind: StorageKind.MESSAGE, context: { messageId } }))
+    ];
+
+    try {
+      for (const { blobId, kind, context } of entries) {
+        const blobData = await this.retrieveIndexedBlob(blobId);
+        if (isBatchContainer(blobData)) {
+          result.skipped++;
+          continue;
+        }
+
+        const encryptedData = this.encryptionService.deserializeEncryptedData(blobData);
+        if (encryptedData.version >= ENVELOPE_VERSION) {
+          continue;
+        }
+        if (encryptedData.sender !== this.senderAddress) {
+          result.skipped++;
+          continue;
+        }
+
+        const upgraded = await this.encryptionService.upgradeEnvelope(encryptedData, { context });
+        const storageResult = await this.walrusClient.storeBlob(await this.encryptionService.serializeForStorage(upgraded), {
+          owner: this.senderAddress,
+          ...this.storagePolicy[kind]
+        });
+
+        this.storageIndex.replaceBlobId(blobId, storageResult.blobId);
+        this.recordStoredBlob(storageResult, kind);
+        result.upgraded++;
+
+        this.logger.debug('Envelope upgraded', {
+          operation: 'upgradeLegacyEnvelopes',
+          ...context,
+          blobId: storageResult.blobId,
+          previousBlobId: blobId
+        });
+      }
+
+      this.logger.info('Legacy envelopes upgraded', { operation: 'upgradeLegacyEnvelopes', ...result });
+      return result;
+    } catch (error) {
+      this.logger.error('Error upgrading legacy envelopes', { operation: 'upgradeLegacyEnvelopes', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a stored blob's lifetime and content digest in the storage index
+   * @param {Object} storageResult - Result from WalrusClient.storeBlob
+   * @param {string} kind - Blob kind (see StorageKind)
+   */
+  recordStoredBlob(storageResult, kind) {
+    this.storageIndex.recordBlob(storageResult.blobId, {
+      kind,
+      endEpoch: storageResult.endEpoch,
+      epochs: storageResult.epochs,
+      deletable: storageResult.deletable,
+      digest: storageResult.digest
+    });
+  }
+
+  /**
+   * Retrieve a blob, verifying it against the digest recorded in the storage index
+   * Blobs indexed before digests were recorded are returned unverified
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Promise<Uint8Array>} - The blob data
+   */
+  async retrieveIndexedBlob(blobId) {
+    const expectedDigest = this.storageIndex.getBlobInfo(blobId)?.digest;
+    return await this.walrusClient.retrieveBlob(blobId, { expectedDigest });
+  }
+
+  /**
+   * Create the renewal scheduler for blobs referenced by this service's storage index
+   * The last saved storage index blob is tracked as well
+   * @param {Object} [options] - Scheduler options (thresholdEpochs, renewEpochs, intervalMs, onRenewed)
+   * @returns {RenewalScheduler} - The scheduler (not started)
+   */
+  createRenewalScheduler(options = {}) {
+    const clock = options.clock || this.epochClock;
+    if (!clock) {
+      throw new ValidationError('An epoch clock is required to schedule blob renewal');
+    }
+
+    this.renewalScheduler?.stop();
+    this.renewalScheduler = new RenewalScheduler({
+      ...options,
+      walrusClient: this.walrusClient,
+      storageIndex: () => this.storageIndex, // The index is replaced when loaded
+      clock,
+      owner: this.senderAddress,
+      logger: this.logger
+    });
+
+    if (this.storageIndexBlob) {
+      this.renewalScheduler.trackBlob(this.storageIndexBlob.blobId, {
+        kind: StorageKind.STORAGE_INDEX,
+        endEpoch: this.storageIndexBlob.endEpoch,
+        epochs: this.storageIndexBlob.epochs,
+        deletable: this.storageIndexBlob.deletable,
+        digest: this.storageIndexBlob.digest
+      });
+    }
+
+    return this.renewalScheduler;
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import crypto from 'crypto';
+import { ValidationError } from './errors.js';
 
 /**
  * Conversation Model
@@ -17,6 +18,7 @@ export class Conversation {
     this.createdAt = new Date().toISOString();
     this.updatedAt = new Date().toISOString();
     this.messageCount = 0;
+    this.keyEpoch = 0; // Current group key epoch (0 if messages are encrypted to each participant)
   }
 
   /**
@@ -25,15 +27,15 @@ export class Conversation {
    */
   validate() {
     if (!this.participants || !Array.isArray(this.participants) || this.participants.length < 2) {
-      throw new Error('Conversation must have at least 2 participants');
+      throw new ValidationError('Conversation must have at least 2 participants');
     }
     
     if (!this.createdBy) {
-      throw new Error('Conversation must have a creator');
+      throw new ValidationError('Conversation must have a creator');
     }
     
     if (!this.participants.includes(this.createdBy)) {
-      throw new Error('Creator must be a participant');
+      throw new ValidationError('Creator must be a participant');
     }
     
     return true;
@@ -50,7 +52,8 @@ export class Conversation {
       createdBy: this.createdBy,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
-      messageCount: this.messageCount
+      messageCount: this.messageCount,
+      keyEpoch: this.keyEpoch
     };
   }
 
@@ -65,6 +68,7 @@ export class Conversation {
     conversation.createdAt = data.createdAt;
     conversation.updatedAt = data.updatedAt;
     conversation.messageCount = data.messageCount;
+    conversation.keyEpoch = data.keyEpoch || 0;
     return conversation;
   }
 }
@@ -99,19 +103,19 @@ export class Message {
    */
   validate() {
     if (!Object.values(MessageType).includes(this.type)) {
-      throw new Error(`Invalid message type. Must be one of: ${Object.values(MessageType).join(', ')}`);
+      throw new ValidationError(`Invalid message type. Must be one of: ${Object.values(MessageType).join(', ')}`);
     }
     
     if (!this.conversationId) {
-      throw new Error('Message must have a conversation ID');
+      throw new ValidationError('Message must have a conversation ID');
     }
     
     if (!this.sender) {
-      throw new Error('Message must have a sender');
+      throw new ValidationError('Message must have a sender');
     }
     
     if (!this.content) {
-      throw new Error('Message must have content');
+      throw new ValidationError('Message must have content');
     }
     
     // Validate payment message metadata
@@ -130,7 +134,7 @@ export class Message {
     const missingFields = requiredFields.filter(field => !this.metadata[field]);
     
     if (missingFields.length > 0) {
-      throw new Error(`Payment message missing required metadata: ${missingFields.join(', ')}`);
+      throw new ValidationError(`Payment message missing required metadata: ${missingFields.join(', ')}`);
     }
     
     // Transaction ID is optional for send_payment messages
@@ -236,6 +240,9 @@ export class StorageIndex {
     this.messages = new Map(); // messageId -> blobId
     this.userConversations = new Map(); // userId -> [conversationId]
     this.conversationMessages = new Map(); // conversationId -> [messageId]
+    this.blobs = new Map(); // blobId -> { kind, endEpoch, epochs, deletable, recordedAt }
+    this.messageLocations = new Map(); // messageId -> { offset, length } within a batch blob
+    this.groupKeys = new Map(); // conversationId -> [{ epoch, blobId }]
   }
 
   /**
@@ -259,14 +266,73 @@ export class StorageIndex {
     });
   }
 
+  /**
+   * Point a conversation at a new blob after its participants changed
+   * @param {string} conversationId - Conversation ID
+   * @param {string} blobId - Walrus blob ID
+   * @param {Array<string>} participants - Current participant addresses
+   */
+  updateConversation(conversationId, blobId, participants) {
+    for (const [participant, userConvs] of this.userConversations) {
+      if (!participants.includes(participant)) {
+        this.userConversations.set(participant, userConvs.filter(id => id !== conversationId));
+      }
+    }
+    this.addConversation(conversationId, blobId, participants);
+  }
+
+  /**
+   * Add a group key blob to the index
+   * An epoch can have several key blobs, e.g. when its key was shared with new participants
+   * @param {string} conversationId - Conversation ID
+   * @param {number} epoch - Key epoch
+   * @param {string} blobId - Walrus blob ID
+   */
+  addGroupKey(conversationId, epoch, blobId) {
+    const keys = this.groupKeys.get(conversationId) || [];
+    if (!keys.some(key => key.epoch === epoch && key.blobId === blobId)) {
+      keys.push({ epoch, blobId });
+    }
+    this.groupKeys.set(conversationId, keys);
+  }
+
+  /**
+   * Get the group key blobs of a key epoch
+   * @param {string} conversationId - Conversation ID
+   * @param {number} epoch - Key epoch
+   * @returns {Array<string>} - Blob IDs
+   */
+  getGroupKeyBlobIds(conversationId, epoch) {
+    return (this.groupKeys.get(conversationId) || [])
+      .filter(key => key.epoch === epoch)
+      .map(key => key.blobId);
+  }
+
+  /**
+   * Get the key epochs of a conversation with indexed group key blobs
+   * @param {string} conversationId - Conversation ID
+   * @returns {Array<number>} - Key epochs, in ascending order
+   */
+  getGroupKeyEpochs(conversationId) {
+    return [...new Set((this.groupKeys.get(conversationId) || []).map(key => key.epoch))].sort((a, b) => a - b);
+  }
+
   /**
    * Add message to index
    * @param {string} messageId - Message ID
    * @param {string} blobId - Walrus blob ID
    * @param {string} conversationId - Conversation ID
+   * @param {Object} [location] - Position of the message when stored in a batch blob
+   * @param {number} location.offset - Byte offset within the blob
+   * @param {number} location.length - Byte length of the message
    */
-  addMessage(messageId, blobId, conversationId) {
+  addMessage(messageId, blobId, conversationId, location = null) {
     this.messages.set(messageId, blobId);
+    if (location) {
+      this.messageLocations.set(messageId, { offset: location.offset, length: location.length });
+    } else {
+      this.messageLocations.delete(messageId);
+    }
     
     // Add to conversation messages index
     if (!this.conversationMessages.has(conversationId)) {
@@ -296,6 +362,29 @@ export class StorageIndex {
     return this.messages.get(messageId) || null;
   }
 
+  /**
+   * Get the conversation of a message
+   * @param {string} messageId - Message ID
+   * @returns {string|null} - Conversation ID or null if the message is not indexed
+   */
+  getMessageConversationId(messageId) {
+    for (const [conversationId, messageIds] of this.conversationMessages) {
+      if (messageIds.includes(messageId)) {
+        return conversationId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the position of a message within a batch blob
+   * @param {string} messageId - Message ID
+   * @returns {Object|null} - { offset, length } or null if the message has its own blob
+   */
+  getMessageLocation(messageId) {
+    return this.messageLocations.get(messageId) || null;
+  }
+
   /**
    * Get conversations for user
    * @param {string} userId - User wallet address
@@ -314,6 +403,76 @@ export class StorageIndex {
     return this.conversationMessages.get(conversationId) || [];
   }
 
+  /**
+   * Record storage details for a blob, used to track expiry and verify downloads
+   * @param {string} blobId - Walrus blob ID
+   * @param {Object} info - Blob details
+   * @param {string} info.kind - Blob kind (see StorageKind)
+   * @param {number} [info.endEpoch] - Epoch at which the blob expires
+   * @param {number} [info.epochs] - Number of epochs the blob was stored for
+   * @param {boolean} [info.deletable] - Whether the blob is deletable
+   * @param {string} [info.digest] - SHA-256 hex digest of the blob contents
+   */
+  recordBlob(blobId, info) {
+    const existing = this.blobs.get(blobId);
+    // Storing the same content again never shortens its lifetime
+    const endEpochs = [existing?.endEpoch, info.endEpoch].filter(epoch => typeof epoch === 'number');
+
+    this.blobs.set(blobId, {
+      ...existing,
+      ...info,
+      endEpoch: endEpochs.length > 0 ? Math.max(...endEpochs) : null,
+      recordedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get recorded storage details for a blob
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Object|null} - Blob details or null if not recorded
+   */
+  getBlobInfo(blobId) {
+    return this.blobs.get(blobId) || null;
+  }
+
+  /**
+   * Get all blob IDs referenced by conversations, group keys and messages
+   * @returns {Array<string>} - Unique blob IDs
+   */
+  getReferencedBlobIds() {
+    const groupKeyBlobIds = [...this.groupKeys.values()].flat().map(key => key.blobId);
+    return [...new Set([...this.conversations.values(), ...groupKeyBlobIds, ...this.messages.values()])];
+  }
+
+  /**
+   * Point every reference to a blob at a replacement blob
+   * Used when an expiring blob is re-stored under a new blob ID
+   * @param {string} oldBlobId - The blob being replaced
+   * @param {string} newBlobId - The replacement blob
+   */
+  replaceBlobId(oldBlobId, newBlobId) {
+    for (const map of [this.conversations, this.messages]) {
+      for (const [key, blobId] of map) {
+        if (blobId === oldBlobId) {
+          map.set(key, newBlobId);
+        }
+      }
+    }
+    for (const keys of this.groupKeys.values()) {
+      for (const key of keys) {
+        if (key.blobId === oldBlobId) {
+          key.blobId = newBlobId;
+        }
+      }
+    }
+
+    const info = this.blobs.get(oldBlobId);
+    if (info) {
+      this.blobs.delete(oldBlobId);
+      this.blobs.set(newBlobId, info);
+    }
+  }
+
   /**
    * Convert to plain object for storage
    * @returns {Object} - Plain object representation
@@ -323,7 +482,10 @@ export class StorageIndex {
       conversations: Object.fromEntries(this.conversations),
       messages: Object.fromEntries(this.messages),
       userConversations: Object.fromEntries(this.userConversations),
-      conversationMessages: Object.fromEntries(this.conversationMessages)
+      conversationMessages: Object.fromEntries(this.conversationMessages),
+      blobs: Object.fromEntries(this.blobs),
+      messageLocations: Object.fromEntries(this.messageLocations),
+      groupKeys: Object.fromEntries(this.groupKeys)
     };
   }
 
@@ -347,6 +509,15 @@ export class StorageIndex {
     if (data.conversationMessages) {
       index.conversationMessages = new Map(Object.entries(data.conversationMessages));
     }
+    if (data.blobs) {
+      index.blobs = new Map(Object.entries(data.blobs));
+    }
+    if (data.messageLocations) {
+      index.messageLocations = new Map(Object.entries(data.messageLocations));
+    }
+    if (data.groupKeys) {
+      index.groupKeys = new Map(Object.entries(data.groupKeys));
+    }
     
     return index;
   }
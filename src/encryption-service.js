@@ -1,215 +1,1150 @@
 /**
- * Encryption Service using Web Crypto API
+ * Encryption Service
  * Handles message encryption and decryption for secure messaging
- * Note: This is a simplified implementation for demonstration purposes
- * In a real application, you would use @mysten/seal for recipient-specific encryption
+ * Messages are encrypted once with a random content key, using the most
+ * preferred cipher every recipient supports (see cipher-registry.js). The key is
+ * wrapped separately to each recipient's X25519 public key (see key-wrapping.js).
+ * Only holders of a recipient's private key can unwrap it. Every envelope is
+ * signed with the sender's Ed25519 key and checked before decryption, and its
+ * metadata is bound to the ciphertext as AES-GCM additional authenticated data.
+ * With a session store, two-party messages can instead be encrypted with
+ * message keys from a forward-secret ratchet session (see ratchet-session.js),
+ * started from the recipient's signed prekey when it published one,
+ * and group messages can be encrypted with a shared conversation group key.
+ * With a Seal strategy, content keys are sealed with threshold key servers
+ * (see seal-strategy.js) instead of being wrapped to each recipient.
+ * In privacy mode, stored envelopes are padded and wrapped in private envelopes
+ * (see private-envelope.js), so their metadata is not visible in storage.
+ * With a verification store, contacts can be verified by their safety number
+ * (see safety-numbers.js), and later changes of their keys are detected.
  */
 
+import { AuthorizationError, DecryptionError, IntegrityError, NotFoundError, ValidationError } from './errors.js';
+import { CipherRegistry } from './cipher-registry.js';
+import { CipherAlgorithm, decodeEnvelope, encodeEnvelope, isBinaryEnvelope } from './envelope-codec.js';
+import { LocalKeyDirectory } from './key-directory.js';
+import { decodePrivateEnvelope, encodePrivateEnvelope, isPrivateEnvelope } from './private-envelope.js';
+import { unwrapKey, unwrapKeyForRecipient, wrapKeyForRecipients } from './key-wrapping.js';
+import { silentLogger } from './logger.js';
+import { RatchetSession, createSignedPrekey, encodeRatchetHeader, verifySignedPrekey } from './ratchet-session.js';
+import { computeFingerprint, computeSafetyNumber, safetyNumbersMatch } from './safety-numbers.js';
+import { createRecipientIdentity } from './seal-strategy.js';
+import { SignatureStatus, deriveSuiAddress, verifyPersonalMessage } from './signatures.js';
+
+/**
+ * Envelope format versions
+ * Version 1 envelopes were written before metadata was authenticated and are
+ * decrypted without additional data; version 2 binds it with AES-GCM AAD.
+ */
+export const LEGACY_ENVELOPE_VERSION = 1;
+export const ENVELOPE_VERSION = 2;
+
+// The first envelopes stored the raw AES key in sealedKey; wrapped keys are always longer
+const UNWRAPPED_KEY_LENGTH = 32;
+
+const SIGNATURE_DOMAIN = 'walrus-messaging/envelope-signature/v2';
+// Signatures made before the recipient count was a uint32 encode it as a single byte
+const LEGACY_SIGNATURE_DOMAIN = 'walrus-messaging/envelope-signature/v1';
+const LEGACY_SIGNATURE_MAX_RECIPIENTS = 0xff;
+const ASSOCIATED_DATA_DOMAIN = 'walrus-messaging/envelope-aad';
+
+/**
+ * Concatenate fields, each prefixed with its 4-byte big-endian length
+ * so values cannot be shifted between fields
+ * @param {Array<Uint8Array>} fields - The fields
+ * @returns {Buffer} - Encoded fields
+ */
+function encodeFields(fields) {
+  const chunks = [];
+  for (const field of fields) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(field.length);
+    chunks.push(length, field);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Encode the reference to the group key an envelope was encrypted with
+ * @param {Object} groupKey - { conversationId, epoch }
+ * @returns {Buffer} - Encoded reference
+ */
+function encodeGroupKeyReference(groupKey) {
+  const encoder = new TextEncoder();
+  return encodeFields([encoder.encode(groupKey.conversationId), encoder.encode(String(groupKey.epoch))]);
+}
+
+/**
+ * Encode the fields that identify an envelope's content key
+ * @param {Object} encryptedData - The encrypted message data
+ * @returns {Array<Uint8Array>} - The ratchet header, the group key reference, the Seal identity and sealed key,
+ *   or the ephemeral key and wrapped keys
+ */
+function encodeKeyFields(encryptedData) {
+  if (encryptedData.ratchet) {
+    return [encodeRatchetHeader(encryptedData.ratchet)];
+  }
+  if (encryptedData.groupKey) {
+    return [encodeGroupKeyReference(encryptedData.groupKey)];
+  }
+  if (encryptedData.seal) {
+    return [new TextEncoder().encode(encryptedData.seal.identity), encryptedData.seal.sealedKey];
+  }
+  return [encryptedData.ephemeralPublicKey, ...encryptedData.wrappedKeys];
+}
+
+/**
+ * Encode the envelope metadata bound to the ciphertext as additional authenticated data
+ * Ciphers other than AES-256-GCM are bound as well; envelopes written before
+ * ciphers were recorded all use AES-256-GCM
+ * @param {Object} encryptedData - The encrypted message data (version, cipher, sender, timestamp, recipients,
+ *   and the ratchet header, group key reference or Seal identity of such envelopes)
+ * @param {Object} context - Caller-defined fields bound to the envelope, such as a message ID
+ * @returns {Buffer} - The additional data
+ */
+function encodeAssociatedData(encryptedData, context) {
+  const encoder = new TextEncoder();
+  const contextFields = Object.keys(context).sort().flatMap(key => [key, context[key]]);
+  const fields = [
+    ASSOCIATED_DATA_DOMAIN,
+    String(encryptedData.version),
+    encryptedData.sender,
+    encryptedData.timestamp,
+    String(encryptedData.recipients.length),
+    ...encryptedData.recipients,
+    String(contextFields.length),
+    ...contextFields
+  ].map(field => encoder.encode(field));
+  if (encryptedData.ratchet) {
+    fields.push(encodeRatchetHeader(encryptedData.ratchet));
+  }
+  if (encryptedData.groupKey) {
+    fields.push(encodeGroupKeyReference(encryptedData.groupKey));
+  }
+  if (encryptedData.seal) {
+    fields.push(encoder.encode(encryptedData.seal.identity));
+  }
+  if ((encryptedData.cipher ?? CipherAlgorithm.AES_256_GCM) !== CipherAlgorithm.AES_256_GCM) {
+    fields.push(encoder.encode(String(encryptedData.cipher)));
+  }
+  return encodeFields(fields);
+}
+
+/**
+ * Check that an envelope context only holds string values
+ * @param {Object} context - The context
+ */
+function validateContext(context) {
+  for (const [key, value] of Object.entries(context)) {
+    if (typeof value !== 'string') {
+      throw new ValidationError(`Invalid envelope context field ${key}: expected a string`);
+    }
+  }
+}
+
+/**
+ * Encode a count as a 4-byte big-endian integer
+ * @param {number} count - The count
+ * @returns {Buffer} - Encoded count
+ */
+function encodeCount(count) {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32BE(count);
+  return bytes;
+}
+
+/**
+ * Digest the envelope fields covered by the sender's signature
+ * The SHA-256 digest is signed rather than the fields, which can be large
+ * @param {Object} encryptedData - The encrypted message data
+ * @param {Object} [options] - Digest options
+ * @param {boolean} [options.legacy] - Digest as signatures made before the recipient count was a uint32
+ * @returns {Promise<Uint8Array>} - Bytes to sign
+ */
+async function digestSignedFields(encryptedData, options = {}) {
+  const encoder = new TextEncoder();
+  const fields = [
+    encoder.encode(options.legacy ? LEGACY_SIGNATURE_DOMAIN : SIGNATURE_DOMAIN),
+    encoder.encode(encryptedData.sender),
+    encoder.encode(encryptedData.timestamp),
+    options.legacy ? new Uint8Array([encryptedData.recipients.length]) : encodeCount(encryptedData.recipients.length),
+    ...encryptedData.recipients.map(address => encoder.encode(address)),
+    ...encodeKeyFields(encryptedData),
+    encryptedData.iv,
+    encryptedData.encryptedMessage
+  ];
+  if (encryptedData.version >= ENVELOPE_VERSION) {
+    fields.push(encodeAssociatedData(encryptedData, encryptedData.context));
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', encodeFields(fields)));
+}
+
 export class EncryptionService {
-  constructor() {
-    this.algorithm = 'AES-GCM';
-    this.keyLength = 256;
+  /**
+   * @param {Object} [config] - Service configuration
+   * @param {Array<WalletIdentity>} [config.identities] - Identities whose private keys this service may use
+   * @param {KeyDirectory} [config.keyDirectory] - Public keys of other addresses (in-memory directory by default)
+   * @param {boolean} [config.acceptLegacyEnvelopes] - Decrypt envelopes without authenticated metadata (default true)
+   * @param {boolean} [config.acceptUnwrappedKeys] - Decrypt the first envelopes, which stored their content key
+   *   unencrypted, so they can be upgraded (default false)
+   * @param {SessionStore} [config.sessionStore] - Ratchet sessions for encryptRatchetMessage (ratchet envelopes
+   *   cannot be opened without one)
+   * @param {SealStrategy} [config.seal] - Seal content keys with key servers instead of wrapping them to each
+   *   recipient (Seal envelopes cannot be opened without one)
+   * @param {boolean} [config.privacy] - Store envelopes as padded private envelopes that hide their metadata (default false)
+   * @param {CipherRegistry} [config.ciphers] - Content ciphers in order of preference (AES-256-GCM, then ChaCha20-Poly1305)
+   * @param {VerificationStore} [config.verificationStore] - Contacts verified by safety number
+   * @param {Logger} [config.logger] - Logger (silent by default)
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || silentLogger;
+    this.keyDirectory = config.keyDirectory || new LocalKeyDirectory();
+    this.acceptLegacyEnvelopes = config.acceptLegacyEnvelopes ?? true;
+    this.acceptUnwrappedKeys = config.acceptUnwrappedKeys ?? false;
+    this.sessionStore = config.sessionStore || null;
+    this.seal = config.seal || null;
+    this.privacy = config.privacy ?? false;
+    this.ciphers = config.ciphers || new CipherRegistry();
+    this.verificationStore = config.verificationStore || null;
+    this.sessionLocks = new Map(); // "local|peer" -> tail of the queued session updates
+    this.identities = new Map(); // address -> WalletIdentity
+    for (const identity of config.identities || []) {
+      this.addIdentity(identity);
+    }
   }
 
   /**
-   * Generate a random encryption key
-   * @returns {Promise<CryptoKey>} - The generated encryption key
+   * Make an identity's private key available for decryption
+   * @param {WalletIdentity} identity - The identity
    */
-  async generateKey() {
-    return await crypto.subtle.generateKey(
-      {
-        name: this.algorithm,
-        length: this.keyLength
-      },
-      true,
-      ['encrypt', 'decrypt']
-    );
+  addIdentity(identity) {
+    this.identities.set(identity.address, identity);
+  }
+
+  /**
+   * Look up the public keys of an address
+   * Own identities are used directly; other addresses are looked up in the key directory
+   * @param {string} address - Wallet address
+   * @returns {Promise<Object|null>} - Raw keys ({ encryptionPublicKey, signingPublicKey }), or null if none are known
+   */
+  async lookupPublicKeys(address) {
+    const identity = this.identities.get(address);
+    if (identity) {
+      return { encryptionPublicKey: identity.encryptionPublicKey, signingPublicKey: identity.signingPublicKey };
+    }
+
+    const record = await this.keyDirectory.getPublicKeys(address);
+    if (!record) {
+      return null;
+    }
+    return {
+      encryptionPublicKey: new Uint8Array(Buffer.from(record.encryptionKey, 'base64')),
+      signingPublicKey: record.signingKey ? new Uint8Array(Buffer.from(record.signingKey, 'base64')) : null
+    };
+  }
+
+  /**
+   * Get the encryption public key of an address
+   * @param {string} address - Wallet address
+   * @returns {Promise<Uint8Array>} - Raw X25519 public key
+   * @throws {NotFoundError} - If no key is published for the address
+   */
+  async getEncryptionPublicKey(address) {
+    const keys = await this.lookupPublicKeys(address);
+    if (!keys) {
+      throw new NotFoundError(`No encryption key published for ${address}`, { details: { address } });
+    }
+    return keys.encryptionPublicKey;
+  }
+
+  /**
+   * Get the signed prekey published for an address
+   * @param {string} address - Wallet address
+   * @returns {Promise<Uint8Array|null>} - Raw X25519 prekey, or null if the address published none
+   * @throws {AuthorizationError} - If the prekey is not signed by the address's signing key
+   */
+  async getSignedPrekey(address) {
+    const record = await this.keyDirectory.getPublicKeys(address);
+    if (!record?.prekey) {
+      return null;
+    }
+
+    const prekey = new Uint8Array(Buffer.from(record.prekey.publicKey, 'base64'));
+    const signature = new Uint8Array(Buffer.from(record.prekey.signature, 'base64'));
+    if (!verifySignedPrekey(prekey, signature, Buffer.from(record.signingKey, 'base64'))) {
+      throw new AuthorizationError(`Prekey of ${address} is not signed by its identity key`, {
+        details: { expected: address }
+      });
+    }
+    return prekey;
   }
 
   /**
-   * Export a CryptoKey to raw bytes
-   * @param {CryptoKey} key - The key to export
-   * @returns {Promise<Uint8Array>} - The exported key bytes
+   * Get the fingerprint of the keys currently known for an address
+   * @param {string} address - Wallet address
+   * @returns {Promise<string>} - 30-digit fingerprint
+   * @throws {NotFoundError} - If no key is published for the address
    */
-  async exportKey(key) {
-    return new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  async getFingerprint(address) {
+    const keys = await this.lookupPublicKeys(address);
+    if (!keys) {
+      throw new NotFoundError(`No encryption key published for ${address}`, { details: { address } });
+    }
+    return computeFingerprint(address, keys);
   }
 
   /**
-   * Import a key from raw bytes
-   * @param {Uint8Array} keyBytes - The key bytes to import
-   * @returns {Promise<CryptoKey>} - The imported key
+   * Get the safety number of an own identity and a contact
+   * @param {string} localAddress - Own wallet address
+   * @param {string} address - Contact's wallet address
+   * @returns {Promise<Object>} - { address, safetyNumber, fingerprint, verified, verifiedAt, keyChanged }, where
+   *   verified is true only if the contact was verified with their current keys
+   * @throws {NotFoundError} - If either address has no published key
    */
-  async importKey(keyBytes) {
-    return await crypto.subtle.importKey(
-      'raw',
-      keyBytes,
-      {
-        name: this.algorithm,
-        length: this.keyLength
-      },
-      true,
-      ['encrypt', 'decrypt']
+  async getSafetyNumber(localAddress, address) {
+    const fingerprint = await this.getFingerprint(address);
+    const safetyNumber = computeSafetyNumber(
+      { address: localAddress, fingerprint: await this.getFingerprint(localAddress) },
+      { address, fingerprint }
     );
+    const verification = await this.verificationStore?.getVerification(localAddress, address);
+    return {
+      address,
+      safetyNumber,
+      fingerprint,
+      verified: verification?.fingerprint === fingerprint,
+      verifiedAt: verification?.verifiedAt || null,
+      keyChanged: Boolean(verification) && verification.fingerprint !== fingerprint
+    };
+  }
+
+  /**
+   * Mark a contact's current keys as verified
+   * @param {string} localAddress - Own wallet address
+   * @param {string} address - Contact's wallet address
+   * @param {Object} [options] - Verification options
+   * @param {string} [options.safetyNumber] - Safety number the user compared, checked against the current one
+   * @returns {Promise<Object>} - The stored verification ({ address, fingerprint, verifiedAt })
+   * @throws {ValidationError} - If no verification store is configured
+   * @throws {IntegrityError} - If the given safety number does not match the current one
+   * @throws {NotFoundError} - If either address has no published key
+   */
+  async verifyContact(localAddress, address, options = {}) {
+    if (!this.verificationStore) {
+      throw new ValidationError('A verification store is required to verify contacts');
+    }
+
+    const { safetyNumber, fingerprint } = await this.getSafetyNumber(localAddress, address);
+    if (options.safetyNumber !== undefined && !safetyNumbersMatch(safetyNumber, options.safetyNumber)) {
+      throw new IntegrityError(`Safety number does not match the keys of ${address}`, {
+        details: { address, expected: safetyNumber, actual: options.safetyNumber }
+      });
+    }
+
+    const verification = { address, fingerprint, verifiedAt: new Date().toISOString() };
+    await this.verificationStore.saveVerification(localAddress, verification);
+    this.logger.info('Contact verified', { operation: 'verifyContact', address });
+    return verification;
   }
 
   /**
-   * Encrypt a message using Web Crypto API
+   * Find verified contacts whose keys changed since they were verified
+   * @param {string} localAddress - Own wallet address
+   * @param {Array<string>} addresses - Addresses to check (unverified ones are skipped)
+   * @returns {Promise<Array<Object>>} - Changes ({ address, verifiedAt, expected, actual }) with the verified and
+   *   current fingerprints (actual is null if the contact no longer has a published key)
+   */
+  async checkKeyChanges(localAddress, addresses) {
+    if (!this.verificationStore) {
+      return [];
+    }
+
+    const changes = [];
+    for (const address of new Set(addresses)) {
+      const verification = address !== localAddress && await this.verificationStore.getVerification(localAddress, address);
+      if (!verification) {
+        continue;
+      }
+      const keys = await this.lookupPublicKeys(address);
+      const fingerprint = keys ? computeFingerprint(address, keys) : null;
+      if (fingerprint !== verification.fingerprint) {
+        changes.push({ address, verifiedAt: verification.verifiedAt, expected: verification.fingerprint, actual: fingerprint });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Choose the content cipher for an envelope
+   * Own identities support every cipher of the registry; other addresses the
+   * ciphers declared in their public key record
+   * @param {Array<string>} addresses - Addresses that must be able to decrypt the envelope
+   * @returns {Promise<Object>} - The cipher
+   * @throws {ValidationError} - If no cipher that is not retired is supported by all of them
+   */
+  async negotiateCipher(addresses) {
+    const declarations = await Promise.all(addresses
+      .filter(address => !this.identities.has(address))
+      .map(async address => (await this.keyDirectory.getPublicKeys(address))?.ciphers || null));
+    return this.ciphers.negotiate(declarations);
+  }
+
+  /**
+   * Encrypt content under a fresh random IV
+   * @param {Object} cipher - Cipher from the registry
+   * @param {Uint8Array} keyBytes - Raw content key
+   * @param {Uint8Array} plaintext - Content to encrypt
+   * @param {Uint8Array} additionalData - Data authenticated along with the content
+   * @returns {Promise<Object>} - { iv, encryptedMessage }
+   */
+  async encryptContent(cipher, keyBytes, plaintext, additionalData) {
+    const iv = crypto.getRandomValues(new Uint8Array(cipher.ivLength));
+    return { iv, encryptedMessage: await cipher.encrypt(keyBytes, iv, plaintext, additionalData) };
+  }
+
+  /**
+   * Run session updates for a pair of addresses one at a time
+   * Each update reads a session, advances it and saves it, so concurrent
+   * updates of the same session would reuse or lose message keys.
+   * @param {string} localAddress - Own wallet address
+   * @param {string} peerAddress - Peer's wallet address
+   * @param {Function} update - Async function performing the update
+   * @returns {Promise<*>} - The update's result
+   */
+  async withSessionLock(localAddress, peerAddress, update) {
+    const key = `${localAddress}|${peerAddress}`;
+    const previous = this.sessionLocks.get(key) || Promise.resolve();
+    const result = previous.then(update);
+    const tail = result.catch(() => {});
+    this.sessionLocks.set(key, tail);
+    tail.then(() => {
+      if (this.sessionLocks.get(key) === tail) {
+        this.sessionLocks.delete(key);
+      }
+    });
+    return await result;
+  }
+
+  /**
+   * Encrypt a message
+   * The ciphertext is shared by all recipients; only the content key is wrapped per recipient,
+   * or sealed under the recipients' identity when a Seal strategy is configured.
+   * The sender, recipients, timestamp and context are authenticated along with the ciphertext.
    * @param {string} message - The message to encrypt
-   * @param {string} recipientAddress - The recipient's wallet address
-   * @param {string} senderAddress - The sender's wallet address
+   * @param {string|Array<string>} recipients - The recipient's wallet address, or all recipients' addresses
+   * @param {string} senderAddress - The sender's wallet address (its identity signs the envelope)
+   * @param {Object} [options] - Encryption options
+   * @param {Object} [options.context] - String fields to bind to the envelope, such as { messageId }
+   * @param {string} [options.timestamp] - Envelope timestamp (now by default; kept when re-encrypting stored envelopes)
    * @returns {Promise<Object>} - Encrypted message data
+   * @throws {ValidationError} - If no recipient is given, or no cipher is supported by all recipients
+   * @throws {AuthorizationError} - If the sender's identity is not available
+   * @throws {NotFoundError} - If a recipient has no published encryption key (without a Seal strategy)
    */
-  async encryptMessage(message, recipientAddress, senderAddress) {
+  async encryptMessage(message, recipients, senderAddress, options = {}) {
+    const recipientAddresses = [...new Set([recipients].flat().filter(Boolean))];
     try {
-      console.log(`Encrypting message for recipient: ${recipientAddress}`);
+      this.logger.debug('Encrypting message', { operation: 'encryptMessage', recipientCount: recipientAddresses.length });
+      
+      if (recipientAddresses.length === 0) {
+        throw new ValidationError('At least one recipient is required');
+      }
+      
+      const senderIdentity = this.identities.get(senderAddress);
+      if (!senderIdentity) {
+        throw new AuthorizationError(`No signing key available for ${senderAddress}`, {
+          details: { expected: senderAddress }
+        });
+      }
+      
+      const context = options.context || {};
+      validateContext(context);
+      const publicKeys = this.seal
+        ? null
+        : await Promise.all(recipientAddresses.map(address => this.getEncryptionPublicKey(address)));
+      const cipher = await this.negotiateCipher(recipientAddresses);
+      const metadata = {
+        version: ENVELOPE_VERSION,
+        cipher: cipher.id,
+        sender: senderAddress,
+        recipients: recipientAddresses,
+        timestamp: options.timestamp || new Date().toISOString(),
+        context,
+        ...(this.seal && { seal: { identity: createRecipientIdentity(recipientAddresses) } })
+      };
       
       // Convert message to bytes
       const messageBytes = new TextEncoder().encode(message);
       
       // Generate a random encryption key
-      const encryptionKey = await this.generateKey();
-      const keyBytes = await this.exportKey(encryptionKey);
-      
-      // Generate a random IV
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-      
-      // Encrypt the message
-      const encryptedMessage = await crypto.subtle.encrypt(
-        {
-          name: this.algorithm,
-          iv: iv
-        },
-        encryptionKey,
-        messageBytes
-      );
+      const keyBytes = crypto.getRandomValues(new Uint8Array(cipher.keyLength));
       
-      // In a real implementation with @mysten/seal, you would:
-      // 1. Use the seal function to encrypt the key for the recipient
-      // 2. Only the recipient could decrypt the key using their private key
-      // 3. Then use the decrypted key to decrypt the message
+      // Encrypt the message, authenticating the metadata with it
+      const { iv, encryptedMessage } = await this.encryptContent(
+        cipher,
+        keyBytes,
+        messageBytes,
+        encodeAssociatedData(metadata, context)
+      );
       
-      // For this demonstration, we'll simulate the sealed key
-      // (In reality, this would be the result of seal(keyBytes, recipientAddress, senderAddress))
-      const sealedKey = keyBytes; // This is just a simulation
+      // Seal or wrap the content key so only the recipients can recover it
+      let keys;
+      if (this.seal) {
+        const identity = metadata.seal.identity;
+        keys = { seal: { identity, sealedKey: await this.seal.encryptKey(keyBytes, { identity }) } };
+      } else {
+        keys = wrapKeyForRecipients(keyBytes, publicKeys); // One wrapped key per recipient, in the same order
+      }
       
       // Create the encrypted message structure
       const encryptedData = {
-        encryptedMessage: new Uint8Array(encryptedMessage),
-        sealedKey: sealedKey,
-        iv: iv,
+        version: metadata.version,
+        cipher: metadata.cipher,
+        encryptedMessage,
+        iv,
+        ...keys,
+        recipients: recipientAddresses,
+        sender: senderAddress,
+        timestamp: metadata.timestamp,
+        context
+      };
+      encryptedData.signature = senderIdentity.sign(await digestSignedFields(encryptedData));
+      
+      return encryptedData;
+    } catch (error) {
+      this.logger.error('Error encrypting message', { operation: 'encryptMessage', recipientCount: recipientAddresses.length, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt a message with a conversation group key
+   * The group key is distributed to the members of its key epoch separately;
+   * the envelope only names the conversation and epoch of the key.
+   * @param {string} message - The message to encrypt
+   * @param {Array<string>} recipients - The members of the key epoch
+   * @param {string} senderAddress - The sender's wallet address (its identity signs the envelope)
+   * @param {Object} groupKey - { conversationId, epoch, key } with the raw 32-byte key
+   * @param {Object} [options] - Encryption options
+   * @param {Object} [options.context] - String fields to bind to the envelope, such as { messageId }
+   * @returns {Promise<Object>} - Encrypted message data
+   * @throws {ValidationError} - If no recipient is given, or no cipher is supported by all recipients
+   * @throws {AuthorizationError} - If the sender's identity is not available
+   */
+  async encryptGroupMessage(message, recipients, senderAddress, groupKey, options = {}) {
+    try {
+      this.logger.debug('Encrypting group message', {
+        operation: 'encryptGroupMessage',
+        conversationId: groupKey.conversationId,
+        keyEpoch: groupKey.epoch
+      });
+      
+      if (recipients.length === 0) {
+        throw new ValidationError('At least one recipient is required');
+      }
+      
+      const senderIdentity = this.identities.get(senderAddress);
+      if (!senderIdentity) {
+        throw new AuthorizationError(`No signing key available for ${senderAddress}`, {
+          details: { expected: senderAddress }
+        });
+      }
+      
+      const context = options.context || {};
+      validateContext(context);
+      const cipher = await this.negotiateCipher(recipients);
+      const metadata = {
+        version: ENVELOPE_VERSION,
+        cipher: cipher.id,
         sender: senderAddress,
-        recipient: recipientAddress,
-        timestamp: new Date().toISOString()
+        recipients: [...new Set(recipients)],
+        timestamp: new Date().toISOString(),
+        groupKey: { conversationId: groupKey.conversationId, epoch: groupKey.epoch }
       };
       
-      console.log('Message encrypted successfully');
+      const { iv, encryptedMessage } = await this.encryptContent(
+        cipher,
+        groupKey.key,
+        new TextEncoder().encode(message),
+        encodeAssociatedData(metadata, context)
+      );
+      
+      const encryptedData = { ...metadata, encryptedMessage, iv, context };
+      encryptedData.signature = senderIdentity.sign(await digestSignedFields(encryptedData));
       return encryptedData;
     } catch (error) {
-      console.error('Error encrypting message:', error);
+      this.logger.error('Error encrypting group message', {
+        operation: 'encryptGroupMessage',
+        conversationId: groupKey.conversationId,
+        error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the public key record of one of this service's identities
+   * The record declares the ciphers of the registry that are not retired, so
+   * senders can negotiate them; a prekey published before is kept. The record
+   * is signed with the identity's signing key.
+   * @param {string} address - Wallet address of one of this service's identities
+   * @param {Object} [options] - Publishing options
+   * @param {Object} [options.prekey] - Signed prekey to publish in place of the existing one ({ publicKey, signature }, base64)
+   * @returns {Promise<Object>} - The published public key record
+   * @throws {AuthorizationError} - If the identity is not available, or the directory holds keys for the
+   *   address under another signing key
+   */
+  async publishPublicKeys(address, options = {}) {
+    const identity = this.identities.get(address);
+    if (!identity) {
+      throw new AuthorizationError(`No signing key available for ${address}`, { details: { expected: address } });
+    }
+
+    const existing = await this.keyDirectory.getPublicKeys(address);
+    return await this.keyDirectory.publishPublicKeys(identity.toPublicRecord({
+      ciphers: this.ciphers.getSupportedCiphers(),
+      prekey: options.prekey || existing?.prekey
+    }));
+  }
+
+  /**
+   * Create a new signed prekey for an identity and publish it in the key directory
+   * Peers start ratchet sessions with the published prekey. The session store
+   * keeps the private keys of the new prekey and the previous one, and deletes
+   * older ones; messages sent before a peer's reply are forward secret once the
+   * prekey they used is deleted, so rotate regularly (e.g. weekly).
+   * @param {string} address - Wallet address of one of this service's identities
+   * @returns {Promise<Object>} - The published public key record
+   * @throws {ValidationError} - If no session store is configured
+   * @throws {AuthorizationError} - If the identity is not available
+   */
+  async rotatePrekey(address) {
+    if (!this.sessionStore) {
+      throw new ValidationError('A session store is required for prekeys');
+    }
+    const identity = this.identities.get(address);
+    if (!identity) {
+      throw new AuthorizationError(`No signing key available for ${address}`, { details: { expected: address } });
+    }
+
+    const prekey = createSignedPrekey(identity);
+    await this.sessionStore.savePrekey(address, prekey);
+
+    const record = await this.publishPublicKeys(address, {
+      prekey: {
+        publicKey: Buffer.from(prekey.publicKey).toString('base64'),
+        signature: Buffer.from(prekey.signature).toString('base64')
+      }
+    });
+    this.logger.info('Prekey rotated', { operation: 'rotatePrekey', address });
+    return record;
+  }
+
+  /**
+   * Encrypt a message to a single recipient with a ratchet session
+   * The message key comes from the session shared with the recipient, which is
+   * started from the recipient's published key and signed prekey if there is
+   * none yet. Each key is used once, and neither side can decrypt the message
+   * again after the recipient has read it; the sender cannot decrypt it at all, so
+   * callers that need to read it back keep their own copy of the plaintext.
+   * @param {string} message - The message to encrypt
+   * @param {string} recipientAddress - The recipient's wallet address
+   * @param {string} senderAddress - The sender's wallet address (its identity signs the envelope)
+   * @param {Object} [options] - Encryption options
+   * @param {Object} [options.context] - String fields to bind to the envelope, such as { messageId }
+   * @returns {Promise<Object>} - Encrypted message data
+   * @throws {ValidationError} - If no session store is configured, or the recipient supports no cipher of the registry
+   * @throws {AuthorizationError} - If the sender's identity is not available, or the recipient's prekey
+   *   is not signed by the recipient
+   * @throws {NotFoundError} - If the recipient has no published encryption key
+   */
+  async encryptRatchetMessage(message, recipientAddress, senderAddress, options = {}) {
+    try {
+      this.logger.debug('Encrypting ratchet message', { operation: 'encryptRatchetMessage', recipient: recipientAddress });
+      
+      if (!this.sessionStore) {
+        throw new ValidationError('A session store is required for ratchet sessions');
+      }
+      
+      const senderIdentity = this.identities.get(senderAddress);
+      if (!senderIdentity) {
+        throw new AuthorizationError(`No signing key available for ${senderAddress}`, {
+          details: { expected: senderAddress }
+        });
+      }
+      
+      const context = options.context || {};
+      validateContext(context);
+      const cipher = await this.negotiateCipher([recipientAddress]);
+      
+      return await this.withSessionLock(senderAddress, recipientAddress, async () => {
+        const sessions = await this.sessionStore.getSessions(senderAddress, recipientAddress);
+        const session = sessions.find(candidate => candidate.canSend()) || await this.initiateSession(
+          senderIdentity,
+          recipientAddress
+        );
+        
+        const { header, messageKey } = session.nextSendingKey();
+        const metadata = {
+          version: ENVELOPE_VERSION,
+          cipher: cipher.id,
+          sender: senderAddress,
+          recipients: [recipientAddress],
+          timestamp: new Date().toISOString(),
+          ratchet: header
+        };
+        
+        const { iv, encryptedMessage } = await this.encryptContent(
+          cipher,
+          messageKey,
+          new TextEncoder().encode(message),
+          encodeAssociatedData(metadata, context)
+        );
+        
+        const encryptedData = { ...metadata, encryptedMessage, iv, context };
+        encryptedData.signature = senderIdentity.sign(await digestSignedFields(encryptedData));
+        
+        // The message key is gone once the advanced session is saved
+        await this.sessionStore.saveSession(session);
+        return encryptedData;
+      });
+    } catch (error) {
+      this.logger.error('Error encrypting ratchet message', { operation: 'encryptRatchetMessage', recipient: recipientAddress, error });
       throw error;
     }
   }
 
   /**
-   * Decrypt a message using Web Crypto API
+   * Start a ratchet session with a peer
+   * @param {WalletIdentity} identity - Own identity
+   * @param {string} peerAddress - Peer's wallet address
+   * @returns {Promise<RatchetSession>} - The session, ready to send
+   * @throws {NotFoundError} - If the peer has no published encryption key
+   * @throws {AuthorizationError} - If the peer's prekey is not signed by the peer
+   */
+  async initiateSession(identity, peerAddress) {
+    const peerPublicKey = await this.getEncryptionPublicKey(peerAddress);
+    const peerPrekey = await this.getSignedPrekey(peerAddress);
+    if (!peerPrekey) {
+      this.logger.warn('Peer has no signed prekey; messages before its first reply depend on its identity key', {
+        operation: 'encryptRatchetMessage',
+        recipient: peerAddress
+      });
+    }
+    return RatchetSession.initiate({
+      localAddress: identity.address,
+      peerAddress,
+      localPrivateKey: identity.encryptionPrivateKey,
+      peerPublicKey,
+      peerPrekey
+    });
+  }
+
+  /**
+   * Check the sender's signature on an envelope
+   * The signing key counts as the sender's if the sender address is derived
+   * from it, or if it is the key published for the sender
    * @param {Object} encryptedData - The encrypted message data
-   * @param {string} recipientAddress - The recipient's wallet address (for verification)
-   * @param {string} senderAddress - The sender's wallet address (for verification)
-   * @returns {Promise<string>} - The decrypted message
+   * @returns {Promise<Object>} - { status, reason } where status is a SignatureStatus
+   * @throws {AuthorizationError} - If the signature is invalid or made with a key other than the sender's published key
+   */
+  async verifySignature(encryptedData) {
+    const sender = encryptedData.sender;
+    if (!encryptedData.signature) {
+      return { status: SignatureStatus.UNVERIFIED, reason: 'Envelope is not signed' };
+    }
+
+    let { valid, publicKey } = verifyPersonalMessage(await digestSignedFields(encryptedData), encryptedData.signature);
+    if (!valid && encryptedData.recipients.length <= LEGACY_SIGNATURE_MAX_RECIPIENTS) {
+      // Envelopes signed before the recipient count was a uint32, when it could not exceed one byte
+      ({ valid, publicKey } = verifyPersonalMessage(
+        await digestSignedFields(encryptedData, { legacy: true }),
+        encryptedData.signature
+      ));
+    }
+    if (!valid) {
+      throw new AuthorizationError('Invalid sender signature', { details: { expected: sender } });
+    }
+
+    if (deriveSuiAddress(publicKey) === sender.toLowerCase()) {
+      return { status: SignatureStatus.VERIFIED, reason: 'Signed by the key of the sender address' };
+    }
+
+    const signingPublicKey = (await this.lookupPublicKeys(sender))?.signingPublicKey;
+    if (!signingPublicKey) {
+      return { status: SignatureStatus.UNVERIFIED, reason: `No signing key known for ${sender}` };
+    }
+    if (!Buffer.from(signingPublicKey).equals(Buffer.from(publicKey))) {
+      throw new AuthorizationError('Envelope was signed with a key not published for the sender', {
+        details: { expected: sender }
+      });
+    }
+    return { status: SignatureStatus.VERIFIED, reason: 'Signed by the key published for the sender' };
+  }
+
+  /**
+   * Verify and decrypt a message
+   * @param {Object} encryptedData - The encrypted message data
+   * @param {string} recipientAddress - The wallet address to decrypt as (must be one of the recipients,
+   *   unless the envelope is encrypted with a group key)
+   * @param {string} senderAddress - The expected sender's wallet address
+   * @param {Object} [options] - Decryption options
+   * @param {Object} [options.context] - Expected context (the envelope's own context by default);
+   *   decryption fails unless it matches the context the envelope was encrypted with
+   * @param {Uint8Array} [options.groupKey] - Raw group key, required for group key envelopes
+   * @returns {Promise<Object>} - The message, its signature check and the envelope format version
+   *   ({ message, verification, version })
+   * @throws {AuthorizationError} - If the message is not addressed to the recipient, not from the sender,
+   *   not validly signed, or the recipient's private key is not available, or key servers deny the recipient
+   * @throws {DecryptionError} - If the ciphertext or its metadata was modified, the envelope has no
+   *   authenticated metadata and legacy envelopes are not accepted, its content key is unencrypted and such
+   *   envelopes are not accepted, or its group key or Seal strategy is missing
    */
-  async decryptMessage(encryptedData, recipientAddress, senderAddress) {
+  async openMessage(encryptedData, recipientAddress, senderAddress, options = {}) {
     try {
-      console.log(`Decrypting message from sender: ${senderAddress}`);
+      this.logger.debug('Decrypting message', { operation: 'openMessage', sender: senderAddress });
       
-      // Verify the message is intended for this recipient
-      if (encryptedData.recipient !== recipientAddress) {
-        throw new Error('Message is not intended for this recipient');
+      // Verify the message is intended for this recipient; group key holders may also
+      // read messages of key epochs shared with them after they were sent
+      if (!encryptedData.groupKey && !encryptedData.recipients.includes(recipientAddress)) {
+        throw new AuthorizationError('Message is not intended for this recipient', {
+          details: { expected: recipientAddress, actual: encryptedData.recipients }
+        });
       }
       
       if (encryptedData.sender !== senderAddress) {
-        throw new Error('Message sender verification failed');
+        throw new AuthorizationError('Message sender verification failed', {
+          details: { expected: senderAddress, actual: encryptedData.sender }
+        });
+      }
+      
+      if (!this.identities.has(recipientAddress)) {
+        throw new AuthorizationError(`No private key available for ${recipientAddress}`, {
+          details: { expected: recipientAddress }
+        });
+      }
+      
+      const legacy = encryptedData.version < ENVELOPE_VERSION;
+      if (legacy) {
+        if (!this.acceptLegacyEnvelopes) {
+          throw new DecryptionError('Envelope metadata is not authenticated', {
+            details: { version: encryptedData.version }
+          });
+        }
+        this.logger.warn('Decrypting envelope without authenticated metadata', {
+          operation: 'openMessage',
+          sender: senderAddress,
+          version: encryptedData.version
+        });
+      }
+      if (encryptedData.unwrappedKey && !this.acceptUnwrappedKeys) {
+        throw new DecryptionError('Envelope stores its content key unencrypted; enable acceptUnwrappedKeys to upgrade it', {
+          details: { version: encryptedData.version }
+        });
       }
       
-      // In a real implementation with @mysten/seal, you would:
-      // 1. Use the unseal function with the recipient's private key to get the encryption key
-      // 2. Then use that key to decrypt the message
+      // Check who signed the envelope before touching the ciphertext
+      const verification = await this.verifySignature(encryptedData);
       
-      // For this demonstration, we'll simulate the unsealing process
-      const keyBytes = await this.unsealKey(encryptedData.sealedKey, recipientAddress);
-      const encryptionKey = await this.importKey(keyBytes);
+      const additionalData = legacy
+        ? null
+        : encodeAssociatedData(encryptedData, options.context || encryptedData.context);
       
-      // Decrypt the message
-      const decryptedBytes = await crypto.subtle.decrypt(
-        {
-          name: this.algorithm,
-          iv: encryptedData.iv
-        },
-        encryptionKey,
-        encryptedData.encryptedMessage
-      );
+      let decryptedBytes;
+      if (encryptedData.ratchet) {
+        decryptedBytes = await this.openRatchetContent(encryptedData, recipientAddress, additionalData);
+      } else if (encryptedData.groupKey) {
+        if (!options.groupKey) {
+          throw new DecryptionError('A group key is required to decrypt this message', {
+            details: { ...encryptedData.groupKey }
+          });
+        }
+        decryptedBytes = await this.decryptContent(options.groupKey, encryptedData, additionalData);
+      } else if (encryptedData.seal) {
+        if (!this.seal) {
+          throw new DecryptionError('A Seal strategy is required to decrypt this message');
+        }
+        const keyBytes = await this.seal.decryptKey(encryptedData.seal.sealedKey, {
+          identity: encryptedData.seal.identity,
+          requester: this.identities.get(recipientAddress)
+        });
+        decryptedBytes = await this.decryptContent(keyBytes, encryptedData, additionalData);
+      } else {
+        let keyBytes;
+        try {
+          keyBytes = await this.unsealKey(encryptedData, recipientAddress);
+        } catch (error) {
+          throw new DecryptionError('Failed to decrypt message: ciphertext or metadata was modified', { cause: error });
+        }
+        decryptedBytes = await this.decryptContent(keyBytes, encryptedData, additionalData);
+      }
       
       const decryptedMessage = new TextDecoder().decode(decryptedBytes);
-      console.log('Message decrypted successfully');
       
-      return decryptedMessage;
+      return { message: decryptedMessage, verification, version: encryptedData.version };
     } catch (error) {
-      console.error('Error decrypting message:', error);
+      this.logger.error('Error decrypting message', { operation: 'openMessage', sender: senderAddress, error });
       throw error;
     }
   }
 
   /**
-   * Unseal a key (simulated for this example)
-   * In a real implementation, this would use the recipient's private key with @mysten/seal
-   * @param {Uint8Array} sealedKey - The sealed key
+   * Decrypt the content of an envelope with the cipher it records
+   * Retired ciphers still decrypt, so envelopes stored before they were retired stay readable
+   * @param {Uint8Array} keyBytes - Raw content key
+   * @param {Object} encryptedData - The encrypted message data
+   * @param {Uint8Array|null} additionalData - Authenticated data (null for legacy envelopes)
+   * @returns {Promise<Uint8Array>} - The decrypted content
+   * @throws {DecryptionError} - If the cipher is not registered, or the ciphertext or its metadata was modified
+   */
+  async decryptContent(keyBytes, encryptedData, additionalData) {
+    const cipher = this.ciphers.getCipher(encryptedData.cipher ?? CipherAlgorithm.AES_256_GCM);
+    if (this.ciphers.isRetired(cipher.name)) {
+      this.logger.warn('Decrypting envelope with a retired cipher', { operation: 'decryptContent', cipher: cipher.name });
+    }
+    try {
+      // Modified metadata makes the authentication tag check fail
+      return await cipher.decrypt(keyBytes, encryptedData.iv, encryptedData.encryptedMessage, additionalData);
+    } catch (error) {
+      throw new DecryptionError('Failed to decrypt message: ciphertext or metadata was modified', { cause: error });
+    }
+  }
+
+  /**
+   * Decrypt the content of a ratchet envelope with the session shared with its sender
+   * A session started by the sender is accepted on its first message, with the
+   * prekey it names. The session is only saved, and the message key deleted,
+   * once decryption succeeded.
+   * @param {Object} encryptedData - The encrypted message data
+   * @param {string} recipientAddress - The recipient's address
+   * @param {Uint8Array} additionalData - Authenticated data
+   * @returns {Promise<Uint8Array>} - The decrypted content
+   * @throws {DecryptionError} - If no session store is configured, the message key was already used,
+   *   the prekey the session was started with was deleted, or the ciphertext or its metadata was modified
+   */
+  async openRatchetContent(encryptedData, recipientAddress, additionalData) {
+    if (!this.sessionStore) {
+      throw new DecryptionError('A session store is required to decrypt ratchet messages');
+    }
+
+    const sender = encryptedData.sender;
+    const sessionId = Buffer.from(encryptedData.ratchet.sessionId).toString('base64');
+    return await this.withSessionLock(recipientAddress, sender, async () => {
+      const sessions = await this.sessionStore.getSessions(recipientAddress, sender);
+      const session = sessions.find(candidate => candidate.id === sessionId)?.clone() || RatchetSession.respond({
+        localAddress: recipientAddress,
+        peerAddress: sender,
+        localPrivateKey: this.identities.get(recipientAddress).encryptionPrivateKey,
+        peerPublicKey: await this.getEncryptionPublicKey(sender),
+        sessionId: encryptedData.ratchet.sessionId,
+        prekeyPrivateKey: await this.findPrekey(recipientAddress, encryptedData.ratchet.prekey)
+      });
+
+      const messageKey = session.receivingKey(encryptedData.ratchet);
+      const decryptedBytes = await this.decryptContent(messageKey, encryptedData, additionalData);
+      await this.sessionStore.saveSession(session);
+      return decryptedBytes;
+    });
+  }
+
+  /**
+   * Find the private key of an own prekey
+   * @param {string} address - Own wallet address
+   * @param {Uint8Array|null} publicKey - Prekey public key from a message header (null for sessions without one)
+   * @returns {Promise<Uint8Array|null>} - The private key, or null if no prekey is named
+   * @throws {DecryptionError} - If the prekey was already deleted
+   */
+  async findPrekey(address, publicKey) {
+    if (!publicKey) {
+      return null;
+    }
+    const prekeys = await this.sessionStore.getPrekeys(address);
+    const prekey = prekeys.find(candidate => Buffer.from(candidate.publicKey).equals(Buffer.from(publicKey)));
+    if (!prekey) {
+      throw new DecryptionError('The prekey this session was started with has been deleted', {
+        details: { prekey: Buffer.from(publicKey).toString('base64') }
+      });
+    }
+    return prekey.privateKey;
+  }
+
+  /**
+   * Decrypt a message
+   * Like openMessage, but returns only the plaintext
+   * @param {Object} encryptedData - The encrypted message data
+   * @param {string} recipientAddress - The wallet address to decrypt as (must be one of the recipients)
+   * @param {string} senderAddress - The expected sender's wallet address
+   * @param {Object} [options] - Decryption options (see openMessage)
+   * @returns {Promise<string>} - The decrypted message
+   * @throws {AuthorizationError|DecryptionError} - See openMessage
+   */
+  async decryptMessage(encryptedData, recipientAddress, senderAddress, options = {}) {
+    return (await this.openMessage(encryptedData, recipientAddress, senderAddress, options)).message;
+  }
+
+  /**
+   * Re-encrypt a legacy envelope in the current format
+   * The envelope keeps its sender, recipients and timestamp. Only envelopes sent
+   * by one of this service's identities and readable by one of them can be
+   * upgraded, since the new envelope is signed by the sender.
+   * @param {Object} encryptedData - The encrypted message data
+   * @param {Object} [options] - Upgrade options
+   * @param {Object} [options.context] - String fields to bind to the new envelope
+   * @returns {Promise<Object>} - The upgraded envelope, or the given one if it is already current
+   * @throws {AuthorizationError} - If the envelope cannot be read or signed by this service's identities
+   */
+  async upgradeEnvelope(encryptedData, options = {}) {
+    if (encryptedData.version >= ENVELOPE_VERSION) {
+      return encryptedData;
+    }
+
+    const reader = encryptedData.recipients.find(address => this.identities.has(address));
+    if (!reader) {
+      throw new AuthorizationError('No private key available for any recipient of the envelope', {
+        details: { actual: encryptedData.recipients }
+      });
+    }
+
+    const message = await this.decryptMessage(encryptedData, reader, encryptedData.sender);
+    return await this.encryptMessage(message, encryptedData.recipients, encryptedData.sender, {
+      context: options.context,
+      timestamp: encryptedData.timestamp
+    });
+  }
+
+  /**
+   * Unseal the content key with a recipient's private key
+   * @param {Object} encryptedData - The encrypted message data
    * @param {string} recipientAddress - The recipient's address
    * @returns {Promise<Uint8Array>} - The unsealed key bytes
+   * @throws {DecryptionError} - If the key was not wrapped to the recipient
    */
-  async unsealKey(sealedKey, recipientAddress) {
-    // This is a simplified simulation
-    // In reality, you would use the recipient's private key to unseal
-    console.log(`Unsealing key for recipient: ${recipientAddress}`);
-    
-    // For demonstration purposes, we'll return the sealed key as-is
-    // In a real implementation, you would use the unseal function from @mysten/seal
-    return sealedKey;
+  async unsealKey(encryptedData, recipientAddress) {
+    this.logger.debug('Unsealing key', { operation: 'unsealKey', recipient: recipientAddress });
+    const { encryptionPrivateKey } = this.identities.get(recipientAddress);
+
+    // Single-recipient envelopes written before multi-recipient support
+    if (encryptedData.unwrappedKey) {
+      this.logger.warn('Using unencrypted content key', { operation: 'unsealKey', sender: encryptedData.sender });
+      return encryptedData.sealedKey;
+    }
+    if (encryptedData.sealedKey) {
+      return unwrapKey(encryptedData.sealedKey, encryptionPrivateKey);
+    }
+
+    const index = encryptedData.recipients.indexOf(recipientAddress);
+    return unwrapKeyForRecipient(encryptedData.ephemeralPublicKey, encryptedData.wrappedKeys[index], encryptionPrivateKey);
   }
 
   /**
    * Serialize encrypted data for storage
    * @param {Object} encryptedData - The encrypted message data
-   * @returns {Uint8Array} - Serialized data
+   * @returns {Uint8Array} - Serialized data (binary envelope, see envelope-codec.js)
    */
   serializeEncryptedData(encryptedData) {
-    const data = {
-      encryptedMessage: Array.from(encryptedData.encryptedMessage),
-      sealedKey: Array.from(encryptedData.sealedKey),
-      iv: Array.from(encryptedData.iv),
-      sender: encryptedData.sender,
-      recipient: encryptedData.recipient,
-      timestamp: encryptedData.timestamp
-    };
-    
-    return new TextEncoder().encode(JSON.stringify(data));
+    return encodeEnvelope(encryptedData);
+  }
+
+  /**
+   * Serialize encrypted data for storage, hiding its metadata in privacy mode
+   * Private envelopes can be opened by the sender and recipients, or for group
+   * key envelopes by every holder of the group key, so members the key is
+   * shared with later can still read them
+   * @param {Object} encryptedData - The encrypted message data
+   * @param {Object} [options] - Serialization options
+   * @param {Uint8Array} [options.groupKey] - Raw group key, required for group key envelopes in privacy mode
+   * @returns {Promise<Uint8Array>} - Serialized data (a private envelope in privacy mode)
+   * @throws {ValidationError} - If a group key envelope is given without its group key in privacy mode
+   * @throws {NotFoundError} - If the sender or a recipient has no published encryption key in privacy mode
+   */
+  async serializeForStorage(encryptedData, options = {}) {
+    const envelope = this.serializeEncryptedData(encryptedData);
+    if (!this.privacy) {
+      return envelope;
+    }
+
+    if (encryptedData.groupKey) {
+      if (!options.groupKey) {
+        throw new ValidationError('A group key is required to store group messages privately', {
+          details: { ...encryptedData.groupKey }
+        });
+      }
+      return encodePrivateEnvelope(envelope, { groupKey: options.groupKey });
+    }
+
+    const readers = [...new Set([encryptedData.sender, ...encryptedData.recipients])];
+    const recipientPublicKeys = await Promise.all(readers.map(address => this.getEncryptionPublicKey(address)));
+    return encodePrivateEnvelope(envelope, { recipientPublicKeys });
   }
 
   /**
    * Deserialize encrypted data from storage
+   * Private envelopes are opened with this service's identities, or the given
+   * group keys. Binary envelopes are detected by their magic header; anything
+   * else is read as the JSON format written by earlier versions
    * @param {Uint8Array} serializedData - The serialized data
+   * @param {Object} [options] - Deserialization options
+   * @param {Array<Uint8Array>} [options.groupKeys] - Raw group keys to open private group key envelopes with
    * @returns {Object} - The encrypted message data
+   * @throws {AuthorizationError} - If a private envelope is not addressed to this service's identities or group keys
+   * @throws {DecryptionError} - If the data is not a serialized encrypted message
    */
-  deserializeEncryptedData(serializedData) {
-    const jsonString = new TextDecoder().decode(serializedData);
-    const data = JSON.parse(jsonString);
+  deserializeEncryptedData(serializedData, options = {}) {
+    if (isPrivateEnvelope(serializedData)) {
+      const envelope = decodePrivateEnvelope(serializedData, {
+        privateKeys: [...this.identities.values()].map(identity => identity.encryptionPrivateKey),
+        groupKeys: options.groupKeys
+      });
+      if (!isBinaryEnvelope(envelope)) {
+        throw new DecryptionError('Malformed encrypted data: private envelope does not hold a binary envelope');
+      }
+      return decodeEnvelope(envelope);
+    }
+    if (isBinaryEnvelope(serializedData)) {
+      return decodeEnvelope(serializedData);
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder().decode(serializedData));
+    } catch (error) {
+      throw new DecryptionError('Malformed encrypted data', { cause: error });
+    }
+    if (!data?.encryptedMessage || !data.iv) {
+      throw new DecryptionError('Malformed encrypted data: missing ciphertext or IV');
+    }
+    
+    // Single-recipient envelopes carry one sealed key and a recipient field;
+    // the first ones stored the content key itself instead of wrapping it
+    if (data.sealedKey) {
+      return {
+        version: LEGACY_ENVELOPE_VERSION,
+        encryptedMessage: new Uint8Array(data.encryptedMessage),
+        sealedKey: new Uint8Array(data.sealedKey),
+        unwrappedKey: data.sealedKey.length === UNWRAPPED_KEY_LENGTH,
+        iv: new Uint8Array(data.iv),
+        recipients: [data.recipient],
+        sender: data.sender,
+        timestamp: data.timestamp
+      };
+    }
+    
+    if (!data.ephemeralPublicKey || !Array.isArray(data.recipients) || data.wrappedKeys?.length !== data.recipients.length) {
+      throw new DecryptionError('Malformed encrypted data: missing or mismatched recipient keys');
+    }
     
+    // Envelopes without a version were written before metadata was authenticated
     return {
+      version: data.version || LEGACY_ENVELOPE_VERSION,
       encryptedMessage: new Uint8Array(data.encryptedMessage),
-      sealedKey: new Uint8Array(data.sealedKey),
       iv: new Uint8Array(data.iv),
+      ephemeralPublicKey: new Uint8Array(data.ephemeralPublicKey),
+      recipients: data.recipients,
+      wrappedKeys: data.wrappedKeys.map(key => new Uint8Array(key)),
       sender: data.sender,
-      recipient: data.recipient,
-      timestamp: data.timestamp
+      timestamp: data.timestamp,
+      context: data.context || {},
+      signature: data.signature ? new Uint8Array(data.signature) : null
     };
   }
 } 
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Endpoint Pool
+ * Tracks the health of a list of Walrus endpoints (aggregators or publishers)
+ * and provides the retry/backoff helpers used for failover between them
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * HTTP status codes that are worth retrying on another attempt or endpoint
+ */
+export const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Default retry settings
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 4,      // Total attempts across all endpoints
+  baseDelayMs: 250,    // Backoff delay for the first retry round
+  maxDelayMs: 5000,    // Upper bound for a single backoff delay
+  timeoutMs: 30000     // Per-request timeout
+};
+
+/**
+ * Compute an exponential backoff delay with full jitter
+ * @param {number} round - The retry round (0 for the first retry)
+ * @param {Object} options - Retry options with baseDelayMs and maxDelayMs
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffDelay(round, options = DEFAULT_RETRY_OPTIONS) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** round);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class EndpointPool {
+  /**
+   * @param {Array<string>} urls - Endpoint base URLs in order of preference
+   * @param {Object} options - Health tracking options
+   * @param {number} [options.failureThreshold] - Consecutive failures before an endpoint is marked unhealthy
+   * @param {number} [options.cooldownMs] - How long an unhealthy endpoint is skipped before it is tried again
+   */
+  constructor(urls, options = {}) {
+    const uniqueUrls = [...new Set((urls || []).filter(Boolean).map(url => url.replace(/\/+$/, '')))];
+    if (uniqueUrls.length === 0) {
+      throw new ValidationError('EndpointPool requires at least one endpoint URL');
+    }
+
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.endpoints = uniqueUrls.map(url => ({
+      url,
+      consecutiveFailures: 0,
+      totalFailures: 0,
+      totalSuccesses: 0,
+      lastFailureAt: null,
+      lastLatencyMs: null
+    }));
+  }
+
+  /**
+   * Check whether an endpoint is currently considered healthy
+   * @param {Object} endpoint - Endpoint state
+   * @returns {boolean} - True if healthy
+   */
+  isHealthy(endpoint) {
+    if (endpoint.consecutiveFailures < this.failureThreshold) {
+      return true;
+    }
+    // Give unhealthy endpoints another chance once the cooldown has passed
+    return Date.now() - endpoint.lastFailureAt >= this.cooldownMs;
+  }
+
+  /**
+   * Get endpoint URLs ordered for the next request
+   * Healthy endpoints keep their configured order; unhealthy ones follow,
+   * least recently failed first
+   * @returns {Array<string>} - Ordered endpoint URLs
+   */
+  getOrderedUrls() {
+    const healthy = this.endpoints.filter(endpoint => this.isHealthy(endpoint));
+    const unhealthy = this.endpoints
+      .filter(endpoint => !this.isHealthy(endpoint))
+      .sort((a, b) => a.lastFailureAt - b.lastFailureAt);
+
+    return [...healthy, ...unhealthy].map(endpoint => endpoint.url);
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} url - Endpoint URL
+   * @param {number} latencyMs - Request latency in milliseconds
+   */
+  markSuccess(url, latencyMs) {
+    const endpoint = this.endpoints.find(e => e.url === url);
+    if (!endpoint) return;
+    endpoint.consecutiveFailures = 0;
+    endpoint.totalSuccesses++;
+    endpoint.lastLatencyMs = latencyMs;
+  }
+
+  /**
+   * Record a failed request
+   * @param {string} url - Endpoint URL
+   */
+  markFailure(url) {
+    const endpoint = this.endpoints.find(e => e.url === url);
+    if (!endpoint) return;
+    endpoint.consecutiveFailures++;
+    endpoint.totalFailures++;
+    endpoint.lastFailureAt = Date.now();
+  }
+
+  /**
+   * Get a snapshot of endpoint health
+   * @returns {Array<Object>} - Health information per endpoint
+   */
+  getHealth() {
+    return this.endpoints.map(endpoint => ({
+      ...endpoint,
+      healthy: this.isHealthy(endpoint)
+    }));
+  }
+}
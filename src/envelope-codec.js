@@ -0,0 +1,209 @@
+/**
+ * Envelope Codec
+ * Compact binary encoding of encrypted message envelopes
+ *
+ * Layout (integers are big-endian; "bytes" is a uint32 length followed by the bytes):
+ *   magic "WME1" | envelope version (uint8) | cipher (uint8) | key wrapping (uint8)
+ *   | sender bytes | timestamp bytes | context field count (uint32) | context key/value bytes...
+ *   | recipient count (uint32) | recipient bytes... | ephemeral public key bytes
+ *   | wrapped key bytes... (one per recipient) | iv bytes | signature bytes (empty if unsigned)
+ *   | ciphertext bytes
+ * Ratchet envelopes carry the ratchet header bytes, group key envelopes the
+ * conversation ID bytes and key epoch (uint32), and Seal envelopes the identity
+ * bytes and sealed key bytes, in place of the ephemeral public key and wrapped keys.
+ * Strings are UTF-8.
+ */
+
+import { DecryptionError, ValidationError } from './errors.js';
+import { decodeRatchetHeader, encodeRatchetHeader } from './ratchet-session.js';
+
+const ENVELOPE_MAGIC = new TextEncoder().encode('WME1');
+
+/**
+ * Content encryption algorithm identifiers of the built-in ciphers (see cipher-registry.js)
+ * Envelopes may record any identifier from 0 to 255; the cipher registry of the
+ * decrypting service decides whether it is supported.
+ */
+export const CipherAlgorithm = {
+  AES_256_GCM: 0x01,
+  CHACHA20_POLY1305: 0x02
+};
+
+/**
+ * Content key wrapping algorithm identifiers
+ */
+export const KeyWrapAlgorithm = {
+  X25519_HKDF_SHA256_AES_256_GCM: 0x01,
+  DOUBLE_RATCHET: 0x02,
+  GROUP_KEY: 0x03,
+  SEAL: 0x04
+};
+
+/**
+ * Check whether data is a binary envelope
+ * @param {Uint8Array} data - Serialized data
+ * @returns {boolean} - True if the data starts with the envelope magic
+ */
+export function isBinaryEnvelope(data) {
+  return data.length >= ENVELOPE_MAGIC.length &&
+    ENVELOPE_MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Encode an envelope
+ * @param {Object} encryptedData - The encrypted message data
+ * @returns {Uint8Array} - Binary envelope
+ * @throws {ValidationError} - If the envelope uses the single-recipient legacy layout
+ */
+export function encodeEnvelope(encryptedData) {
+  if (!encryptedData.ephemeralPublicKey && !encryptedData.ratchet && !encryptedData.groupKey && !encryptedData.seal) {
+    throw new ValidationError('Single-recipient legacy envelopes cannot be encoded; upgrade them first');
+  }
+
+  const encoder = new TextEncoder();
+  const context = encryptedData.context || {};
+  const contextFields = Object.keys(context).sort().flatMap(key => [key, context[key]]);
+
+  const keyWrap = encryptedData.ratchet ? KeyWrapAlgorithm.DOUBLE_RATCHET
+    : encryptedData.groupKey ? KeyWrapAlgorithm.GROUP_KEY
+    : encryptedData.seal ? KeyWrapAlgorithm.SEAL
+    : KeyWrapAlgorithm.X25519_HKDF_SHA256_AES_256_GCM;
+  const chunks = [
+    ENVELOPE_MAGIC,
+    new Uint8Array([encryptedData.version, encryptedData.cipher ?? CipherAlgorithm.AES_256_GCM, keyWrap])
+  ];
+  const writeCount = count => {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, count);
+    chunks.push(bytes);
+  };
+  const writeBytes = bytes => {
+    writeCount(bytes.length);
+    chunks.push(bytes);
+  };
+
+  writeBytes(encoder.encode(encryptedData.sender));
+  writeBytes(encoder.encode(encryptedData.timestamp));
+  writeCount(contextFields.length);
+  contextFields.forEach(field => writeBytes(encoder.encode(field)));
+  writeCount(encryptedData.recipients.length);
+  encryptedData.recipients.forEach(address => writeBytes(encoder.encode(address)));
+  if (encryptedData.ratchet) {
+    writeBytes(encodeRatchetHeader(encryptedData.ratchet));
+  } else if (encryptedData.groupKey) {
+    writeBytes(encoder.encode(encryptedData.groupKey.conversationId));
+    writeCount(encryptedData.groupKey.epoch);
+  } else if (encryptedData.seal) {
+    writeBytes(encoder.encode(encryptedData.seal.identity));
+    writeBytes(encryptedData.seal.sealedKey);
+  } else {
+    writeBytes(encryptedData.ephemeralPublicKey);
+    encryptedData.wrappedKeys.forEach(writeBytes);
+  }
+  writeBytes(encryptedData.iv);
+  writeBytes(encryptedData.signature || new Uint8Array(0));
+  writeBytes(encryptedData.encryptedMessage);
+
+  const data = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data;
+}
+
+/**
+ * Decode a binary envelope
+ * The cipher identifier is not checked here, since ciphers can be registered
+ * at runtime; decryption fails if the registry does not know it.
+ * @param {Uint8Array} data - Binary envelope
+ * @returns {Object} - The encrypted message data
+ * @throws {DecryptionError} - If the envelope is truncated or uses an unsupported key wrapping algorithm
+ */
+export function decodeEnvelope(data) {
+  if (!isBinaryEnvelope(data)) {
+    throw new DecryptionError('Malformed encrypted data: not a binary envelope');
+  }
+
+  const decoder = new TextDecoder();
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let offset = ENVELOPE_MAGIC.length;
+
+  const readCount = () => {
+    if (offset + 4 > data.length) {
+      throw new DecryptionError('Malformed encrypted data: envelope is truncated');
+    }
+    const count = view.getUint32(offset);
+    offset += 4;
+    return count;
+  };
+  const readBytes = () => {
+    const length = readCount();
+    if (offset + length > data.length) {
+      throw new DecryptionError('Malformed encrypted data: envelope is truncated');
+    }
+    const bytes = data.slice(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+  const readString = () => decoder.decode(readBytes());
+
+  if (offset + 3 > data.length) {
+    throw new DecryptionError('Malformed encrypted data: envelope is truncated');
+  }
+  const [version, cipher, keyWrap] = data.subarray(offset, offset + 3);
+  offset += 3;
+  if (!Object.values(KeyWrapAlgorithm).includes(keyWrap)) {
+    throw new DecryptionError(`Unsupported key wrapping algorithm: ${keyWrap}`, { details: { keyWrap } });
+  }
+
+  const sender = readString();
+  const timestamp = readString();
+
+  const context = {};
+  const contextFieldCount = readCount();
+  if (contextFieldCount % 2 !== 0) {
+    throw new DecryptionError('Malformed encrypted data: unpaired context field');
+  }
+  for (let i = 0; i < contextFieldCount; i += 2) {
+    context[readString()] = readString();
+  }
+
+  const recipientCount = readCount();
+  const recipients = [];
+  for (let i = 0; i < recipientCount; i++) {
+    recipients.push(readString());
+  }
+
+  let keys;
+  if (keyWrap === KeyWrapAlgorithm.DOUBLE_RATCHET) {
+    keys = { ratchet: decodeRatchetHeader(readBytes()) };
+  } else if (keyWrap === KeyWrapAlgorithm.GROUP_KEY) {
+    keys = { groupKey: { conversationId: readString(), epoch: readCount() } };
+  } else if (keyWrap === KeyWrapAlgorithm.SEAL) {
+    keys = { seal: { identity: readString(), sealedKey: readBytes() } };
+  } else {
+    keys = { ephemeralPublicKey: readBytes(), wrappedKeys: recipients.map(() => readBytes()) };
+  }
+  const iv = readBytes();
+  const signature = readBytes();
+  const encryptedMessage = readBytes();
+
+  if (offset !== data.length) {
+    throw new DecryptionError('Malformed encrypted data: trailing bytes after envelope');
+  }
+
+  return {
+    version,
+    cipher,
+    encryptedMessage,
+    iv,
+    ...keys,
+    recipients,
+    sender,
+    timestamp,
+    context,
+    signature: signature.length > 0 ? signature : null
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Epoch Clocks
+ * Sources for the current Walrus storage epoch, used to compute and check blob expiry
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Epoch Clock interface
+ */
+export class EpochClock {
+  /**
+   * Get the current Walrus epoch
+   * @returns {Promise<number>} - The current epoch
+   */
+  async getCurrentEpoch() {
+    throw new Error(`${this.constructor.name} does not implement getCurrentEpoch`);
+  }
+}
+
+/**
+ * Manual Epoch Clock
+ * Local stand-in for the network epoch clock; epochs only move when advanced explicitly
+ */
+export class ManualEpochClock extends EpochClock {
+  /**
+   * @param {number} [startEpoch] - The initial epoch
+   */
+  constructor(startEpoch = 0) {
+    super();
+    this.epoch = startEpoch;
+  }
+
+  async getCurrentEpoch() {
+    return this.epoch;
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} [epochs] - Number of epochs to advance
+   * @returns {number} - The new current epoch
+   */
+  advance(epochs = 1) {
+    this.epoch += epochs;
+    return this.epoch;
+  }
+
+  /**
+   * Set the current epoch
+   * @param {number} epoch - The new current epoch
+   */
+  setEpoch(epoch) {
+    this.epoch = epoch;
+  }
+}
+
+/**
+ * Time-Based Epoch Clock
+ * Derives the epoch from wall-clock time given a reference point and the epoch duration
+ */
+export class TimeBasedEpochClock extends EpochClock {
+  /**
+   * @param {Object} config - Clock configuration
+   * @param {number} config.referenceEpoch - An epoch with a known start time
+   * @param {string|number|Date} config.referenceTime - Start time of the reference epoch
+   * @param {number} config.epochDurationMs - Length of an epoch in milliseconds
+   */
+  constructor(config) {
+    super();
+    if (!config?.epochDurationMs || config.epochDurationMs <= 0) {
+      throw new ValidationError('TimeBasedEpochClock requires a positive epochDurationMs');
+    }
+    this.referenceEpoch = config.referenceEpoch || 0;
+    this.referenceTime = new Date(config.referenceTime).getTime();
+    this.epochDurationMs = config.epochDurationMs;
+  }
+
+  async getCurrentEpoch() {
+    const elapsed = Date.now() - this.referenceTime;
+    return this.referenceEpoch + Math.floor(elapsed / this.epochDurationMs);
+  }
+}
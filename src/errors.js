@@ -0,0 +1,117 @@
+/**
+ * Error Types
+ * Errors raised by the Walrus client and the messaging services. Every error
+ * carries a stable code, an optional cause and structured details, so callers
+ * can tell e.g. an expired blob apart from a message that is not for them.
+ */
+
+/**
+ * Stable error codes
+ */
+export const ErrorCode = {
+  NETWORK: 'NETWORK_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  BLOB_EXPIRED: 'BLOB_EXPIRED',
+  INTEGRITY: 'INTEGRITY_ERROR',
+  DECRYPTION: 'DECRYPTION_FAILED',
+  AUTHORIZATION: 'NOT_AUTHORIZED',
+  KEY_CHANGED: 'KEY_CHANGED',
+  VALIDATION: 'VALIDATION_ERROR'
+};
+
+/**
+ * Base class for all errors raised by this library
+ */
+export class WalrusMessagingError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code] - Error code (see ErrorCode)
+   * @param {Error} [options.cause] - Underlying error
+   * @param {Object} [options.details] - Structured details about the failure
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code;
+    this.details = options.details || {};
+  }
+}
+
+/**
+ * A Walrus endpoint could not be reached, answered with an error status or sent an invalid response
+ * details: { status, endpoint }, or { status, url } for an invalid response
+ */
+export class NetworkError extends WalrusMessagingError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.NETWORK, ...options });
+  }
+}
+
+/**
+ * A blob, conversation or message does not exist
+ * details: { blobId } and/or { conversationId, messageId }
+ */
+export class NotFoundError extends WalrusMessagingError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.NOT_FOUND, ...options });
+  }
+}
+
+/**
+ * A blob existed but its storage period has ended
+ * details: { blobId, endEpoch }
+ */
+export class BlobExpiredError extends NotFoundError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.BLOB_EXPIRED, ...options });
+  }
+}
+
+/**
+ * Data does not match its digest, blob ID or expected contents
+ * details: { blobId, expected, actual }
+ */
+export class IntegrityError extends WalrusMessagingError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.INTEGRITY, ...options });
+  }
+}
+
+/**
+ * Encrypted data could not be parsed or decrypted
+ */
+export class DecryptionError extends WalrusMessagingError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.DECRYPTION, ...options });
+  }
+}
+
+/**
+ * The data is not addressed to, or not sent by, the expected party
+ * details: { expected, actual }
+ */
+export class AuthorizationError extends WalrusMessagingError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.AUTHORIZATION, ...options });
+  }
+}
+
+/**
+ * The keys of a contact changed after the current user verified their safety number
+ * details: { changes: [{ address, verifiedAt, expected, actual }] } with the verified and current fingerprints
+ */
+export class KeyChangedError extends AuthorizationError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.KEY_CHANGED, ...options });
+  }
+}
+
+/**
+ * Invalid input or configuration
+ */
+export class ValidationError extends WalrusMessagingError {
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.VALIDATION, ...options });
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * HTTP Storage Backend
+ * Talks to Walrus publishers and aggregators over the Walrus HTTP API,
+ * retrying transient failures and failing over between configured endpoints
+ */
+
+import http from 'http';
+import https from 'https';
+import { StorageBackend } from './storage-backend.js';
+import { createTlsPolicy, createHttpsAgent } from './tls-policy.js';
+import { NetworkError, NotFoundError } from './errors.js';
+import { silentLogger } from './logger.js';
+import {
+  EndpointPool,
+  DEFAULT_RETRY_OPTIONS,
+  RETRYABLE_STATUS_CODES,
+  computeBackoffDelay,
+  sleep
+} from './endpoint-pool.js';
+
+/**
+ * Send an HTTP(S) request through Node's http modules
+ * Global fetch ignores the `agent` option, so TLS settings would silently not apply;
+ * this returns the small subset of the fetch Response interface the backend uses
+ * @param {string} url - Request URL
+ * @param {Object} init - Request options (method, headers, body, signal, agent)
+ * @returns {Promise<Object>} - Response with url, ok, status, statusText, headers.get, json, text and arrayBuffer
+ */
+function sendRequest(url, init) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const headers = { ...init.headers };
+  if (init.body) {
+    headers['Content-Length'] = init.body.length;
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: init.method,
+      headers,
+      agent: target.protocol === 'https:' ? init.agent : undefined,
+      signal: init.signal
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          url,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: { get: name => res.headers[name.toLowerCase()] ?? null },
+          text: async () => body.toString('utf8'),
+          json: async () => JSON.parse(body.toString('utf8')),
+          arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length)
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(init.body);
+  });
+}
+
+/**
+ * Parse a JSON response body
+ * @param {Object} response - Response returned by sendRequest
+ * @param {string} operation - Operation description used in error messages
+ * @returns {Promise<Object>} - The parsed body
+ * @throws {NetworkError} - If the body is empty or not valid JSON
+ */
+async function readJson(response, operation) {
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new NetworkError(`Failed to ${operation}: invalid JSON response from ${response.url}`, {
+      cause: error,
+      details: { status: response.status, url: response.url }
+    });
+  }
+}
+
+export class HttpStorageBackend extends StorageBackend {
+  /**
+   * @param {Object} config - Backend configuration
+   * @param {string} [config.aggregatorUrl] - Single aggregator URL
+   * @param {Array<string>} [config.aggregatorUrls] - Aggregator URLs in order of preference
+   * @param {string} [config.publisherUrl] - Single publisher URL
+   * @param {Array<string>} [config.publisherUrls] - Publisher URLs in order of preference
+   * @param {string} [config.network] - Network name
+   * @param {Object} [config.retry] - Retry options (maxAttempts, baseDelayMs, maxDelayMs, timeoutMs)
+   * @param {Object} [config.health] - Endpoint health options (failureThreshold, cooldownMs)
+   * @param {Object} [config.tls] - TLS options (ca, caFile, pins, insecure); see createTlsPolicy
+   * @param {Logger} [config.logger] - Logger for retries and failover (silent by default)
+   */
+  constructor(config) {
+    super();
+    this.logger = config.logger || silentLogger;
+    this.aggregators = new EndpointPool(
+      [...(config.aggregatorUrls || []), config.aggregatorUrl],
+      config.health
+    );
+    this.publishers = new EndpointPool(
+      [...(config.publisherUrls || []), config.publisherUrl],
+      config.health
+    );
+    this.aggregatorUrl = this.aggregators.endpoints[0].url;
+    this.publisherUrl = this.publishers.endpoints[0].url;
+    this.network = config.network || 'mainnet';
+    this.retry = { ...DEFAULT_RETRY_OPTIONS, ...config.retry };
+
+    // Certificates are verified unless insecure mode is explicitly enabled on a test network
+    this.tlsPolicy = createTlsPolicy(config.tls, this.network);
+    this.httpsAgent = createHttpsAgent(this.tlsPolicy, this.logger);
+  }
+
+  /**
+   * Send a request, retrying with backoff and failing over between endpoints
+   * Every endpoint is tried once per round; a backoff delay with jitter is
+   * applied between rounds. Non-retryable responses (e.g. 404) fail immediately.
+   * @param {EndpointPool} pool - The endpoints to use
+   * @param {string} path - Request path, appended to the endpoint URL
+   * @param {Object} init - Request options (method, headers, body)
+   * @param {string} operation - Operation description used in error messages
+   * @returns {Promise<Response>} - The successful response
+   */
+  async request(pool, path, init, operation) {
+    let lastError;
+    let round = 0;
+    let urls = [];
+
+    for (let attempt = 0; attempt < this.retry.maxAttempts; attempt++) {
+      if (urls.length === 0) {
+        if (attempt > 0) {
+          await sleep(computeBackoffDelay(round++, this.retry));
+        }
+        urls = pool.getOrderedUrls();
+      }
+      const url = urls.shift();
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.retry.timeoutMs);
+      const startedAt = Date.now();
+
+      let response;
+      try {
+        response = await sendRequest(`${url}${path}`, { ...init, agent: this.httpsAgent, signal: controller.signal });
+      } catch (error) {
+        pool.markFailure(url);
+        lastError = new NetworkError(
+          controller.signal.aborted
+            ? `Failed to ${operation}: request to ${url} timed out after ${this.retry.timeoutMs}ms`
+            : `Failed to ${operation}: ${error.message}`,
+          { cause: error, details: { endpoint: url, timedOut: controller.signal.aborted } }
+        );
+        this.logger.warn('Walrus request failed', { operation, endpoint: url, attempt: attempt + 1, error: lastError });
+        continue;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (response.ok) {
+        pool.markSuccess(url, Date.now() - startedAt);
+        return response;
+      }
+
+      const message = `Failed to ${operation}: ${response.status} ${response.statusText}`;
+      const details = { status: response.status, endpoint: url };
+      const error = response.status === 404
+        ? new NotFoundError(message, { details })
+        : new NetworkError(message, { details });
+
+      if (!RETRYABLE_STATUS_CODES.includes(response.status)) {
+        throw error;
+      }
+
+      pool.markFailure(url);
+      lastError = error;
+      this.logger.warn('Walrus request failed', { operation, endpoint: url, attempt: attempt + 1, error });
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get health information for all configured endpoints
+   * @returns {Object} - Aggregator and publisher endpoint health
+   */
+  getEndpointHealth() {
+    return {
+      aggregators: this.aggregators.getHealth(),
+      publishers: this.publishers.getHealth()
+    };
+  }
+
+  /**
+   * Store a blob using PUT /v1/blobs on the publisher
+   * @param {Uint8Array} data - The data to store
+   * @param {Object} options - Normalized store options (epochs, deletable, permanent, sendObjectTo)
+   * @returns {Promise<Object>} - Blob ID, Sui object ID, transaction digest and raw response
+   */
+  async storeBlob(data, options = {}) {
+    // Storage lifetime options are passed as query parameters
+    const params = new URLSearchParams();
+    if (options.epochs) params.set('epochs', String(options.epochs));
+    if (options.deletable) params.set('deletable', 'true');
+    if (options.permanent) params.set('permanent', 'true');
+    if (options.sendObjectTo) params.set('send_object_to', options.sendObjectTo);
+    const query = params.toString();
+
+    // Send to Walrus publisher using PUT /v1/blobs as per Walrus API docs
+    const response = await this.request(this.publishers, `/v1/blobs${query ? `?${query}` : ''}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: data // Send the raw data directly
+    }, 'store blob');
+
+    const result = await readJson(response, 'store blob');
+    let blobId, suiObjectId, txDigest, endEpoch;
+    if (result.newlyCreated) {
+      blobId = result.newlyCreated.blobObject?.blobId;
+      suiObjectId = result.newlyCreated.blobObject?.id;
+      txDigest = result.newlyCreated.event?.txDigest;
+      endEpoch = result.newlyCreated.blobObject?.storage?.endEpoch;
+    } else if (result.alreadyCertified) {
+      blobId = result.alreadyCertified.blobId;
+      txDigest = result.alreadyCertified.event?.txDigest;
+      endEpoch = result.alreadyCertified.endEpoch;
+    } else {
+      blobId = result.blobId;
+    }
+    if (typeof blobId !== 'string' || !blobId) {
+      throw new NetworkError('Failed to store blob: publisher response has no blob ID', {
+        details: { url: response.url, response: result }
+      });
+    }
+
+    return { blobId, suiObjectId, txDigest, endEpoch, response: result };
+  }
+
+  /**
+   * Retrieve a blob using GET /v1/blobs/<blobId> on the aggregator
+   * @param {string} blobId - The blob ID to retrieve
+   * @returns {Promise<Uint8Array>} - The retrieved data
+   */
+  async retrieveBlob(blobId) {
+    // Get blob from Walrus aggregator using GET /v1/blobs/<blobId> as per Walrus API docs
+    const response = await this.request(this.aggregators, `/v1/blobs/${blobId}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/octet-stream',
+      }
+    }, 'retrieve blob');
+
+    const arrayBuffer = await response.arrayBuffer();
+    return new Uint8Array(arrayBuffer);
+  }
+
+  /**
+   * Get blob metadata using GET /v1/blobs/<blobId>/metadata on the aggregator
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<Object>} - Blob metadata
+   */
+  async getBlobMetadata(blobId) {
+    const response = await this.request(this.aggregators, `/v1/blobs/${blobId}/metadata`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      }
+    }, 'get blob metadata');
+
+    return await readJson(response, 'get blob metadata');
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Key Directories
+ * Look up the public keys published for wallet addresses, so senders can
+ * wrap content keys to recipients they have never exchanged keys with, and
+ * readers can check that an envelope was signed by its sender
+ *
+ * Records are signed with the signing key they publish. When the address is
+ * the Sui address of that key, the signature proves the record comes from the
+ * address's owner; other addresses are bound to the first signing key
+ * published for them (trust on first use), so only the holder of that key can
+ * replace their record.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { AuthorizationError, ValidationError } from './errors.js';
+import { X25519_KEY_LENGTH } from './key-wrapping.js';
+import {
+  ED25519_KEY_LENGTH,
+  SERIALIZED_SIGNATURE_LENGTH,
+  deriveSuiAddress,
+  verifyPersonalMessage
+} from './signatures.js';
+
+const RECORD_SIGNATURE_DOMAIN = 'walrus-messaging/key-record/v1';
+
+/**
+ * Key Directory interface
+ */
+export class KeyDirectory {
+  /**
+   * Get the public keys published for an address
+   * @param {string} address - Wallet address
+   * @returns {Promise<Object|null>} - Public key record ({ address, encryptionKey, signingKey, ciphers, prekey, signature,
+   *   updatedAt }),
+   *   or null if none; ciphers and prekey are absent from records that declare none
+   */
+  async getPublicKeys(address) {
+    throw new Error(`${this.constructor.name} does not implement getPublicKeys`);
+  }
+
+  /**
+   * Publish the public keys of an address, replacing any previous record
+   * @param {Object} record - Public key record ({ address, encryptionKey, signingKey, signature }), with the names
+   *   of the content ciphers the address supports in ciphers (see CipherRegistry.getSupportedCiphers), and its
+   *   current signed prekey for ratchet sessions in prekey ({ publicKey, signature }, base64); signature is the
+   *   base64 signature of the record by its signing key (see WalletIdentity.toPublicRecord)
+   * @returns {Promise<Object>} - The stored record
+   * @throws {ValidationError} - If the record is malformed
+   * @throws {AuthorizationError} - If the record is not signed by its signing key, or replaces the record of
+   *   an address that is not the Sui address of its signing key with another signing key
+   */
+  async publishPublicKeys(record) {
+    throw new Error(`${this.constructor.name} does not implement publishPublicKeys`);
+  }
+}
+
+/**
+ * Encode the fields of a public key record covered by its signature
+ * @param {Object} record - Public key record
+ * @returns {Uint8Array} - Bytes signed by the record's signing key
+ */
+export function encodePublicKeyRecord(record) {
+  return new TextEncoder().encode(JSON.stringify([
+    RECORD_SIGNATURE_DOMAIN,
+    record.address,
+    record.encryptionKey,
+    record.signingKey,
+    record.ciphers || null,
+    record.prekey ? [record.prekey.publicKey, record.prekey.signature] : null
+  ]));
+}
+
+/**
+ * Check that a public key record may replace the one published for its address
+ * @param {Object} record - Public key record
+ * @param {Object|null} existing - The record currently published for the address
+ * @throws {AuthorizationError} - If the record is not signed by its signing key, or the address is not the
+ *   Sui address of that key and was published with another signing key
+ */
+function verifyPublicKeyRecord(record, existing) {
+  const signature = Buffer.from(record.signature || '', 'base64');
+  const { valid, publicKey } = verifyPersonalMessage(encodePublicKeyRecord(record), signature);
+  if (!valid || Buffer.from(publicKey).toString('base64') !== record.signingKey) {
+    throw new AuthorizationError(`Public key record for ${record.address} is not signed by its signing key`, {
+      details: { expected: record.address }
+    });
+  }
+  if (deriveSuiAddress(publicKey) !== record.address.toLowerCase() && existing && existing.signingKey !== record.signingKey) {
+    throw new AuthorizationError(`Keys for ${record.address} were published with another signing key`, {
+      details: { expected: existing.signingKey, actual: record.signingKey }
+    });
+  }
+}
+
+/**
+ * Validate a public key record
+ * @param {Object} record - Public key record
+ */
+function validatePublicKeyRecord(record) {
+  if (!record?.address) {
+    throw new ValidationError('Public key record requires an address');
+  }
+  if (Buffer.from(record.encryptionKey || '', 'base64').length !== X25519_KEY_LENGTH) {
+    throw new ValidationError(`Invalid encryption key for ${record.address}: expected a base64 ${X25519_KEY_LENGTH}-byte X25519 key`);
+  }
+  if (Buffer.from(record.signingKey || '', 'base64').length !== ED25519_KEY_LENGTH) {
+    throw new ValidationError(`Invalid signing key for ${record.address}: expected a base64 ${ED25519_KEY_LENGTH}-byte Ed25519 key`);
+  }
+  if (record.ciphers !== undefined && (!Array.isArray(record.ciphers) || record.ciphers.length === 0 ||
+      record.ciphers.some(name => typeof name !== 'string' || !name))) {
+    throw new ValidationError(`Invalid ciphers for ${record.address}: expected a non-empty list of cipher names`);
+  }
+  if (record.prekey !== undefined && (
+    Buffer.from(record.prekey?.publicKey || '', 'base64').length !== X25519_KEY_LENGTH ||
+    Buffer.from(record.prekey.signature || '', 'base64').length !== SERIALIZED_SIGNATURE_LENGTH
+  )) {
+    throw new ValidationError(`Invalid prekey for ${record.address}: expected a base64 X25519 key and its signature`);
+  }
+}
+
+/**
+ * Local Key Directory
+ * Keeps public key records in memory, persisted to a JSON file when a path is given.
+ * Records are checked when published but trusted when read, so whoever can write
+ * the file can replace any key: use it for local development only, or with a
+ * file only the user can modify.
+ */
+export class LocalKeyDirectory extends KeyDirectory {
+  /**
+   * @param {Object} [config] - Directory configuration
+   * @param {string} [config.file] - JSON file holding the records (in memory only if unset)
+   */
+  constructor(config = {}) {
+    super();
+    this.file = config.file || null;
+    this.records = null; // address -> record, loaded on first use
+  }
+
+  /**
+   * Load the records from disk once
+   * @returns {Promise<Map>} - The records
+   */
+  async load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    this.records = new Map();
+    if (this.file) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        for (const record of data.keys || []) {
+          this.records.set(record.address, record);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return this.records;
+  }
+
+  async getPublicKeys(address) {
+    const records = await this.load();
+    return records.get(address) || null;
+  }
+
+  async publishPublicKeys(record) {
+    validatePublicKeyRecord(record);
+    const records = await this.load();
+
+    const existing = records.get(record.address);
+    verifyPublicKeyRecord(record, existing);
+    if (existing?.encryptionKey === record.encryptionKey && existing.signingKey === record.signingKey &&
+        String(existing.ciphers) === String(record.ciphers) && existing.prekey?.publicKey === record.prekey?.publicKey &&
+        existing.signature === record.signature) {
+      return existing;
+    }
+
+    const stored = {
+      address: record.address,
+      encryptionKey: record.encryptionKey,
+      signingKey: record.signingKey,
+      ...(record.ciphers && { ciphers: [...record.ciphers] }),
+      ...(record.prekey && { prekey: { publicKey: record.prekey.publicKey, signature: record.prekey.signature } }),
+      signature: record.signature,
+      updatedAt: new Date().toISOString()
+    };
+    records.set(record.address, stored);
+
+    if (this.file) {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(this.file, JSON.stringify({ version: 1, keys: [...records.values()] }, null, 2));
+    }
+    return stored;
+  }
+
+  /**
+   * List the addresses with published keys
+   * @returns {Promise<Array<string>>}
+   */
+  async listAddresses() {
+    return [...(await this.load()).keys()];
+  }
+}
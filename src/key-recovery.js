@@ -0,0 +1,308 @@
+/**
+ * Key Recovery
+ * Social backup of a wallet identity's private keys. The keys are split into
+ * Shamir shares (see shamir.js), one per trusted contact, and each share is
+ * encrypted to its contact and stored as a Walrus blob. To recover, the user
+ * creates a recovery key pair and asks the contacts to release their shares to
+ * it; any `threshold` released shares rebuild the identity.
+ *
+ * Contacts should confirm out of band that a recovery request really comes
+ * from the owner before releasing their share.
+ */
+
+import crypto from 'crypto';
+import { WalrusClient } from './walrus-client.js';
+import { EncryptionService } from './encryption-service.js';
+import { StorageKind, createStoragePolicy } from './storage-policy.js';
+import { AuthorizationError, DecryptionError, IntegrityError, ValidationError } from './errors.js';
+import { X25519_KEY_LENGTH, unwrapKey, wrapKey } from './key-wrapping.js';
+import { silentLogger } from './logger.js';
+import { combineShares, splitSecret } from './shamir.js';
+import { verifyPersonalMessage } from './signatures.js';
+import { WalletIdentity } from './wallet-identity.js';
+
+const BACKUP_VERSION = 1;
+const RELEASE_DOMAIN = 'walrus-messaging/recovery-release/v1';
+
+/**
+ * Encode the fields of a released share covered by the contact's signature
+ * @param {Object} release - { backupId, owner, contact, index, wrappedShare }
+ * @returns {Uint8Array} - Bytes to sign
+ */
+function encodeRelease(release) {
+  return new TextEncoder().encode(JSON.stringify([
+    RELEASE_DOMAIN,
+    release.backupId,
+    release.owner,
+    release.contact,
+    release.index,
+    release.wrappedShare
+  ]));
+}
+
+export class KeyRecoveryService {
+  /**
+   * @param {Object} config - Service configuration
+   * @param {Object} [config.walrus] - WalrusClient configuration
+   * @param {WalrusClient} [config.walrusClient] - Preconfigured client to use instead of building one
+   * @param {StorageBackend} [config.storageBackend] - Storage backend for the client built from config.walrus
+   * @param {WalletIdentity} [config.identity] - The current user's identity (not needed to recover one)
+   * @param {KeyDirectory} [config.keyDirectory] - Public keys of contacts
+   * @param {Object} [config.storagePolicy] - Store options per blob kind, merged with the defaults
+   * @param {Logger} [config.logger] - Logger shared with the client and encryption service (silent by default)
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || silentLogger;
+    this.walrusClient = config.walrusClient || new WalrusClient({
+      logger: this.logger,
+      ...config.walrus,
+      backend: config.storageBackend
+    });
+    this.encryptionService = new EncryptionService({
+      logger: this.logger,
+      identities: [config.identity].filter(Boolean),
+      keyDirectory: config.keyDirectory
+    });
+    this.identity = config.identity || null;
+    this.storagePolicy = createStoragePolicy(config.storagePolicy);
+  }
+
+  /**
+   * Get the current user's identity
+   * @returns {WalletIdentity}
+   * @throws {ValidationError} - If the service has no identity
+   */
+  requireIdentity() {
+    if (!this.identity) {
+      throw new ValidationError('An identity is required');
+    }
+    return this.identity;
+  }
+
+  /**
+   * Back up the current identity's private keys with trusted contacts
+   * The returned manifest holds no secrets; keep it somewhere you can reach
+   * without your keys, since recovery needs it
+   * @param {Object} options - Backup options
+   * @param {Array<string>} options.contacts - Addresses of the trusted contacts, each receiving one share
+   * @param {number} options.threshold - Number of shares needed to recover
+   * @returns {Promise<Object>} - Backup manifest
+   *   ({ version, backupId, owner, threshold, encryptionKey, signingKey, createdAt, shares: [{ contact, index, blobId }] })
+   * @throws {ValidationError} - If the contacts or threshold are invalid
+   * @throws {NotFoundError} - If a contact has no published encryption key
+   */
+  async createBackup(options) {
+    const identity = this.requireIdentity();
+    const contacts = options?.contacts || [];
+    try {
+      if (new Set(contacts).size !== contacts.length || contacts.includes(identity.address)) {
+        throw new ValidationError('Contacts must be distinct and must not include the owner');
+      }
+
+      const backupId = crypto.randomBytes(16).toString('hex');
+      const secret = new Uint8Array([...identity.encryptionPrivateKey, ...identity.signingPrivateKey]);
+      const shares = splitSecret(secret, options.threshold, contacts.length);
+      secret.fill(0);
+
+      const manifestShares = [];
+      for (const [i, contact] of contacts.entries()) {
+        const share = shares[i];
+        const encryptedData = await this.encryptionService.encryptMessage(
+          JSON.stringify({
+            version: BACKUP_VERSION,
+            backupId,
+            owner: identity.address,
+            index: share.index,
+            share: Buffer.from(share.data).toString('base64')
+          }),
+          contact,
+          identity.address,
+          { context: { backupId, shareIndex: String(share.index) } }
+        );
+        share.data.fill(0);
+
+        const storageResult = await this.walrusClient.storeBlob(this.encryptionService.serializeEncryptedData(encryptedData), {
+          owner: identity.address,
+          ...this.storagePolicy[StorageKind.RECOVERY_SHARE]
+        });
+        manifestShares.push({ contact, index: share.index, blobId: storageResult.blobId });
+      }
+
+      this.logger.info('Key backup created', {
+        operation: 'createBackup',
+        backupId,
+        threshold: options.threshold,
+        shareCount: contacts.length
+      });
+
+      const publicRecord = identity.toPublicRecord();
+      return {
+        version: BACKUP_VERSION,
+        backupId,
+        owner: identity.address,
+        threshold: options.threshold,
+        encryptionKey: publicRecord.encryptionKey,
+        signingKey: publicRecord.signingKey,
+        createdAt: new Date().toISOString(),
+        shares: manifestShares
+      };
+    } catch (error) {
+      this.logger.error('Error creating key backup', { operation: 'createBackup', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a share held by the current identity to an owner's recovery key
+   * The share is re-encrypted to the recovery public key, signed by the
+   * contact, and stored as a new blob whose ID is handed to the owner
+   * @param {string} shareBlobId - Blob ID of the share (from the owner's backup manifest)
+   * @param {Uint8Array} recoveryPublicKey - Raw X25519 public key of the owner's recovery key pair
+   * @returns {Promise<Object>} - The released share ({ blobId, backupId, owner, index })
+   * @throws {AuthorizationError} - If the share is not encrypted to the current identity or not validly signed
+   * @throws {DecryptionError} - If the share blob was modified
+   */
+  async releaseShare(shareBlobId, recoveryPublicKey) {
+    const identity = this.requireIdentity();
+    try {
+      if (recoveryPublicKey?.length !== X25519_KEY_LENGTH) {
+        throw new ValidationError(`Invalid recovery public key: expected ${X25519_KEY_LENGTH} bytes`);
+      }
+
+      const encryptedData = this.encryptionService.deserializeEncryptedData(await this.walrusClient.retrieveBlob(shareBlobId));
+      const payload = JSON.parse(await this.encryptionService.decryptMessage(
+        encryptedData,
+        identity.address,
+        encryptedData.sender
+      ));
+      if (payload.owner !== encryptedData.sender || payload.backupId !== encryptedData.context?.backupId) {
+        throw new IntegrityError('Share does not match its envelope', {
+          details: { blobId: shareBlobId, expected: encryptedData.sender, actual: payload.owner }
+        });
+      }
+
+      const release = {
+        version: BACKUP_VERSION,
+        backupId: payload.backupId,
+        owner: payload.owner,
+        contact: identity.address,
+        index: payload.index,
+        wrappedShare: Buffer.from(wrapKey(Buffer.from(payload.share, 'base64'), recoveryPublicKey)).toString('base64')
+      };
+      release.signature = Buffer.from(identity.sign(encodeRelease(release))).toString('base64');
+
+      const storageResult = await this.walrusClient.storeBlob(new TextEncoder().encode(JSON.stringify(release)), {
+        owner: identity.address,
+        ...this.storagePolicy[StorageKind.RECOVERY_SHARE]
+      });
+
+      this.logger.info('Recovery share released', {
+        operation: 'releaseShare',
+        backupId: release.backupId,
+        owner: release.owner,
+        blobId: storageResult.blobId
+      });
+      return { blobId: storageResult.blobId, backupId: release.backupId, owner: release.owner, index: release.index };
+    } catch (error) {
+      this.logger.error('Error releasing recovery share', { operation: 'releaseShare', blobId: shareBlobId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check and decrypt a released share
+   * @param {Object} manifest - Backup manifest
+   * @param {string} blobId - Blob ID of the released share
+   * @param {Uint8Array} recoveryPrivateKey - Raw X25519 private key of the recovery key pair
+   * @returns {Promise<Object>} - The share ({ index, data })
+   * @throws {AuthorizationError} - If the share was not released by the manifest's contact for its index
+   * @throws {DecryptionError} - If the share was not released to the recovery key
+   */
+  async readReleasedShare(manifest, blobId, recoveryPrivateKey) {
+    let release;
+    try {
+      release = JSON.parse(new TextDecoder().decode(await this.walrusClient.retrieveBlob(blobId)));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new DecryptionError('Malformed released share', { cause: error, details: { blobId } });
+      }
+      throw error;
+    }
+
+    const expected = manifest.shares.find(share => share.contact === release.contact);
+    if (release.backupId !== manifest.backupId || release.owner !== manifest.owner || expected?.index !== release.index) {
+      throw new AuthorizationError('Released share does not belong to this backup', {
+        details: { blobId, expected: manifest.backupId, actual: release.backupId }
+      });
+    }
+
+    const { valid, publicKey, address } = verifyPersonalMessage(encodeRelease(release), new Uint8Array(Buffer.from(release.signature || '', 'base64')));
+    const contactKey = (await this.encryptionService.lookupPublicKeys(release.contact))?.signingPublicKey;
+    const signedByContact = valid && (
+      address === release.contact.toLowerCase() ||
+      (contactKey && Buffer.from(contactKey).equals(Buffer.from(publicKey)))
+    );
+    if (!signedByContact) {
+      throw new AuthorizationError(`Released share was not signed by ${release.contact}`, {
+        details: { blobId, expected: release.contact }
+      });
+    }
+
+    const data = unwrapKey(new Uint8Array(Buffer.from(release.wrappedShare, 'base64')), recoveryPrivateKey);
+    return { index: release.index, data };
+  }
+
+  /**
+   * Recover an identity from released shares
+   * Shares that fail their checks are skipped; the recovered keys are checked
+   * against the public keys in the manifest
+   * @param {Object} manifest - Backup manifest returned by createBackup
+   * @param {Array<string>} releasedBlobIds - Blob IDs returned by the contacts' releaseShare
+   * @param {Uint8Array} recoveryPrivateKey - Raw X25519 private key of the recovery key pair
+   * @returns {Promise<WalletIdentity>} - The recovered identity
+   * @throws {ValidationError} - If fewer than the threshold of shares are valid
+   * @throws {IntegrityError} - If the shares rebuild keys other than the backed-up ones
+   */
+  async recoverIdentity(manifest, releasedBlobIds, recoveryPrivateKey) {
+    try {
+      const shares = new Map(); // index -> data
+      const failures = [];
+      for (const blobId of releasedBlobIds) {
+        try {
+          const share = await this.readReleasedShare(manifest, blobId, recoveryPrivateKey);
+          shares.set(share.index, share.data);
+        } catch (error) {
+          failures.push({ blobId, reason: error.message });
+        }
+        if (shares.size === manifest.threshold) {
+          break;
+        }
+      }
+
+      if (shares.size < manifest.threshold) {
+        throw new ValidationError(`Only ${shares.size} of ${manifest.threshold} required shares are valid`, {
+          details: { backupId: manifest.backupId, failures }
+        });
+      }
+
+      const secret = combineShares([...shares].map(([index, data]) => ({ index, data })));
+      const identity = new WalletIdentity({
+        address: manifest.owner,
+        encryptionPrivateKey: secret.slice(0, X25519_KEY_LENGTH),
+        signingPrivateKey: secret.slice(X25519_KEY_LENGTH)
+      });
+      secret.fill(0);
+
+      const publicRecord = identity.toPublicRecord();
+      if (publicRecord.encryptionKey !== manifest.encryptionKey || publicRecord.signingKey !== manifest.signingKey) {
+        throw new IntegrityError('Recovered keys do not match the backup', { details: { backupId: manifest.backupId } });
+      }
+
+      this.logger.info('Identity recovered', { operation: 'recoverIdentity', backupId: manifest.backupId, owner: manifest.owner });
+      return identity;
+    } catch (error) {
+      this.logger.error('Error recovering identity', { operation: 'recoverIdentity', backupId: manifest?.backupId, error });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Key Wrapping
+ * Wraps symmetric content keys to recipients' X25519 public keys:
+ * an ephemeral X25519 key agreement, HKDF-SHA256 to derive a key-encryption
+ * key, and AES-256-GCM to encrypt the content key
+ */
+
+import crypto from 'crypto';
+import { DecryptionError, ValidationError } from './errors.js';
+
+export const X25519_KEY_LENGTH = 32;
+
+const WRAP_INFO = 'walrus-messaging/x25519-hkdf-sha256-aes256gcm/v1';
+const WRAP_IV_LENGTH = 12;
+const WRAP_TAG_LENGTH = 16;
+
+// DER prefixes of X25519 SubjectPublicKeyInfo and PKCS#8 structures holding a raw 32-byte key
+const SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+/**
+ * Check that a value is a raw 32-byte X25519 key
+ * @param {Uint8Array} key - The key bytes
+ * @param {string} label - Key description used in error messages
+ */
+function assertRawKey(key, label) {
+  if (!(key instanceof Uint8Array) || key.length !== X25519_KEY_LENGTH) {
+    throw new ValidationError(`Invalid ${label}: expected ${X25519_KEY_LENGTH} bytes`);
+  }
+}
+
+/**
+ * Convert a raw X25519 public key to a KeyObject
+ * @param {Uint8Array} publicKey - Raw public key
+ * @returns {crypto.KeyObject}
+ */
+function toPublicKeyObject(publicKey) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([SPKI_PREFIX, publicKey]),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Convert a raw X25519 private key to a KeyObject
+ * @param {Uint8Array} privateKey - Raw private key
+ * @returns {crypto.KeyObject}
+ */
+function toPrivateKeyObject(privateKey) {
+  return crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_PREFIX, privateKey]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+}
+
+/**
+ * Generate an X25519 key pair
+ * @returns {Object} - Raw key bytes ({ publicKey, privateKey })
+ */
+export function generateX25519KeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return {
+    publicKey: new Uint8Array(publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length)),
+    privateKey: new Uint8Array(privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(PKCS8_PREFIX.length))
+  };
+}
+
+/**
+ * Derive the public key of an X25519 private key
+ * @param {Uint8Array} privateKey - Raw private key
+ * @returns {Uint8Array} - Raw public key
+ */
+export function getX25519PublicKey(privateKey) {
+  assertRawKey(privateKey, 'X25519 private key');
+  const publicKey = crypto.createPublicKey(toPrivateKeyObject(privateKey));
+  return new Uint8Array(publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length));
+}
+
+/**
+ * Compute the X25519 shared secret of a private and a public key
+ * @param {Uint8Array} privateKey - Raw private key
+ * @param {Uint8Array} publicKey - Raw public key
+ * @returns {Buffer} - 32-byte shared secret
+ */
+export function deriveSharedSecret(privateKey, publicKey) {
+  return crypto.diffieHellman({
+    privateKey: toPrivateKeyObject(privateKey),
+    publicKey: toPublicKeyObject(publicKey)
+  });
+}
+
+/**
+ * Derive the key-encryption key shared by an ephemeral and a recipient key
+ * The salt binds both public keys, so a wrapped key cannot be replayed to another recipient
+ * @param {Uint8Array} sharedSecret - X25519 shared secret
+ * @param {Uint8Array} ephemeralPublicKey - Ephemeral public key
+ * @param {Uint8Array} recipientPublicKey - Recipient public key
+ * @returns {Buffer} - 32-byte key-encryption key
+ */
+function deriveWrappingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  const salt = Buffer.concat([ephemeralPublicKey, recipientPublicKey]);
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, WRAP_INFO, 32));
+}
+
+/**
+ * Encrypt a content key to one recipient using an ephemeral private key
+ * @param {Uint8Array} contentKey - The symmetric key to wrap
+ * @param {Object} ephemeral - Ephemeral key pair ({ publicKey, privateKey })
+ * @param {Uint8Array} recipientPublicKey - Recipient's raw X25519 public key
+ * @returns {Uint8Array} - IV || encrypted key || tag
+ */
+function encryptContentKey(contentKey, ephemeral, recipientPublicKey) {
+  assertRawKey(recipientPublicKey, 'recipient public key');
+
+  const sharedSecret = deriveSharedSecret(ephemeral.privateKey, recipientPublicKey);
+  const wrappingKey = deriveWrappingKey(sharedSecret, ephemeral.publicKey, recipientPublicKey);
+
+  const iv = crypto.randomBytes(WRAP_IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  return new Uint8Array(Buffer.concat([iv, cipher.update(contentKey), cipher.final(), cipher.getAuthTag()]));
+}
+
+/**
+ * Wrap a content key to several recipients
+ * All recipients share one ephemeral key, stored once per envelope; each
+ * recipient adds only an IV, the encrypted key and a tag
+ * @param {Uint8Array} contentKey - The symmetric key to wrap
+ * @param {Array<Uint8Array>} recipientPublicKeys - Recipients' raw X25519 public keys
+ * @param {Object} [ephemeral] - Ephemeral key pair ({ publicKey, privateKey }), generated if omitted
+ * @returns {Object} - Ephemeral public key and one wrapped key per recipient ({ ephemeralPublicKey, wrappedKeys })
+ */
+export function wrapKeyForRecipients(contentKey, recipientPublicKeys, ephemeral = generateX25519KeyPair()) {
+  return {
+    ephemeralPublicKey: ephemeral.publicKey,
+    wrappedKeys: recipientPublicKeys.map(publicKey => encryptContentKey(contentKey, ephemeral, publicKey))
+  };
+}
+
+/**
+ * Unwrap a recipient's copy of a content key
+ * @param {Uint8Array} ephemeralPublicKey - Ephemeral public key of the envelope
+ * @param {Uint8Array} wrappedKey - The recipient's entry from wrapKeyForRecipients
+ * @param {Uint8Array} recipientPrivateKey - Recipient's raw X25519 private key
+ * @returns {Uint8Array} - The content key
+ * @throws {DecryptionError} - If the key was not wrapped to this recipient or was modified
+ */
+export function unwrapKeyForRecipient(ephemeralPublicKey, wrappedKey, recipientPrivateKey) {
+  assertRawKey(recipientPrivateKey, 'recipient private key');
+  if (ephemeralPublicKey?.length !== X25519_KEY_LENGTH) {
+    throw new DecryptionError('Malformed wrapped key: invalid ephemeral public key');
+  }
+  if (wrappedKey.length <= WRAP_IV_LENGTH + WRAP_TAG_LENGTH) {
+    throw new DecryptionError('Malformed wrapped key: too short');
+  }
+
+  const bytes = Buffer.from(wrappedKey);
+  const iv = bytes.subarray(0, WRAP_IV_LENGTH);
+  const encryptedKey = bytes.subarray(WRAP_IV_LENGTH, bytes.length - WRAP_TAG_LENGTH);
+  const tag = bytes.subarray(bytes.length - WRAP_TAG_LENGTH);
+
+  try {
+    const sharedSecret = deriveSharedSecret(recipientPrivateKey, ephemeralPublicKey);
+    const wrappingKey = deriveWrappingKey(sharedSecret, ephemeralPublicKey, getX25519PublicKey(recipientPrivateKey));
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, iv);
+    decipher.setAuthTag(tag);
+    return new Uint8Array(Buffer.concat([decipher.update(encryptedKey), decipher.final()]));
+  } catch (error) {
+    throw new DecryptionError('Failed to unwrap content key: not wrapped to this key or modified', { cause: error });
+  }
+}
+
+/**
+ * Wrap a content key to a single recipient
+ * @param {Uint8Array} contentKey - The symmetric key to wrap
+ * @param {Uint8Array} recipientPublicKey - Recipient's raw X25519 public key
+ * @returns {Uint8Array} - Ephemeral public key || IV || encrypted key || tag
+ */
+export function wrapKey(contentKey, recipientPublicKey) {
+  const { ephemeralPublicKey, wrappedKeys } = wrapKeyForRecipients(contentKey, [recipientPublicKey]);
+  return new Uint8Array(Buffer.concat([ephemeralPublicKey, wrappedKeys[0]]));
+}
+
+/**
+ * Unwrap a single-recipient wrapped key
+ * @param {Uint8Array} wrappedKey - Output of wrapKey
+ * @param {Uint8Array} recipientPrivateKey - Recipient's raw X25519 private key
+ * @returns {Uint8Array} - The content key
+ * @throws {DecryptionError} - If the key was not wrapped to this recipient or was modified
+ */
+export function unwrapKey(wrappedKey, recipientPrivateKey) {
+  return unwrapKeyForRecipient(
+    wrappedKey.subarray(0, X25519_KEY_LENGTH),
+    wrappedKey.subarray(X25519_KEY_LENGTH),
+    recipientPrivateKey
+  );
+}
@@ -0,0 +1,247 @@
+/**
+ * Keystore
+ * Wallet identities stored on disk with their private keys encrypted under a
+ * passphrase. Each identity is kept as <directory>/<address>.json; the
+ * passphrase is stretched with scrypt into an AES-256-GCM key. Public keys,
+ * the address and a label stay readable, so identities can be listed without
+ * the passphrase.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { DecryptionError, NotFoundError, ValidationError } from './errors.js';
+import { WalletIdentity } from './wallet-identity.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const KEY_LENGTH = 32;
+
+/**
+ * Default scrypt cost parameters (128 MiB of memory per derivation)
+ */
+export const DEFAULT_KDF_PARAMS = {
+  N: 2 ** 17,
+  r: 8,
+  p: 1
+};
+
+/**
+ * Derive the key encrypting an entry's private keys
+ * @param {string} passphrase - The passphrase
+ * @param {Buffer} salt - Random salt stored with the entry
+ * @param {Object} params - scrypt cost parameters ({ N, r, p })
+ * @returns {Promise<Buffer>} - 32-byte key
+ */
+async function deriveKey(passphrase, salt, params) {
+  return await scrypt(passphrase.normalize('NFKC'), salt, KEY_LENGTH, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+export class Keystore {
+  /**
+   * @param {Object} config - Keystore configuration
+   * @param {string} config.directory - Directory holding the keystore entries
+   * @param {Object} [config.kdfParams] - scrypt cost parameters for new entries, merged with the defaults
+   */
+  constructor(config) {
+    if (!config?.directory) {
+      throw new ValidationError('Keystore requires a directory');
+    }
+    this.directory = config.directory;
+    this.kdfParams = { ...DEFAULT_KDF_PARAMS, ...config.kdfParams };
+  }
+
+  /**
+   * Path of an address's entry
+   * @param {string} address - Wallet address
+   * @returns {string}
+   */
+  entryPath(address) {
+    return path.join(this.directory, `${address}.json`);
+  }
+
+  /**
+   * Create a new identity and store it
+   * Without an address, the identity uses the Sui address of its signing key
+   * @param {string} passphrase - Passphrase encrypting the private keys
+   * @param {Object} [options] - Creation options
+   * @param {string} [options.address] - Wallet address to bind the keys to
+   * @param {string} [options.label] - Human-readable name
+   * @returns {Promise<WalletIdentity>} - The new identity
+   */
+  async create(passphrase, options = {}) {
+    const identity = WalletIdentity.generate(options.address);
+    await this.save(identity, passphrase, options);
+    return identity;
+  }
+
+  /**
+   * Import a Sui wallet's exported private key
+   * The identity signs with the wallet key and gets a new encryption key pair
+   * @param {string} suiPrivateKey - suiprivkey1... string
+   * @param {string} passphrase - Passphrase encrypting the private keys
+   * @param {Object} [options] - Import options
+   * @param {string} [options.label] - Human-readable name
+   * @returns {Promise<WalletIdentity>} - The imported identity
+   * @throws {ValidationError} - If the key is invalid or the address is already in the keystore
+   */
+  async importSuiPrivateKey(suiPrivateKey, passphrase, options = {}) {
+    const identity = WalletIdentity.fromSuiPrivateKey(suiPrivateKey);
+    await this.save(identity, passphrase, options);
+    return identity;
+  }
+
+  /**
+   * Encrypt and store an identity
+   * @param {WalletIdentity} identity - The identity
+   * @param {string} passphrase - Passphrase encrypting the private keys
+   * @param {Object} [options] - Save options
+   * @param {string} [options.label] - Human-readable name
+   * @returns {Promise<Object>} - The public part of the entry (see list)
+   * @throws {ValidationError} - If the passphrase is empty or the address is already in the keystore
+   */
+  async save(identity, passphrase, options = {}) {
+    if (!passphrase) {
+      throw new ValidationError('A passphrase is required to store an identity');
+    }
+    if (await this.has(identity.address)) {
+      throw new ValidationError(`Keystore already holds an identity for ${identity.address}`, {
+        details: { address: identity.address }
+      });
+    }
+
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(passphrase, salt, this.kdfParams);
+    const { encryptionPrivateKey, signingPrivateKey } = identity.toObject();
+
+    // The address is authenticated with the keys so entries cannot be swapped between files
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(identity.address));
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify({ encryptionPrivateKey, signingPrivateKey })),
+      cipher.final(),
+      cipher.getAuthTag()
+    ]);
+
+    const entry = {
+      version: KEYSTORE_VERSION,
+      label: options.label || null,
+      createdAt: new Date().toISOString(),
+      address: identity.address,
+      encryptionKey: Buffer.from(identity.encryptionPublicKey).toString('base64'),
+      signingKey: Buffer.from(identity.signingPublicKey).toString('base64'),
+      crypto: {
+        kdf: 'scrypt',
+        kdfParams: { ...this.kdfParams, salt: salt.toString('base64') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+      }
+    };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.entryPath(identity.address), JSON.stringify(entry, null, 2), { mode: 0o600, flag: 'wx' });
+    return publicEntry(entry);
+  }
+
+  /**
+   * Check whether the keystore holds an identity for an address
+   * @param {string} address - Wallet address
+   * @returns {Promise<boolean>}
+   */
+  async has(address) {
+    try {
+      await fs.access(this.entryPath(address));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the stored identities without decrypting them
+   * @returns {Promise<Array<Object>>} - { address, label, encryptionKey, signingKey, createdAt } per identity
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      entries.push(publicEntry(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'))));
+    }
+    return entries;
+  }
+
+  /**
+   * Decrypt a stored identity
+   * @param {string} address - Wallet address
+   * @param {string} passphrase - The passphrase the identity was stored with
+   * @returns {Promise<WalletIdentity>} - The identity
+   * @throws {NotFoundError} - If the keystore holds no identity for the address
+   * @throws {DecryptionError} - If the passphrase is wrong or the entry was modified
+   */
+  async unlock(address, passphrase) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.entryPath(address), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`No keystore entry for ${address}`, { details: { address } });
+      }
+      throw error;
+    }
+    if (entry.version !== KEYSTORE_VERSION || entry.crypto?.kdf !== 'scrypt' || entry.crypto.cipher !== 'aes-256-gcm') {
+      throw new DecryptionError(`Unsupported keystore entry for ${address}`, { details: { address } });
+    }
+
+    const { kdfParams, iv, ciphertext } = entry.crypto;
+    const key = await deriveKey(passphrase, Buffer.from(kdfParams.salt, 'base64'), kdfParams);
+    const data = Buffer.from(ciphertext, 'base64');
+
+    let secrets;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(address));
+      decipher.setAuthTag(data.subarray(data.length - 16));
+      secrets = JSON.parse(Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString('utf8'));
+    } catch (error) {
+      throw new DecryptionError('Incorrect passphrase or corrupted keystore entry', { cause: error, details: { address } });
+    }
+
+    return WalletIdentity.fromObject({ address, ...secrets });
+  }
+}
+
+/**
+ * Public part of a keystore entry
+ * @param {Object} entry - Stored entry
+ * @returns {Object} - { address, label, encryptionKey, signingKey, createdAt }
+ */
+function publicEntry(entry) {
+  return {
+    address: entry.address,
+    label: entry.label,
+    encryptionKey: entry.encryptionKey,
+    signingKey: entry.signingKey,
+    createdAt: entry.createdAt
+  };
+}
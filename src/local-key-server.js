@@ -0,0 +1,138 @@
+/**
+ * Key Servers
+ * Key servers hold a master key and release the key of a sealed share only to
+ * requesters allowed by the access policy of the identity it was sealed under
+ * (see seal-strategy.js).
+ *
+ * LocalKeyServer is an in-process stand-in for Seal key servers, for
+ * development and offline tests. It uses X25519 key agreement rather than
+ * Seal's identity-based encryption, and evaluates access policies as local
+ * functions rather than Move seal_approve calls; it is not a production key server.
+ */
+
+import crypto from 'crypto';
+import { AuthorizationError, ValidationError } from './errors.js';
+import { deriveSharedSecret, generateX25519KeyPair, getX25519PublicKey } from './key-wrapping.js';
+import { deriveShareKey, encodeKeyRequest, recipientPolicy } from './seal-strategy.js';
+import { deriveSuiAddress, verifyPersonalMessage } from './signatures.js';
+
+// Key requests older than this are rejected, so signed requests cannot be replayed later
+const DEFAULT_MAX_REQUEST_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Key Server interface
+ * Implementations expose their object ID as `objectId`
+ */
+export class KeyServer {
+  /**
+   * Get the key server's public key
+   * @returns {Promise<Uint8Array>} - Raw X25519 public key
+   */
+  async getPublicKey() {
+    throw new Error(`${this.constructor.name} does not implement getPublicKey`);
+  }
+
+  /**
+   * Derive the key of a sealed share for an allowed requester
+   * @param {Object} request - Signed key request
+   * @param {string} request.objectId - The key server's object ID
+   * @param {string} request.identity - Identity the share was sealed under
+   * @param {Uint8Array} request.ephemeralPublicKey - Ephemeral public key of the sealed key
+   * @param {string} request.requester - Requesting address
+   * @param {string} request.timestamp - ISO time of the request
+   * @param {Uint8Array} request.signature - Requester's personal message signature over the request
+   * @returns {Promise<Uint8Array>} - The share key
+   * @throws {AuthorizationError} - If the request is not validly signed or the policy denies the requester
+   */
+  async deriveKey(request) {
+    throw new Error(`${this.constructor.name} does not implement deriveKey`);
+  }
+}
+
+/**
+ * Local Key Server
+ */
+export class LocalKeyServer extends KeyServer {
+  /**
+   * @param {Object} config - Key server configuration
+   * @param {string} config.objectId - Identifier of the key server
+   * @param {Uint8Array} [config.privateKey] - Raw X25519 master key (generated if omitted)
+   * @param {Function} [config.policy] - async (identity, requester) => boolean; the recipient policy by default
+   * @param {KeyDirectory} [config.keyDirectory] - Signing keys of requesters whose address is not derived from their key
+   * @param {number} [config.maxRequestAgeMs] - Oldest accepted key request (default 5 minutes)
+   */
+  constructor(config) {
+    super();
+    if (!config?.objectId) {
+      throw new ValidationError('A key server requires an object ID');
+    }
+    this.objectId = config.objectId;
+    this.privateKey = config.privateKey || generateX25519KeyPair().privateKey;
+    this.publicKey = getX25519PublicKey(this.privateKey);
+    this.policy = config.policy || recipientPolicy;
+    this.keyDirectory = config.keyDirectory || null;
+    this.maxRequestAgeMs = config.maxRequestAgeMs ?? DEFAULT_MAX_REQUEST_AGE_MS;
+  }
+
+  async getPublicKey() {
+    return this.publicKey;
+  }
+
+  /**
+   * Check that a key request was signed by the requester
+   * @param {Object} request - Signed key request
+   * @throws {AuthorizationError} - If the signature is invalid or by a key not belonging to the requester
+   */
+  async verifyRequest(request) {
+    const age = Date.now() - Date.parse(request.timestamp);
+    if (!(age >= -this.maxRequestAgeMs && age <= this.maxRequestAgeMs)) {
+      throw new AuthorizationError('Key request has expired', { details: { expected: request.requester } });
+    }
+
+    const { valid, publicKey, address } = verifyPersonalMessage(encodeKeyRequest(request), request.signature);
+    if (!valid) {
+      throw new AuthorizationError('Invalid key request signature', { details: { expected: request.requester } });
+    }
+    if (address === request.requester.toLowerCase()) {
+      return;
+    }
+
+    const record = await this.keyDirectory?.getPublicKeys(request.requester);
+    if (!record?.signingKey || !Buffer.from(record.signingKey, 'base64').equals(Buffer.from(publicKey))) {
+      throw new AuthorizationError(`Key request was not signed by ${request.requester}`, {
+        details: { expected: request.requester, actual: deriveSuiAddress(publicKey) }
+      });
+    }
+  }
+
+  async deriveKey(request) {
+    if (request.objectId !== this.objectId) {
+      throw new AuthorizationError(`Key request is for key server ${request.objectId}`, {
+        details: { expected: this.objectId, actual: request.objectId }
+      });
+    }
+    await this.verifyRequest(request);
+
+    if (!await this.policy(request.identity, request.requester)) {
+      throw new AuthorizationError(`Access policy denies ${request.requester}`, {
+        details: { expected: request.requester }
+      });
+    }
+
+    return new Uint8Array(deriveShareKey(
+      deriveSharedSecret(this.privateKey, request.ephemeralPublicKey),
+      request.ephemeralPublicKey,
+      this.publicKey,
+      request.identity
+    ));
+  }
+
+  /**
+   * Create a key server with a new master key
+   * @param {Object} [config] - Key server configuration (see constructor); a random object ID is used if none is given
+   * @returns {LocalKeyServer}
+   */
+  static generate(config = {}) {
+    return new LocalKeyServer({ objectId: `0x${crypto.randomBytes(32).toString('hex')}`, ...config });
+  }
+}
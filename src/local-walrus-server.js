@@ -0,0 +1,326 @@
+/**
+ * Local Walrus Server
+ * Stand-in for a Walrus publisher and aggregator that implements the subset of
+ * the HTTP API used by WalrusClient, backed by a local storage backend:
+ *
+ *   PUT /v1/blobs?epochs=&deletable=&permanent=&send_object_to=
+ *   GET /v1/blobs/<blobId>
+ *   GET /v1/blobs/<blobId>/metadata
+ *
+ * Failures and latency can be injected to exercise retries and failover.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { MemoryStorageBackend } from './storage-backend.js';
+import { normalizeStoreOptions } from './storage-policy.js';
+import { sleep } from './endpoint-pool.js';
+import { NotFoundError, ValidationError } from './errors.js';
+import { silentLogger } from './logger.js';
+
+/**
+ * Default server settings
+ */
+export const DEFAULT_LOCAL_SERVER_OPTIONS = {
+  port: 31415,
+  host: '127.0.0.1',
+  maxBlobSize: 10 * 1024 * 1024 // Matches the default publisher upload limit
+};
+
+/**
+ * Default failure injection settings (no failures)
+ */
+export const DEFAULT_FAILURE_OPTIONS = {
+  rate: 0,        // Probability (0-1) that a request fails
+  status: 503,    // Status returned by injected failures
+  latencyMs: 0    // Delay added before every response
+};
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Generate a random Sui object ID
+ * @returns {string} - 0x-prefixed 32-byte hex ID
+ */
+function randomObjectId() {
+  return `0x${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Generate a random base58 string shaped like a Sui transaction digest
+ * @returns {string} - The digest
+ */
+function randomTxDigest() {
+  return Array.from(crypto.randomBytes(44), byte => BASE58_ALPHABET[byte % 58]).join('');
+}
+
+/**
+ * Map an error to an HTTP status code
+ * @param {Error} error - The error
+ * @returns {number} - Status code
+ */
+function statusForError(error) {
+  if (error instanceof NotFoundError) return 404;
+  if (error instanceof ValidationError) return 400;
+  return 500;
+}
+
+export class LocalWalrusServer {
+  /**
+   * @param {Object} [config] - Server configuration
+   * @param {StorageBackend} [config.backend] - Backend holding the blobs (in-memory by default)
+   * @param {number} [config.port] - Port to listen on (0 picks a free port)
+   * @param {string} [config.host] - Interface to bind to
+   * @param {number} [config.maxBlobSize] - Largest accepted upload in bytes
+   * @param {Object} [config.failures] - Failure injection (rate, status, latencyMs)
+   * @param {Logger} [config.logger] - Logger (silent by default)
+   */
+  constructor(config = {}) {
+    const settings = { ...DEFAULT_LOCAL_SERVER_OPTIONS, ...config };
+    this.backend = config.backend || new MemoryStorageBackend();
+    this.port = settings.port;
+    this.host = settings.host;
+    this.maxBlobSize = settings.maxBlobSize;
+    this.failures = { ...DEFAULT_FAILURE_OPTIONS, ...config.failures };
+    this.logger = config.logger || silentLogger;
+
+    this.forcedFailures = []; // Statuses for the next requests, see failNext
+    this.stats = { requests: 0, stored: 0, retrieved: 0, injectedFailures: 0 };
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logger.error('Unhandled request error', { operation: 'handleRequest', error });
+        this.sendError(res, 500, error.message);
+      });
+    });
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string|null}
+   */
+  get url() {
+    const address = this.server.address();
+    return address ? `http://${this.host}:${address.port}` : null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - The server URL
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.logger.info('Local Walrus server listening', { operation: 'start', url: this.url });
+    return this.url;
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Make the next requests fail with the given status
+   * @param {number} [count] - Number of requests to fail
+   * @param {number} [status] - Status code to return
+   */
+  failNext(count = 1, status = this.failures.status) {
+    for (let i = 0; i < count; i++) {
+      this.forcedFailures.push(status);
+    }
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   */
+  async handleRequest(req, res) {
+    this.stats.requests++;
+    const url = new URL(req.url, 'http://localhost');
+
+    if (this.failures.latencyMs > 0) {
+      await sleep(this.failures.latencyMs);
+    }
+
+    const injectedStatus = this.forcedFailures.length > 0
+      ? this.forcedFailures.shift()
+      : (Math.random() < this.failures.rate ? this.failures.status : null);
+    if (injectedStatus) {
+      this.stats.injectedFailures++;
+      this.logger.debug('Injected failure', { operation: 'handleRequest', path: url.pathname, status: injectedStatus });
+      req.resume();
+      this.sendError(res, injectedStatus, 'Injected failure');
+      return;
+    }
+
+    const match = url.pathname.match(/^\/v1\/blobs(?:\/([A-Za-z0-9_-]+)(\/metadata)?)?$/);
+    if (!match) {
+      req.resume();
+      this.sendError(res, 404, `No route for ${req.method} ${url.pathname}`);
+      return;
+    }
+
+    const [, blobId, metadata] = match;
+    try {
+      if (req.method === 'PUT' && !blobId) {
+        await this.handleStore(req, res, url.searchParams);
+      } else if (req.method === 'GET' && blobId && metadata) {
+        this.sendJson(res, 200, await this.backend.getBlobMetadata(blobId));
+      } else if (req.method === 'GET' && blobId) {
+        await this.handleRetrieve(res, blobId);
+      } else {
+        req.resume();
+        this.sendError(res, 405, `Method ${req.method} not allowed on ${url.pathname}`);
+      }
+    } catch (error) {
+      this.logger.warn('Request failed', { operation: 'handleRequest', path: url.pathname, error });
+      this.sendError(res, statusForError(error), error.message);
+    }
+  }
+
+  /**
+   * Handle PUT /v1/blobs
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @param {URLSearchParams} params - Query parameters
+   */
+  async handleStore(req, res, params) {
+    const options = normalizeStoreOptions({
+      epochs: params.has('epochs') ? Number(params.get('epochs')) : undefined,
+      deletable: params.get('deletable') === 'true',
+      permanent: params.get('permanent') === 'true',
+      sendObjectTo: params.get('send_object_to') || undefined
+    });
+
+    const data = await this.readBody(req);
+    if (!data) {
+      this.sendError(res, 413, `Blob exceeds the maximum size of ${this.maxBlobSize} bytes`);
+      return;
+    }
+
+    const { blobId, response } = await this.backend.storeBlob(data, options);
+    this.stats.stored++;
+    this.logger.info('Blob stored', { operation: 'storeBlob', blobId, size: data.length });
+    this.sendJson(res, 200, this.createStoreResponse(response));
+  }
+
+  /**
+   * Handle GET /v1/blobs/<blobId>
+   * @param {http.ServerResponse} res - The response
+   * @param {string} blobId - The blob ID
+   */
+  async handleRetrieve(res, blobId) {
+    const data = await this.backend.retrieveBlob(blobId);
+    this.stats.retrieved++;
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': data.length
+    });
+    res.end(data);
+  }
+
+  /**
+   * Read a request body, stopping at the maximum blob size
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Promise<Uint8Array|null>} - The body, or null if it is too large
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBlobSize) {
+        req.resume();
+        return null;
+      }
+      chunks.push(chunk);
+    }
+    return new Uint8Array(Buffer.concat(chunks));
+  }
+
+  /**
+   * Expand a local backend store result into a publisher-style response
+   * @param {Object} response - Response from the local backend
+   * @returns {Object} - newlyCreated or alreadyCertified response
+   */
+  createStoreResponse(response) {
+    if (response.alreadyCertified) {
+      return {
+        alreadyCertified: {
+          ...response.alreadyCertified,
+          event: { txDigest: randomTxDigest(), eventSeq: '0' }
+        }
+      };
+    }
+
+    const { blobId, size, deletable, storage } = response.newlyCreated.blobObject;
+    const encodedLength = size * 5; // Rough RedStuff encoding overhead
+    return {
+      newlyCreated: {
+        blobObject: {
+          id: randomObjectId(),
+          registeredEpoch: storage.startEpoch,
+          blobId,
+          size,
+          encodingType: 'RS2',
+          certifiedEpoch: storage.startEpoch,
+          storage: {
+            id: randomObjectId(),
+            startEpoch: storage.startEpoch,
+            endEpoch: storage.endEpoch,
+            storageSize: encodedLength
+          },
+          deletable
+        },
+        resourceOperation: {
+          registerFromScratch: {
+            encodedLength,
+            epochsAhead: storage.endEpoch - storage.startEpoch
+          }
+        },
+        cost: encodedLength * (storage.endEpoch - storage.startEpoch)
+      }
+    };
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - Status code
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+
+  /**
+   * Send an error in the shape Walrus services use
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - Status code
+   * @param {string} message - Error message
+   */
+  sendError(res, status, message) {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    this.sendJson(res, status, {
+      error: { status: http.STATUS_CODES[status]?.toUpperCase().replace(/ /g, '_'), code: status, message }
+    });
+  }
+}
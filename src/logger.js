@@ -0,0 +1,194 @@
+/**
+ * Logger
+ * Structured, levelled logging for the client and services. Components log
+ * through an injected logger and are silent by default; sinks decide where
+ * records go (JSON lines for servers, pretty console output for the examples).
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Log levels in increasing order of severity
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const ADDRESS_PATTERN = /0x[0-9a-fA-F]{4,}/g;
+
+/**
+ * Shorten a hex address so logs do not identify wallets
+ * @param {string} address - Hex address
+ * @returns {string} - Redacted address, e.g. 0x1a2b…9f0e
+ */
+export function redactAddress(address) {
+  return address.length > 12 ? `${address.slice(0, 6)}…${address.slice(-4)}` : '0x…';
+}
+
+/**
+ * Convert a field value to plain data, redacting addresses if requested
+ * Errors are reduced to their name, code, message and details
+ * @param {*} value - Field value
+ * @param {boolean} redact - Whether to redact addresses
+ * @returns {*} - Plain value
+ */
+function normalizeValue(value, redact) {
+  if (typeof value === 'string') {
+    return redact ? value.replace(ADDRESS_PATTERN, redactAddress) : value;
+  }
+  if (value instanceof Error) {
+    return normalizeValue({
+      name: value.name,
+      code: value.code,
+      message: value.message,
+      details: value.details
+    }, redact);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeValue(item, redact));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const normalized = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) {
+        normalized[key] = normalizeValue(item, redact);
+      }
+    }
+    return normalized;
+  }
+  return value;
+}
+
+export class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level] - Minimum level to emit (debug, info, warn, error, silent)
+   * @param {Function} [options.sink] - Receives every emitted record
+   * @param {boolean} [options.redactAddresses] - Shorten 0x addresses in messages and fields
+   * @param {Object} [options.fields] - Fields added to every record
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    if (!(this.level in LOG_LEVELS)) {
+      throw new ValidationError(`Invalid log level: ${this.level}. Must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    this.sink = options.sink || (() => {});
+    this.redactAddresses = Boolean(options.redactAddresses);
+    this.fields = options.fields || {};
+  }
+
+  /**
+   * Check whether records at a level would be emitted
+   * @param {string} level - Log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Emit a record
+   * @param {string} level - Log level
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Structured fields (operation, blobId, conversationId, durationMs, error, ...)
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    this.sink(normalizeValue({
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...this.fields,
+      ...fields
+    }, this.redactAddresses));
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Create a logger that adds fields to every record
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} - Child logger sharing this logger's level and sink
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      sink: this.sink,
+      redactAddresses: this.redactAddresses,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+}
+
+/**
+ * Logger that discards everything; the default for all components
+ */
+export const silentLogger = new Logger({ level: 'silent' });
+
+/**
+ * Create a logger writing one JSON object per line, for server processes
+ * @param {Object} [options] - Logger options (level, redactAddresses, fields)
+ * @param {Object} [options.stream] - Writable stream (defaults to stderr)
+ * @returns {Logger} - The logger
+ */
+export function createJsonLogger(options = {}) {
+  const stream = options.stream || process.stderr;
+  return new Logger({
+    ...options,
+    sink: record => stream.write(`${JSON.stringify(record)}\n`)
+  });
+}
+
+const CONSOLE_PREFIXES = {
+  debug: '🔍',
+  info: 'ℹ️ ',
+  warn: '⚠️ ',
+  error: '❌'
+};
+
+/**
+ * Create a logger printing readable, emoji-prefixed lines to the console
+ * Used by the example CLIs; fields other than the message are appended as key=value
+ * @param {Object} [options] - Logger options (level, redactAddresses, fields)
+ * @returns {Logger} - The logger
+ */
+export function createConsoleLogger(options = {}) {
+  return new Logger({
+    ...options,
+    sink: ({ time, level, message, error, ...fields }) => {
+      const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+      const line = `${CONSOLE_PREFIXES[level]} ${message}` +
+        (error ? `: ${error.message}` : '') +
+        (extras.length > 0 ? ` (${extras.join(', ')})` : '');
+
+      if (level === 'error') {
+        console.error(line);
+      } else if (level === 'warn') {
+        console.warn(line);
+      } else {
+        console.log(line);
+      }
+    }
+  });
+}
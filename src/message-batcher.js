@@ -0,0 +1,188 @@
+/**
+ * Message Batcher
+ * Buffers small encrypted messages and packs them into a single container blob
+ *
+ * Container layout (all integers are big-endian uint32):
+ *   magic "WMB1" | entry count | entry lengths... | entries back to back
+ */
+
+import { IntegrityError, ValidationError } from './errors.js';
+
+const BATCH_MAGIC = new TextEncoder().encode('WMB1');
+
+/**
+ * Default batching settings
+ */
+export const DEFAULT_BATCH_OPTIONS = {
+  windowMs: 500,          // Flush this long after the first buffered message
+  maxMessages: 50,        // Flush once this many messages are buffered
+  maxBytes: 512 * 1024    // Flush once the buffered messages reach this size
+};
+
+/**
+ * Pack entries into a container blob
+ * @param {Array<Uint8Array>} entries - Serialized messages
+ * @returns {Object} - Container data and the { offset, length } of every entry
+ */
+export function packBatch(entries) {
+  const headerLength = BATCH_MAGIC.length + 4 + entries.length * 4;
+  const totalLength = entries.reduce((total, entry) => total + entry.length, headerLength);
+
+  const data = new Uint8Array(totalLength);
+  const view = new DataView(data.buffer);
+  data.set(BATCH_MAGIC, 0);
+  view.setUint32(BATCH_MAGIC.length, entries.length);
+
+  const locations = [];
+  let offset = headerLength;
+  entries.forEach((entry, i) => {
+    view.setUint32(BATCH_MAGIC.length + 4 + i * 4, entry.length);
+    data.set(entry, offset);
+    locations.push({ offset, length: entry.length });
+    offset += entry.length;
+  });
+
+  return { data, locations };
+}
+
+/**
+ * Check whether a blob is a batch container
+ * @param {Uint8Array} data - Blob data
+ * @returns {boolean} - True if the blob starts with the container magic
+ */
+export function isBatchContainer(data) {
+  return data.length >= BATCH_MAGIC.length + 4 &&
+    BATCH_MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Read the entry locations from a container header
+ * @param {Uint8Array} data - Container data
+ * @returns {Array<Object>} - { offset, length } of every entry
+ */
+export function readBatchLocations(data) {
+  if (!isBatchContainer(data)) {
+    throw new ValidationError('Blob is not a message batch container');
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const count = view.getUint32(BATCH_MAGIC.length);
+  let offset = BATCH_MAGIC.length + 4 + count * 4;
+
+  const locations = [];
+  for (let i = 0; i < count; i++) {
+    const length = view.getUint32(BATCH_MAGIC.length + 4 + i * 4);
+    locations.push({ offset, length });
+    offset += length;
+  }
+
+  if (offset > data.length) {
+    throw new IntegrityError('Message batch container is truncated');
+  }
+  return locations;
+}
+
+/**
+ * Extract a single entry from a container
+ * @param {Uint8Array} data - Container data
+ * @param {Object} location - Entry location
+ * @param {number} location.offset - Byte offset of the entry
+ * @param {number} location.length - Byte length of the entry
+ * @returns {Uint8Array} - The entry
+ */
+export function extractBatchEntry(data, location) {
+  if (location.offset < 0 || location.offset + location.length > data.length) {
+    throw new IntegrityError(`Batch entry at offset ${location.offset} is out of range`);
+  }
+  return data.subarray(location.offset, location.offset + location.length);
+}
+
+export class MessageBatcher {
+  /**
+   * @param {Object} config - Batcher configuration
+   * @param {Function} config.store - Stores a container blob, resolving to a WalrusClient storage result
+   * @param {number} [config.windowMs] - Flush this long after the first buffered message
+   * @param {number} [config.maxMessages] - Flush once this many messages are buffered
+   * @param {number} [config.maxBytes] - Flush once the buffered messages reach this size
+   */
+  constructor(config) {
+    if (typeof config?.store !== 'function') {
+      throw new ValidationError('MessageBatcher requires a store function');
+    }
+
+    const settings = { ...DEFAULT_BATCH_OPTIONS, ...config };
+    this.store = config.store;
+    this.windowMs = settings.windowMs;
+    this.maxMessages = settings.maxMessages;
+    this.maxBytes = settings.maxBytes;
+
+    this.pending = []; // { entry, resolve, reject }
+    this.pendingBytes = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Number of messages waiting to be flushed
+   * @returns {number}
+   */
+  get pendingCount() {
+    return this.pending.length;
+  }
+
+  /**
+   * Add a serialized message to the current batch
+   * Resolves once the batch containing it has been stored
+   * @param {Uint8Array} entry - Serialized message
+   * @returns {Promise<Object>} - { blobId, offset, length, batchSize, storageResult }
+   */
+  add(entry) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ entry, resolve, reject });
+      this.pendingBytes += entry.length;
+
+      if (this.pending.length >= this.maxMessages || this.pendingBytes >= this.maxBytes) {
+        this.flush().catch(() => {}); // Errors are delivered through each add() promise
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => {
+          this.flush().catch(() => {});
+        }, this.windowMs);
+      }
+    });
+  }
+
+  /**
+   * Store all buffered messages now
+   * @returns {Promise<Object|null>} - Storage result of the container, or null if nothing was buffered
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batch = this.pending;
+    this.pending = [];
+    this.pendingBytes = 0;
+    if (batch.length === 0) {
+      return null;
+    }
+
+    const { data, locations } = packBatch(batch.map(item => item.entry));
+
+    let storageResult;
+    try {
+      storageResult = await this.store(data, batch.length);
+    } catch (error) {
+      batch.forEach(item => item.reject(error));
+      throw error;
+    }
+
+    batch.forEach((item, i) => item.resolve({
+      blobId: storageResult.blobId,
+      ...locations[i],
+      batchSize: batch.length,
+      storageResult
+    }));
+    return storageResult;
+  }
+}
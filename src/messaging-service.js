@@ -5,23 +5,81 @@
 
 import { WalrusClient } from './walrus-client.js';
 import { EncryptionService } from './encryption-service.js';
+import { StorageKind, createStoragePolicy } from './storage-policy.js';
+import { KeyChangedError, NotFoundError, ValidationError } from './errors.js';
+import { silentLogger } from './logger.js';
 
 export class MessagingService {
+  /**
+   * @param {Object} config - Service configuration
+   * @param {Object} [config.walrus] - WalrusClient configuration
+   * @param {WalrusClient} [config.walrusClient] - Preconfigured client to use instead of building one
+   * @param {StorageBackend} [config.storageBackend] - Storage backend for the client built from config.walrus
+   * @param {WalletIdentity} [config.identity] - The current user's identity, e.g. unlocked from a Keystore
+   * @param {string} [config.senderAddress] - The current user's wallet address (the identity's address if omitted)
+   * @param {Array<WalletIdentity>} [config.identities] - Further identities used to decrypt
+   * @param {KeyDirectory} [config.keyDirectory] - Public keys of recipients
+   * @param {boolean} [config.acceptLegacyEnvelopes] - Decrypt envelopes without authenticated metadata (default true)
+   * @param {boolean} [config.acceptUnwrappedKeys] - Decrypt the first envelopes, whose content key is unencrypted (default false)
+   * @param {SealStrategy} [config.seal] - Seal content keys with key servers instead of wrapping them to the recipient
+   * @param {boolean} [config.privacy] - Store messages as padded private envelopes that hide the sender, recipient and timestamp
+   * @param {CipherRegistry} [config.ciphers] - Content ciphers in order of preference
+   * @param {VerificationStore} [config.verificationStore] - Contacts verified by safety number
+   * @param {Object} [config.storagePolicy] - Store options per blob kind, merged with the defaults
+   * @param {Logger} [config.logger] - Logger shared with the client and encryption service (silent by default)
+   */
   constructor(config) {
-    this.walrusClient = new WalrusClient(config.walrus);
-    this.encryptionService = new EncryptionService();
-    this.senderAddress = config.senderAddress;
+    this.logger = config.logger || silentLogger;
+    this.walrusClient = config.walrusClient || new WalrusClient({
+      logger: this.logger,
+      ...config.walrus,
+      backend: config.storageBackend
+    });
+    this.encryptionService = new EncryptionService({
+      logger: this.logger,
+      identities: [config.identity, ...(config.identities || [])].filter(Boolean),
+      keyDirectory: config.keyDirectory,
+      acceptLegacyEnvelopes: config.acceptLegacyEnvelopes,
+      acceptUnwrappedKeys: config.acceptUnwrappedKeys,
+      seal: config.seal,
+      privacy: config.privacy,
+      ciphers: config.ciphers,
+      verificationStore: config.verificationStore
+    });
+    this.senderAddress = config.senderAddress || config.identity?.address;
+    if (!this.senderAddress) {
+      throw new ValidationError('A sender identity or address is required');
+    }
+    this.storagePolicy = createStoragePolicy(config.storagePolicy);
   }
 
   /**
    * Send an encrypted message
    * @param {string} message - The message to send
    * @param {string} recipientAddress - The recipient's wallet address
+   * @param {Object} [options] - Send options
+   * @param {boolean} [options.ephemeral] - Store as a short-lived message blob
+   * @param {number} [options.epochs] - Override the policy's storage epochs
+   * @param {boolean} [options.deletable] - Override the policy's deletable flag
+   * @param {string} [options.sendObjectTo] - Address to transfer the Sui blob object to
+   * @param {boolean} [options.acceptKeyChanges] - Send even if the recipient was verified and their keys changed
    * @returns {Promise<Object>} - Message metadata including blob ID
+   * @throws {KeyChangedError} - If the recipient's keys changed since verification and the change was not accepted
    */
-  async sendMessage(message, recipientAddress) {
+  async sendMessage(message, recipientAddress, options = {}) {
     try {
-      console.log(`Sending encrypted message to ${recipientAddress}`);
+      const { ephemeral, acceptKeyChanges, ...storageOverrides } = options;
+
+      const startedAt = Date.now();
+
+      // Warn before encrypting to keys that differ from the ones the user verified
+      const changes = await this.encryptionService.checkKeyChanges(this.senderAddress, [recipientAddress]);
+      if (changes.length > 0) {
+        this.logger.warn('Keys of verified recipient changed', { operation: 'sendMessage', recipient: recipientAddress });
+        if (!acceptKeyChanges) {
+          throw new KeyChangedError(`Keys of ${recipientAddress} changed since verification`, { details: { changes } });
+        }
+      }
       
       // Encrypt the message
       const encryptedData = await this.encryptionService.encryptMessage(
@@ -31,25 +89,34 @@ export class MessagingService {
       );
       
       // Serialize the encrypted data for storage
-      const serializedData = this.encryptionService.serializeEncryptedData(encryptedData);
+      const serializedData = await this.encryptionService.serializeForStorage(encryptedData);
       
       // Store the encrypted message on Walrus
-      const storageResult = await this.walrusClient.storeBlob(
-        serializedData,
-        this.senderAddress
-      );
+      const storageResult = await this.walrusClient.storeBlob(serializedData, {
+        owner: this.senderAddress,
+        ...this.storagePolicy[ephemeral ? StorageKind.EPHEMERAL_MESSAGE : StorageKind.MESSAGE],
+        ...storageOverrides
+      });
       
-      console.log(`Message sent successfully! Blob ID: ${storageResult.blobId}`);
+      this.logger.info('Message sent', {
+        operation: 'sendMessage',
+        blobId: storageResult.blobId,
+        recipient: recipientAddress,
+        durationMs: Date.now() - startedAt
+      });
       
       return {
         blobId: storageResult.blobId,
         sender: this.senderAddress,
         recipient: recipientAddress,
         timestamp: storageResult.timestamp,
-        size: storageResult.size
+        size: storageResult.size,
+        digest: storageResult.digest,
+        epochs: storageResult.epochs,
+        deletable: storageResult.deletable
       };
     } catch (error) {
-      console.error('Error sending message:', error);
+      this.logger.error('Error sending message', { operation: 'sendMessage', recipient: recipientAddress, error });
       throw error;
     }
   }
@@ -59,36 +126,44 @@ export class MessagingService {
    * @param {string} blobId - The blob ID of the message
    * @param {string} recipientAddress - The recipient's wallet address (for verification)
    * @param {string} senderAddress - The sender's wallet address (for verification)
-   * @returns {Promise<Object>} - The decrypted message with metadata
+   * @param {Object} [options] - Retrieval options
+   * @param {string} [options.expectedDigest] - Digest returned by sendMessage, checked before decrypting
+   * @returns {Promise<Object>} - The decrypted message with metadata, including the sender
+   *   signature check (verification.status is 'verified' or 'unverified') and the envelope format version
+   * @throws {NotFoundError|IntegrityError|AuthorizationError|DecryptionError|NetworkError} - If the message cannot be read
+   *   (an invalid sender signature raises AuthorizationError)
    */
-  async retrieveMessage(blobId, recipientAddress, senderAddress) {
+  async retrieveMessage(blobId, recipientAddress, senderAddress, options = {}) {
     try {
-      console.log(`Retrieving message with blob ID: ${blobId}`);
+      const startedAt = Date.now();
       
       // Retrieve the encrypted data from Walrus
-      const serializedData = await this.walrusClient.retrieveBlob(blobId);
+      const serializedData = await this.walrusClient.retrieveBlob(blobId, { expectedDigest: options.expectedDigest });
       
       // Deserialize the encrypted data
       const encryptedData = this.encryptionService.deserializeEncryptedData(serializedData);
       
-      // Decrypt the message
-      const decryptedMessage = await this.encryptionService.decryptMessage(
+      // Verify the sender's signature and decrypt the message
+      const { message: decryptedMessage, verification, version } = await this.encryptionService.openMessage(
         encryptedData,
         recipientAddress,
         senderAddress
       );
       
-      console.log(`Message retrieved and decrypted successfully`);
+      this.logger.info('Message retrieved', { operation: 'retrieveMessage', blobId, durationMs: Date.now() - startedAt });
       
       return {
         message: decryptedMessage,
         sender: encryptedData.sender,
-        recipient: encryptedData.recipient,
+        recipient: recipientAddress,
+        recipients: encryptedData.recipients,
         timestamp: encryptedData.timestamp,
+        verification,
+        version,
         blobId: blobId
       };
     } catch (error) {
-      console.error('Error retrieving message:', error);
+      this.logger.error('Error retrieving message', { operation: 'retrieveMessage', blobId, error });
       throw error;
     }
   }
@@ -103,7 +178,7 @@ export class MessagingService {
       const metadata = await this.walrusClient.getBlobMetadata(blobId);
       return metadata;
     } catch (error) {
-      console.error('Error getting message metadata:', error);
+      this.logger.error('Error getting message metadata', { operation: 'getMessageMetadata', blobId, error });
       throw error;
     }
   }
@@ -117,18 +192,16 @@ export class MessagingService {
    */
   async listMessages(address) {
     try {
-      console.log(`Listing messages for address: ${address}`);
-      
       // This is a placeholder implementation
       // In a real application, you would need to:
       // 1. Maintain an index of messages per address
       // 2. Use Walrus metadata or tags to search for messages
       // 3. Implement pagination for large message lists
       
-      console.log('Message listing not fully implemented in this example');
+      this.logger.warn('Message listing not fully implemented in this example', { operation: 'listMessages', address });
       return [];
     } catch (error) {
-      console.error('Error listing messages:', error);
+      this.logger.error('Error listing messages', { operation: 'listMessages', address, error });
       throw error;
     }
   }
@@ -137,15 +210,19 @@ export class MessagingService {
    * Verify message integrity and ownership
    * @param {string} blobId - The blob ID to verify
    * @param {string} expectedOwner - The expected owner address
-   * @returns {Promise<boolean>} - True if verification passes
+   * @returns {Promise<boolean>} - True if verification passes, false if the blob does not exist or has another owner
+   * @throws {NetworkError} - If the metadata cannot be fetched
    */
   async verifyMessage(blobId, expectedOwner) {
     try {
       const metadata = await this.walrusClient.getBlobMetadata(blobId);
       return metadata.owner === expectedOwner;
     } catch (error) {
-      console.error('Error verifying message:', error);
-      return false;
+      this.logger.error('Error verifying message', { operation: 'verifyMessage', blobId, error });
+      if (error instanceof NotFoundError) {
+        return false;
+      }
+      throw error;
     }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * Private Envelopes
+ * Outer layer that hides an envelope's routing metadata and length. The whole
+ * serialized envelope (see envelope-codec.js), with its sender, recipients,
+ * timestamp and context, is padded to a bucketed size and encrypted again.
+ * Readers find their copy of the key by an opaque tag that only they can
+ * recompute, so the stored blob names no addresses.
+ *
+ * Layout (integers are big-endian; "bytes" is a uint32 length followed by the bytes):
+ *   magic "WMP1" | key mode (uint8) | key field count (uint32) | key field bytes...
+ *   | iv bytes | ciphertext bytes (AES-256-GCM, tag appended)
+ * Recipient envelopes have the ephemeral public key followed by a recipient tag
+ * and wrapped key per recipient, sorted by tag, as key fields; group key
+ * envelopes have a salt and a tag derived from the group key. Everything up to
+ * the IV is authenticated as additional data.
+ */
+
+import crypto from 'crypto';
+import { AuthorizationError, DecryptionError, ValidationError } from './errors.js';
+import {
+  X25519_KEY_LENGTH,
+  deriveSharedSecret,
+  generateX25519KeyPair,
+  getX25519PublicKey,
+  unwrapKeyForRecipient,
+  wrapKeyForRecipients
+} from './key-wrapping.js';
+
+const PRIVATE_ENVELOPE_MAGIC = new TextEncoder().encode('WMP1');
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const RECIPIENT_TAG_INFO = 'walrus-messaging/private-envelope/recipient-tag/v1';
+const GROUP_TAG_INFO = 'walrus-messaging/private-envelope/group-tag/v1';
+const GROUP_KEY_INFO = 'walrus-messaging/private-envelope/group-key/v1';
+
+// Padded sizes double from the smallest bucket up to the largest, then grow in steps of the largest
+const MIN_BUCKET_LENGTH = 1024;
+const MAX_BUCKET_LENGTH = 1024 * 1024;
+
+/**
+ * How the key of a private envelope is found
+ */
+export const PrivateKeyMode = {
+  RECIPIENTS: 0x01,
+  GROUP_KEY: 0x02
+};
+
+/**
+ * Check whether data is a private envelope
+ * @param {Uint8Array} data - Serialized data
+ * @returns {boolean} - True if the data starts with the private envelope magic
+ */
+export function isPrivateEnvelope(data) {
+  return data.length > PRIVATE_ENVELOPE_MAGIC.length &&
+    PRIVATE_ENVELOPE_MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Get the key mode of a private envelope
+ * @param {Uint8Array} data - Serialized data
+ * @returns {number|null} - The PrivateKeyMode, or null if the data is not a private envelope
+ */
+export function getPrivateKeyMode(data) {
+  return isPrivateEnvelope(data) ? data[PRIVATE_ENVELOPE_MAGIC.length] : null;
+}
+
+/**
+ * Get the padded size of content
+ * @param {number} length - Content length in bytes
+ * @returns {number} - Size of the bucket the content is padded to
+ */
+export function paddedLength(length) {
+  if (length > MAX_BUCKET_LENGTH) {
+    return Math.ceil(length / MAX_BUCKET_LENGTH) * MAX_BUCKET_LENGTH;
+  }
+  let bucket = MIN_BUCKET_LENGTH;
+  while (bucket < length) {
+    bucket *= 2;
+  }
+  return bucket;
+}
+
+/**
+ * Pad content to its bucket, prefixed with its length
+ * @param {Uint8Array} data - The content
+ * @returns {Uint8Array} - Padded content
+ */
+function pad(data) {
+  const padded = new Uint8Array(paddedLength(data.length + 4));
+  new DataView(padded.buffer).setUint32(0, data.length);
+  padded.set(data, 4);
+  return padded;
+}
+
+/**
+ * Remove the padding added by pad
+ * @param {Uint8Array} padded - Padded content
+ * @returns {Uint8Array} - The content
+ * @throws {DecryptionError} - If the length prefix does not fit the padded content
+ */
+function unpad(padded) {
+  const length = padded.length >= 4 ? new DataView(padded.buffer, padded.byteOffset, padded.byteLength).getUint32(0) : -1;
+  if (length < 0 || length + 4 > padded.length) {
+    throw new DecryptionError('Malformed private envelope: invalid padding');
+  }
+  return padded.slice(4, 4 + length);
+}
+
+/**
+ * Concatenate fields, each prefixed with its 4-byte big-endian length
+ * @param {Array<Uint8Array>} fields - The fields
+ * @returns {Buffer} - Encoded fields
+ */
+function encodeFields(fields) {
+  const chunks = [];
+  for (const field of fields) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(field.length);
+    chunks.push(length, field);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Derive the tag by which a recipient finds their wrapped key
+ * @param {Uint8Array} sharedSecret - X25519 shared secret of the ephemeral and recipient keys
+ * @param {Uint8Array} ephemeralPublicKey - Ephemeral public key
+ * @param {Uint8Array} recipientPublicKey - Recipient public key
+ * @returns {Buffer} - The tag
+ */
+function deriveRecipientTag(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  const salt = Buffer.concat([ephemeralPublicKey, recipientPublicKey]);
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, RECIPIENT_TAG_INFO, TAG_LENGTH));
+}
+
+/**
+ * Derive the tag and content key of a group key envelope
+ * @param {Uint8Array} groupKey - Raw group key
+ * @param {Uint8Array} salt - Random salt of the envelope
+ * @returns {Object} - { tag, key }
+ */
+function deriveGroupKeyFields(groupKey, salt) {
+  return {
+    tag: Buffer.from(crypto.hkdfSync('sha256', groupKey, salt, GROUP_TAG_INFO, TAG_LENGTH)),
+    key: Buffer.from(crypto.hkdfSync('sha256', groupKey, salt, GROUP_KEY_INFO, 32))
+  };
+}
+
+/**
+ * Encode the authenticated header of a private envelope
+ * @param {number} mode - PrivateKeyMode
+ * @param {Array<Uint8Array>} keyFields - Key fields
+ * @returns {Buffer} - The header
+ */
+function encodeHeader(mode, keyFields) {
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(keyFields.length);
+  return Buffer.concat([PRIVATE_ENVELOPE_MAGIC, Buffer.from([mode]), count, encodeFields(keyFields)]);
+}
+
+/**
+ * Wrap a serialized envelope in a private envelope
+ * @param {Uint8Array} envelope - Serialized envelope
+ * @param {Object} keys - Who can open it: { recipientPublicKeys } with raw X25519 keys, or { groupKey } with a raw group key
+ * @returns {Uint8Array} - Private envelope
+ * @throws {ValidationError} - If neither recipients nor a group key are given
+ */
+export function encodePrivateEnvelope(envelope, keys) {
+  let mode;
+  let keyFields;
+  let contentKey;
+  if (keys.groupKey) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const { tag, key } = deriveGroupKeyFields(keys.groupKey, salt);
+    mode = PrivateKeyMode.GROUP_KEY;
+    keyFields = [salt, tag];
+    contentKey = key;
+  } else {
+    if (!keys.recipientPublicKeys?.length) {
+      throw new ValidationError('A private envelope requires recipients or a group key');
+    }
+    contentKey = crypto.randomBytes(32);
+    const ephemeral = generateX25519KeyPair();
+    const { wrappedKeys } = wrapKeyForRecipients(contentKey, keys.recipientPublicKeys, ephemeral);
+    // Sorting by tag keeps the order of the recipients from showing
+    const entries = keys.recipientPublicKeys
+      .map((publicKey, i) => ({
+        tag: deriveRecipientTag(deriveSharedSecret(ephemeral.privateKey, publicKey), ephemeral.publicKey, publicKey),
+        wrappedKey: wrappedKeys[i]
+      }))
+      .sort((a, b) => Buffer.compare(a.tag, b.tag));
+    mode = PrivateKeyMode.RECIPIENTS;
+    keyFields = [ephemeral.publicKey, ...entries.flatMap(entry => [entry.tag, entry.wrappedKey])];
+  }
+
+  const header = encodeHeader(mode, keyFields);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(pad(envelope)), cipher.final(), cipher.getAuthTag()]);
+  contentKey.fill(0);
+
+  return new Uint8Array(Buffer.concat([header, encodeFields([iv, ciphertext])]));
+}
+
+/**
+ * Parse a private envelope
+ * @param {Uint8Array} data - Private envelope
+ * @returns {Object} - { mode, keyFields, header, iv, ciphertext }
+ * @throws {DecryptionError} - If the envelope is truncated or uses an unsupported key mode
+ */
+function parsePrivateEnvelope(data) {
+  if (!isPrivateEnvelope(data)) {
+    throw new DecryptionError('Malformed encrypted data: not a private envelope');
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let offset = PRIVATE_ENVELOPE_MAGIC.length;
+  const mode = data[offset++];
+  if (!Object.values(PrivateKeyMode).includes(mode)) {
+    throw new DecryptionError(`Unsupported private envelope key mode: ${mode}`, { details: { mode } });
+  }
+
+  const readCount = () => {
+    if (offset + 4 > data.length) {
+      throw new DecryptionError('Malformed private envelope: envelope is truncated');
+    }
+    const count = view.getUint32(offset);
+    offset += 4;
+    return count;
+  };
+  const readBytes = () => {
+    const length = readCount();
+    if (offset + length > data.length) {
+      throw new DecryptionError('Malformed private envelope: envelope is truncated');
+    }
+    const bytes = data.slice(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+
+  const keyFieldCount = readCount();
+  if (keyFieldCount > data.length) {
+    throw new DecryptionError('Malformed private envelope: envelope is truncated');
+  }
+  const keyFields = Array.from({ length: keyFieldCount }, readBytes);
+  const header = data.subarray(0, offset);
+  const iv = readBytes();
+  const ciphertext = readBytes();
+  if (offset !== data.length) {
+    throw new DecryptionError('Malformed private envelope: trailing bytes after envelope');
+  }
+  if (iv.length !== IV_LENGTH || ciphertext.length < AUTH_TAG_LENGTH) {
+    throw new DecryptionError('Malformed private envelope: invalid IV or ciphertext');
+  }
+
+  return { mode, keyFields, header, iv, ciphertext };
+}
+
+/**
+ * Find the content key of a recipient envelope with one of several private keys
+ * @param {Array<Uint8Array>} keyFields - Key fields of the envelope
+ * @param {Array<Uint8Array>} privateKeys - Raw X25519 private keys to try
+ * @returns {Uint8Array|null} - The content key, or null if no key is addressed
+ */
+function findRecipientKey(keyFields, privateKeys) {
+  const [ephemeralPublicKey, ...entries] = keyFields;
+  if (ephemeralPublicKey?.length !== X25519_KEY_LENGTH || entries.length % 2 !== 0) {
+    throw new DecryptionError('Malformed private envelope: invalid recipient entries');
+  }
+
+  for (const privateKey of privateKeys) {
+    let tag;
+    try {
+      tag = deriveRecipientTag(deriveSharedSecret(privateKey, ephemeralPublicKey), ephemeralPublicKey, getX25519PublicKey(privateKey));
+    } catch (error) {
+      throw new DecryptionError('Malformed private envelope: invalid ephemeral public key', { cause: error });
+    }
+    for (let i = 0; i < entries.length; i += 2) {
+      if (tag.equals(entries[i])) {
+        return unwrapKeyForRecipient(ephemeralPublicKey, entries[i + 1], privateKey);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the content key of a group key envelope with one of several group keys
+ * @param {Array<Uint8Array>} keyFields - Key fields of the envelope
+ * @param {Array<Uint8Array>} groupKeys - Raw group keys to try
+ * @returns {Buffer|null} - The content key, or null if none of the group keys matches
+ */
+function findGroupKey(keyFields, groupKeys) {
+  const [salt, expectedTag] = keyFields;
+  if (keyFields.length !== 2 || salt.length !== SALT_LENGTH) {
+    throw new DecryptionError('Malformed private envelope: invalid group key fields');
+  }
+  for (const groupKey of groupKeys) {
+    const { tag, key } = deriveGroupKeyFields(groupKey, salt);
+    if (tag.equals(expectedTag)) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Open a private envelope
+ * @param {Uint8Array} data - Private envelope
+ * @param {Object} keys - Keys to try
+ * @param {Array<Uint8Array>} [keys.privateKeys] - Raw X25519 private keys of recipients
+ * @param {Array<Uint8Array>} [keys.groupKeys] - Raw group keys
+ * @returns {Uint8Array} - The serialized envelope inside
+ * @throws {AuthorizationError} - If the envelope is not addressed to any of the keys
+ * @throws {DecryptionError} - If the envelope is malformed or was modified
+ */
+export function decodePrivateEnvelope(data, keys = {}) {
+  const { mode, keyFields, header, iv, ciphertext } = parsePrivateEnvelope(data);
+  const contentKey = mode === PrivateKeyMode.GROUP_KEY
+    ? findGroupKey(keyFields, keys.groupKeys || [])
+    : findRecipientKey(keyFields, keys.privateKeys || []);
+  if (!contentKey) {
+    throw new AuthorizationError('Message is not intended for this recipient', { details: { mode } });
+  }
+
+  let padded;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, iv);
+    decipher.setAAD(header);
+    decipher.setAuthTag(ciphertext.subarray(ciphertext.length - AUTH_TAG_LENGTH));
+    padded = new Uint8Array(Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - AUTH_TAG_LENGTH)), decipher.final()]));
+  } catch (error) {
+    throw new DecryptionError('Failed to decrypt private envelope: it was modified', { cause: error });
+  }
+  return unpad(padded);
+}
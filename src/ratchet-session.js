@@ -0,0 +1,438 @@
+/**
+ * Ratchet Sessions
+ * Double-ratchet sessions (after the Signal specification) for two-party
+ * conversations. Every message key comes from a chain that moves forward with
+ * each message, and a new X25519 ratchet step is taken whenever the
+ * conversation changes direction, so keys compromised later cannot decrypt
+ * earlier messages. Message keys are deleted once used.
+ *
+ * A session is set up like X3DH, from the peer's published identity key and
+ * signed prekey: the initiator combines its own identity key and a fresh base
+ * key with both, and the base key's public half identifies the session in
+ * every message header. The prekey is a medium-term X25519 key the peer signs,
+ * publishes and rotates; once the peer has deleted an old prekey, messages sent
+ * before its first reply stay secret even if its identity key leaks. Sessions
+ * with peers that published no prekey fall back to their identity key alone,
+ * and those first messages are only protected as long as that key is.
+ */
+
+import crypto from 'crypto';
+import { DecryptionError } from './errors.js';
+import { X25519_KEY_LENGTH, deriveSharedSecret, generateX25519KeyPair } from './key-wrapping.js';
+import { verifyPersonalMessage } from './signatures.js';
+
+const SESSION_INFO = 'walrus-messaging/ratchet-session/v1';
+const PREKEY_SESSION_INFO = 'walrus-messaging/ratchet-session/v2';
+const ROOT_INFO = 'walrus-messaging/ratchet-root/v1';
+const PREKEY_SIGNATURE_DOMAIN = 'walrus-messaging/signed-prekey/v1';
+
+// Messages that may be skipped in one chain, and skipped keys kept per session
+const MAX_SKIP = 1000;
+const MAX_SKIPPED_KEYS = 2000;
+
+export const RATCHET_HEADER_LENGTH = 2 * X25519_KEY_LENGTH + 8;
+const PREKEY_HEADER_LENGTH = RATCHET_HEADER_LENGTH + X25519_KEY_LENGTH;
+
+/**
+ * Encode a message header
+ * Layout: session ID (32) | ratchet public key (32) | previous chain length (uint32 BE) | message number (uint32 BE),
+ * followed by the responder's prekey (32) in messages sent before the responder's first reply
+ * @param {Object} header - { sessionId, publicKey, previousChainLength, messageNumber, prekey }
+ * @returns {Uint8Array} - Encoded header
+ */
+export function encodeRatchetHeader(header) {
+  const bytes = new Uint8Array(header.prekey ? PREKEY_HEADER_LENGTH : RATCHET_HEADER_LENGTH);
+  const view = new DataView(bytes.buffer);
+  bytes.set(header.sessionId, 0);
+  bytes.set(header.publicKey, X25519_KEY_LENGTH);
+  view.setUint32(2 * X25519_KEY_LENGTH, header.previousChainLength);
+  view.setUint32(2 * X25519_KEY_LENGTH + 4, header.messageNumber);
+  if (header.prekey) {
+    bytes.set(header.prekey, RATCHET_HEADER_LENGTH);
+  }
+  return bytes;
+}
+
+/**
+ * Decode a message header
+ * @param {Uint8Array} bytes - Encoded header
+ * @returns {Object} - { sessionId, publicKey, previousChainLength, messageNumber, prekey }, where prekey is null
+ *   if the header names none
+ * @throws {DecryptionError} - If the header has the wrong length
+ */
+export function decodeRatchetHeader(bytes) {
+  if (bytes.length !== RATCHET_HEADER_LENGTH && bytes.length !== PREKEY_HEADER_LENGTH) {
+    throw new DecryptionError('Malformed ratchet header');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    sessionId: bytes.slice(0, X25519_KEY_LENGTH),
+    publicKey: bytes.slice(X25519_KEY_LENGTH, 2 * X25519_KEY_LENGTH),
+    previousChainLength: view.getUint32(2 * X25519_KEY_LENGTH),
+    messageNumber: view.getUint32(2 * X25519_KEY_LENGTH + 4),
+    prekey: bytes.length === PREKEY_HEADER_LENGTH ? bytes.slice(RATCHET_HEADER_LENGTH) : null
+  };
+}
+
+/**
+ * Bytes signed by an identity to certify one of its prekeys
+ * @param {Uint8Array} prekey - Prekey public key
+ * @returns {Uint8Array}
+ */
+function prekeySignatureMessage(prekey) {
+  return new Uint8Array(Buffer.concat([Buffer.from(PREKEY_SIGNATURE_DOMAIN, 'utf8'), Buffer.from(prekey)]));
+}
+
+/**
+ * Create a signed prekey for an identity
+ * The private key must stay on the device (see SessionStore.savePrekey) and the
+ * public key and signature are published in the identity's key directory record.
+ * @param {WalletIdentity} identity - The identity signing the prekey
+ * @returns {Object} - { publicKey, privateKey, signature, createdAt }
+ */
+export function createSignedPrekey(identity) {
+  const { publicKey, privateKey } = generateX25519KeyPair();
+  return {
+    publicKey,
+    privateKey,
+    signature: identity.sign(prekeySignatureMessage(publicKey)),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check that a prekey was signed by an identity's signing key
+ * @param {Uint8Array} prekey - Prekey public key
+ * @param {Uint8Array} signature - Serialized signature
+ * @param {Uint8Array} signingPublicKey - The identity's Ed25519 public key
+ * @returns {boolean}
+ */
+export function verifySignedPrekey(prekey, signature, signingPublicKey) {
+  const { valid, publicKey } = verifyPersonalMessage(prekeySignatureMessage(prekey), signature);
+  return valid && Buffer.from(publicKey).equals(Buffer.from(signingPublicKey));
+}
+
+/**
+ * Derive the initial root key of a session
+ * Sessions without a prekey combine the identity secret and the base secret;
+ * prekey sessions add the secrets of the prekey with the initiator's identity and base keys
+ * @param {Array<Buffer>} secrets - X25519 shared secrets in protocol order
+ * @param {boolean} withPrekey - Whether the session uses the responder's prekey
+ * @returns {Buffer} - 32-byte root key
+ */
+function deriveSessionSecret(secrets, withPrekey) {
+  const info = withPrekey ? PREKEY_SESSION_INFO : SESSION_INFO;
+  return Buffer.from(crypto.hkdfSync('sha256', Buffer.concat(secrets), Buffer.alloc(32), info, 32));
+}
+
+/**
+ * Advance the root chain with a ratchet shared secret
+ * @param {Buffer} rootKey - Current root key
+ * @param {Buffer} ratchetSecret - X25519 output of the ratchet step
+ * @returns {Object} - { rootKey, chainKey }
+ */
+function advanceRootChain(rootKey, ratchetSecret) {
+  const output = Buffer.from(crypto.hkdfSync('sha256', ratchetSecret, rootKey, ROOT_INFO, 64));
+  return { rootKey: output.subarray(0, 32), chainKey: output.subarray(32) };
+}
+
+/**
+ * Advance a sending or receiving chain by one message
+ * @param {Buffer} chainKey - Current chain key
+ * @returns {Object} - { messageKey, chainKey }
+ */
+function advanceChain(chainKey) {
+  return {
+    messageKey: crypto.createHmac('sha256', chainKey).update(Buffer.from([1])).digest(),
+    chainKey: crypto.createHmac('sha256', chainKey).update(Buffer.from([2])).digest()
+  };
+}
+
+/**
+ * Identify a skipped message key by ratchet public key and message number
+ * @param {Uint8Array} publicKey - Sender's ratchet public key
+ * @param {number} messageNumber - Message number in that chain
+ * @returns {string}
+ */
+function skippedKeyId(publicKey, messageNumber) {
+  return `${Buffer.from(publicKey).toString('base64')}:${messageNumber}`;
+}
+
+const toBase64 = bytes => bytes ? Buffer.from(bytes).toString('base64') : null;
+const fromBase64 = value => value ? Buffer.from(value, 'base64') : null;
+
+export class RatchetSession {
+  /**
+   * @param {Object} state - Session state (see toObject)
+   */
+  constructor(state) {
+    this.id = state.id; // Base64 session ID (the initiator's base public key)
+    this.localAddress = state.localAddress;
+    this.peerAddress = state.peerAddress;
+    this.rootKey = state.rootKey;
+    this.sendingChainKey = state.sendingChainKey;
+    this.receivingChainKey = state.receivingChainKey;
+    this.sendingRatchetKey = state.sendingRatchetKey; // { publicKey, privateKey }
+    this.receivingRatchetKey = state.receivingRatchetKey; // Peer's current ratchet public key
+    this.prekey = state.prekey || null; // Responder's prekey, named in headers until the responder replies
+    this.sendCount = state.sendCount;
+    this.receiveCount = state.receiveCount;
+    this.previousSendCount = state.previousSendCount;
+    this.skippedKeys = state.skippedKeys; // skippedKeyId -> message key
+    this.updatedAt = state.updatedAt;
+  }
+
+  /**
+   * Start a session with a peer
+   * @param {Object} params - Session parameters
+   * @param {string} params.localAddress - Own wallet address
+   * @param {string} params.peerAddress - Peer's wallet address
+   * @param {Uint8Array} params.localPrivateKey - Own X25519 identity private key
+   * @param {Uint8Array} params.peerPublicKey - Peer's published X25519 public key
+   * @param {Uint8Array} [params.peerPrekey] - Peer's signed prekey, checked by the caller (see verifySignedPrekey)
+   * @returns {RatchetSession} - The session, ready to send
+   */
+  static initiate({ localAddress, peerAddress, localPrivateKey, peerPublicKey, peerPrekey = null }) {
+    const baseKey = generateX25519KeyPair();
+    const secrets = [
+      deriveSharedSecret(localPrivateKey, peerPrekey || peerPublicKey),
+      deriveSharedSecret(baseKey.privateKey, peerPublicKey)
+    ];
+    if (peerPrekey) {
+      secrets.push(deriveSharedSecret(baseKey.privateKey, peerPrekey));
+    }
+    const sessionSecret = deriveSessionSecret(secrets, Boolean(peerPrekey));
+
+    // The peer's prekey, or its identity key without one, serves as its first ratchet key
+    const peerRatchetKey = peerPrekey || peerPublicKey;
+    const sendingRatchetKey = generateX25519KeyPair();
+    const { rootKey, chainKey } = advanceRootChain(
+      sessionSecret,
+      deriveSharedSecret(sendingRatchetKey.privateKey, peerRatchetKey)
+    );
+
+    return new RatchetSession({
+      id: toBase64(baseKey.publicKey),
+      localAddress,
+      peerAddress,
+      rootKey,
+      sendingChainKey: chainKey,
+      receivingChainKey: null,
+      sendingRatchetKey,
+      receivingRatchetKey: peerRatchetKey,
+      prekey: peerPrekey,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedKeys: new Map(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Accept a session started by a peer
+   * @param {Object} params - Session parameters
+   * @param {string} params.localAddress - Own wallet address
+   * @param {string} params.peerAddress - Peer's wallet address
+   * @param {Uint8Array} params.localPrivateKey - Own X25519 identity private key
+   * @param {Uint8Array} params.peerPublicKey - Peer's published X25519 public key
+   * @param {Uint8Array} params.sessionId - Session ID from the peer's first message header
+   * @param {Uint8Array} [params.prekeyPrivateKey] - Private key of the own prekey named in the header
+   * @returns {RatchetSession} - The session, ready to receive the peer's first message
+   */
+  static respond({ localAddress, peerAddress, localPrivateKey, peerPublicKey, sessionId, prekeyPrivateKey = null }) {
+    const secrets = [
+      deriveSharedSecret(prekeyPrivateKey || localPrivateKey, peerPublicKey),
+      deriveSharedSecret(localPrivateKey, sessionId)
+    ];
+    if (prekeyPrivateKey) {
+      secrets.push(deriveSharedSecret(prekeyPrivateKey, sessionId));
+    }
+
+    return new RatchetSession({
+      id: toBase64(sessionId),
+      localAddress,
+      peerAddress,
+      rootKey: deriveSessionSecret(secrets, Boolean(prekeyPrivateKey)),
+      sendingChainKey: null,
+      receivingChainKey: null,
+      // Replaced by a fresh key pair in the first ratchet step
+      sendingRatchetKey: { publicKey: null, privateKey: prekeyPrivateKey || localPrivateKey },
+      receivingRatchetKey: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedKeys: new Map(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Derive the key for the next outgoing message
+   * @returns {Object} - The message header and key ({ header, messageKey })
+   */
+  nextSendingKey() {
+    const { messageKey, chainKey } = advanceChain(this.sendingChainKey);
+    const header = {
+      sessionId: fromBase64(this.id),
+      publicKey: this.sendingRatchetKey.publicKey,
+      previousChainLength: this.previousSendCount,
+      messageNumber: this.sendCount,
+      prekey: this.prekey
+    };
+
+    this.sendingChainKey = chainKey;
+    this.sendCount++;
+    this.updatedAt = new Date().toISOString();
+    return { header, messageKey };
+  }
+
+  /**
+   * Derive the key of an incoming message
+   * The session is modified even if the message later fails to decrypt, so
+   * callers should work on a clone and keep it only on success.
+   * @param {Object} header - Decoded message header
+   * @returns {Buffer} - The message key
+   * @throws {DecryptionError} - If the key was already used or too many messages were skipped
+   */
+  receivingKey(header) {
+    const skippedId = skippedKeyId(header.publicKey, header.messageNumber);
+    if (this.skippedKeys.has(skippedId)) {
+      const messageKey = this.skippedKeys.get(skippedId);
+      this.skippedKeys.delete(skippedId);
+      return messageKey;
+    }
+
+    const currentChain = this.receivingRatchetKey && Buffer.from(header.publicKey).equals(Buffer.from(this.receivingRatchetKey));
+    if (currentChain && header.messageNumber < this.receiveCount) {
+      throw new DecryptionError('Message key was already used and deleted', {
+        details: { messageNumber: header.messageNumber }
+      });
+    }
+    if (!currentChain) {
+      this.skipMessageKeys(header.previousChainLength);
+      this.ratchetStep(header.publicKey);
+    }
+    this.skipMessageKeys(header.messageNumber);
+
+    const { messageKey, chainKey } = advanceChain(this.receivingChainKey);
+    this.receivingChainKey = chainKey;
+    this.receiveCount++;
+    this.updatedAt = new Date().toISOString();
+    return messageKey;
+  }
+
+  /**
+   * Keep the keys of messages not received yet in the current receiving chain
+   * @param {number} until - Message number to advance the chain to
+   * @throws {DecryptionError} - If more than MAX_SKIP messages would be skipped
+   */
+  skipMessageKeys(until) {
+    if (!this.receivingChainKey) {
+      return;
+    }
+    if (until - this.receiveCount > MAX_SKIP) {
+      throw new DecryptionError(`Too many skipped messages: ${until - this.receiveCount}`);
+    }
+
+    while (this.receiveCount < until) {
+      const { messageKey, chainKey } = advanceChain(this.receivingChainKey);
+      this.skippedKeys.set(skippedKeyId(this.receivingRatchetKey, this.receiveCount), messageKey);
+      this.receivingChainKey = chainKey;
+      this.receiveCount++;
+    }
+
+    // Forget the oldest skipped keys; those messages can no longer be read
+    for (const id of this.skippedKeys.keys()) {
+      if (this.skippedKeys.size <= MAX_SKIPPED_KEYS) {
+        break;
+      }
+      this.skippedKeys.delete(id);
+    }
+  }
+
+  /**
+   * Take a ratchet step with the peer's new ratchet public key
+   * @param {Uint8Array} publicKey - Peer's ratchet public key
+   */
+  ratchetStep(publicKey) {
+    this.previousSendCount = this.sendCount;
+    this.sendCount = 0;
+    this.receiveCount = 0;
+    this.receivingRatchetKey = new Uint8Array(publicKey);
+    this.prekey = null; // The peer has replied, so it knows the session
+
+    const receiving = advanceRootChain(this.rootKey, deriveSharedSecret(this.sendingRatchetKey.privateKey, publicKey));
+    this.receivingChainKey = receiving.chainKey;
+
+    this.sendingRatchetKey = generateX25519KeyPair();
+    const sending = advanceRootChain(receiving.rootKey, deriveSharedSecret(this.sendingRatchetKey.privateKey, publicKey));
+    this.rootKey = sending.rootKey;
+    this.sendingChainKey = sending.chainKey;
+  }
+
+  /**
+   * Whether the session can send (responders can only once the peer's first message arrived)
+   * @returns {boolean}
+   */
+  canSend() {
+    return Boolean(this.sendingChainKey);
+  }
+
+  /**
+   * Copy the session, e.g. to try a decryption without committing it
+   * @returns {RatchetSession}
+   */
+  clone() {
+    return RatchetSession.fromObject(this.toObject());
+  }
+
+  /**
+   * Convert to a plain object for storage
+   * The object contains secret keys and must be kept private
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      id: this.id,
+      localAddress: this.localAddress,
+      peerAddress: this.peerAddress,
+      rootKey: toBase64(this.rootKey),
+      sendingChainKey: toBase64(this.sendingChainKey),
+      receivingChainKey: toBase64(this.receivingChainKey),
+      sendingRatchetKey: {
+        publicKey: toBase64(this.sendingRatchetKey.publicKey),
+        privateKey: toBase64(this.sendingRatchetKey.privateKey)
+      },
+      receivingRatchetKey: toBase64(this.receivingRatchetKey),
+      prekey: toBase64(this.prekey),
+      sendCount: this.sendCount,
+      receiveCount: this.receiveCount,
+      previousSendCount: this.previousSendCount,
+      skippedKeys: [...this.skippedKeys].map(([id, key]) => [id, toBase64(key)]),
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create a session from a stored plain object
+   * @param {Object} data - Object returned by toObject
+   * @returns {RatchetSession}
+   */
+  static fromObject(data) {
+    const toKey = value => value ? new Uint8Array(fromBase64(value)) : null;
+    return new RatchetSession({
+      ...data,
+      rootKey: fromBase64(data.rootKey),
+      sendingChainKey: fromBase64(data.sendingChainKey),
+      receivingChainKey: fromBase64(data.receivingChainKey),
+      sendingRatchetKey: {
+        publicKey: toKey(data.sendingRatchetKey.publicKey),
+        privateKey: toKey(data.sendingRatchetKey.privateKey)
+      },
+      receivingRatchetKey: toKey(data.receivingRatchetKey),
+      prekey: toKey(data.prekey),
+      skippedKeys: new Map(data.skippedKeys.map(([id, key]) => [id, fromBase64(key)]))
+    });
+  }
+}
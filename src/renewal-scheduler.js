@@ -0,0 +1,232 @@
+/**
+ * Renewal Scheduler
+ * Tracks the end epoch of stored blobs, reports blobs nearing expiry and
+ * renews them by extending their storage or re-storing their contents
+ */
+
+import { BlobExpiredError, ValidationError } from './errors.js';
+import { silentLogger } from './logger.js';
+
+/**
+ * Default renewal settings
+ */
+export const DEFAULT_RENEWAL_OPTIONS = {
+  thresholdEpochs: 2,     // Renew blobs expiring within this many epochs
+  renewEpochs: 10,        // Epochs to add (or store for) when renewing
+  intervalMs: 60 * 60 * 1000 // Check once an hour when running on a schedule
+};
+
+export class RenewalScheduler {
+  /**
+   * @param {Object} config - Scheduler configuration
+   * @param {WalrusClient} config.walrusClient - Client used to extend or re-store blobs
+   * @param {StorageIndex|Function} config.storageIndex - Storage index, or a function returning the current one
+   * @param {EpochClock} config.clock - Source of the current epoch
+   * @param {string} [config.owner] - Owner address used when re-storing blobs
+   * @param {number} [config.thresholdEpochs] - Renew blobs expiring within this many epochs
+   * @param {number} [config.renewEpochs] - Epochs to add (or store for) when renewing
+   * @param {number} [config.intervalMs] - Interval between scheduled checks
+   * @param {Function} [config.onRenewed] - Called with each renewal result
+   * @param {Logger} [config.logger] - Logger (silent by default)
+   */
+  constructor(config) {
+    if (!config?.walrusClient || !config.storageIndex || !config.clock) {
+      throw new ValidationError('RenewalScheduler requires a walrusClient, a storageIndex and a clock');
+    }
+
+    const settings = { ...DEFAULT_RENEWAL_OPTIONS, ...config };
+    this.walrusClient = config.walrusClient;
+    this.getStorageIndex = typeof config.storageIndex === 'function'
+      ? config.storageIndex
+      : () => config.storageIndex;
+    this.clock = config.clock;
+    this.owner = config.owner;
+    this.thresholdEpochs = settings.thresholdEpochs;
+    this.renewEpochs = settings.renewEpochs;
+    this.intervalMs = settings.intervalMs;
+    this.onRenewed = config.onRenewed || null;
+    this.logger = config.logger || silentLogger;
+
+    this.extraBlobs = new Map(); // blobId -> info, for blobs not referenced by the index
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Track a blob that is not referenced by the storage index (e.g. the index blob itself)
+   * @param {string} blobId - Walrus blob ID
+   * @param {Object} info - Blob details (kind, endEpoch, epochs, deletable)
+   */
+  trackBlob(blobId, info) {
+    this.extraBlobs.set(blobId, { ...info });
+  }
+
+  /**
+   * Stop tracking a blob added with trackBlob
+   * @param {string} blobId - Walrus blob ID
+   */
+  untrackBlob(blobId) {
+    this.extraBlobs.delete(blobId);
+  }
+
+  /**
+   * Get every tracked blob with its recorded details
+   * Blobs referenced by the index but never recorded have an unknown (null) end epoch
+   * @returns {Array<Object>} - Blob details including blobId
+   */
+  getTrackedBlobs() {
+    const storageIndex = this.getStorageIndex();
+    const tracked = storageIndex.getReferencedBlobIds().map(blobId => ({
+      blobId,
+      endEpoch: null,
+      ...storageIndex.getBlobInfo(blobId)
+    }));
+
+    for (const [blobId, info] of this.extraBlobs) {
+      tracked.push({ blobId, endEpoch: null, ...info });
+    }
+    return tracked;
+  }
+
+  /**
+   * Report tracked blobs that expire within the given number of epochs
+   * Already expired blobs are included with a non-positive epochsRemaining
+   * @param {number} [withinEpochs] - Look-ahead in epochs (defaults to the renewal threshold)
+   * @returns {Promise<Array<Object>>} - Expiring blobs, soonest first
+   */
+  async getExpiringBlobs(withinEpochs = this.thresholdEpochs) {
+    const currentEpoch = await this.clock.getCurrentEpoch();
+
+    return this.getTrackedBlobs()
+      .filter(blob => typeof blob.endEpoch === 'number')
+      .map(blob => ({ ...blob, epochsRemaining: blob.endEpoch - currentEpoch }))
+      .filter(blob => blob.epochsRemaining <= withinEpochs)
+      .sort((a, b) => a.endEpoch - b.endEpoch);
+  }
+
+  /**
+   * Report tracked blobs whose end epoch is unknown
+   * @returns {Array<Object>} - Blobs without a recorded end epoch
+   */
+  getBlobsWithUnknownExpiry() {
+    return this.getTrackedBlobs().filter(blob => typeof blob.endEpoch !== 'number');
+  }
+
+  /**
+   * Renew a single blob
+   * Extends the blob in place when the backend supports it; otherwise downloads
+   * and stores it again, re-pointing the index if the blob ID changes
+   * @param {string} blobId - Walrus blob ID
+   * @returns {Promise<Object>} - Renewal result
+   */
+  async renewBlob(blobId) {
+    const storageIndex = this.getStorageIndex();
+    const info = this.extraBlobs.get(blobId) || storageIndex.getBlobInfo(blobId) || {};
+    const currentEpoch = await this.clock.getCurrentEpoch();
+
+    let newBlobId = blobId;
+    let endEpoch;
+    let method;
+
+    if (this.walrusClient.canExtendBlobs()) {
+      method = 'extend';
+      ({ endEpoch } = await this.walrusClient.extendBlob(blobId, { epochs: this.renewEpochs }));
+    } else {
+      method = 'restore';
+      const data = await this.walrusClient.retrieveBlob(blobId, { expectedDigest: info.digest });
+      const result = await this.walrusClient.storeBlob(data, {
+        owner: this.owner,
+        epochs: this.renewEpochs,
+        deletable: info.deletable
+      });
+      newBlobId = result.blobId;
+      endEpoch = result.endEpoch ?? currentEpoch + this.renewEpochs;
+    }
+
+    const renewedInfo = { ...info, endEpoch, epochs: this.renewEpochs };
+    if (this.extraBlobs.has(blobId)) {
+      this.extraBlobs.delete(blobId);
+      this.extraBlobs.set(newBlobId, renewedInfo);
+    } else {
+      if (newBlobId !== blobId) {
+        storageIndex.replaceBlobId(blobId, newBlobId);
+      }
+      storageIndex.recordBlob(newBlobId, renewedInfo);
+    }
+
+    const result = { blobId, newBlobId, method, previousEndEpoch: info.endEpoch ?? null, endEpoch };
+    this.logger.info('Blob renewed', { operation: 'renewBlob', ...result });
+    if (this.onRenewed) {
+      this.onRenewed(result);
+    }
+    return result;
+  }
+
+  /**
+   * Renew every blob expiring within the threshold
+   * Blobs that already expired cannot be renewed and are reported as failed
+   * @returns {Promise<Object>} - Renewed and failed blobs
+   */
+  async runOnce() {
+    // Never let two runs renew the same blobs concurrently
+    if (this.running) {
+      return await this.running;
+    }
+
+    this.running = (async () => {
+      const expiring = await this.getExpiringBlobs();
+      const renewed = [];
+      const failed = [];
+
+      for (const blob of expiring) {
+        if (blob.epochsRemaining <= 0) {
+          failed.push({
+            blobId: blob.blobId,
+            error: new BlobExpiredError(`Blob ${blob.blobId} expired at epoch ${blob.endEpoch}`, {
+              details: { blobId: blob.blobId, endEpoch: blob.endEpoch }
+            })
+          });
+          continue;
+        }
+        try {
+          renewed.push(await this.renewBlob(blob.blobId));
+        } catch (error) {
+          this.logger.warn('Failed to renew blob', { operation: 'renewBlob', blobId: blob.blobId, error });
+          failed.push({ blobId: blob.blobId, error });
+        }
+      }
+
+      return { checked: expiring.length, renewed, failed };
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Start renewing blobs on a schedule
+   * The timer does not keep the process alive on its own
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => this.logger.error('Error renewing blobs', { operation: 'renewBlobs', error }));
+    }, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the renewal schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Safety Numbers
+ * Fingerprints of the public keys of an address, and the safety number of a
+ * pair of addresses, which both sides compare in person or over another
+ * channel to confirm they have each other's real keys. Like Signal's, each
+ * fingerprint is an iterated SHA-512 hash shown as 30 digits; the safety
+ * number is the two fingerprints ordered by address, so both sides see the same one.
+ */
+
+import crypto from 'crypto';
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_GROUPS = 6;
+const GROUP_DIGITS = 5;
+
+/**
+ * Compute the fingerprint of an address's public keys
+ * @param {string} address - Wallet address
+ * @param {Object} keys - Raw public keys ({ encryptionPublicKey, signingPublicKey })
+ * @returns {string} - 30 digits
+ */
+export function computeFingerprint(address, keys) {
+  const keyBytes = Buffer.concat([keys.encryptionPublicKey, keys.signingPublicKey || new Uint8Array(0)]);
+  let hash = crypto.createHash('sha512')
+    .update(Buffer.from([0, FINGERPRINT_VERSION]))
+    .update(keyBytes)
+    .update(address, 'utf8')
+    .digest();
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = crypto.createHash('sha512').update(hash).update(keyBytes).digest();
+  }
+
+  let digits = '';
+  for (let group = 0; group < FINGERPRINT_GROUPS; group++) {
+    digits += String(hash.readUIntBE(group * 5, 5) % 10 ** GROUP_DIGITS).padStart(GROUP_DIGITS, '0');
+  }
+  return digits;
+}
+
+/**
+ * Compute the safety number of two addresses from their fingerprints
+ * @param {Object} first - { address, fingerprint }
+ * @param {Object} second - { address, fingerprint }
+ * @returns {string} - 60 digits in groups of 5 separated by spaces
+ */
+export function computeSafetyNumber(first, second) {
+  const [a, b] = first.address < second.address ? [first, second] : [second, first];
+  return (a.fingerprint + b.fingerprint).match(new RegExp(`\\d{${GROUP_DIGITS}}`, 'g')).join(' ');
+}
+
+/**
+ * Check whether a safety number matches another, ignoring spacing
+ * @param {string} safetyNumber - Safety number
+ * @param {string} other - Safety number as typed or scanned by the user
+ * @returns {boolean}
+ */
+export function safetyNumbersMatch(safetyNumber, other) {
+  return safetyNumber.replace(/\s/g, '') === String(other).replace(/\s/g, '');
+}
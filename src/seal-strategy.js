@@ -0,0 +1,367 @@
+/**
+ * Seal Strategies
+ * Seal content keys with threshold key servers instead of wrapping them to
+ * each recipient's public key. A key is sealed under an identity; key servers
+ * release their part of it only to requesters the identity's access policy
+ * allows, and any `threshold` of the configured servers suffice to recover it.
+ *
+ * LocalSealStrategy works with in-process key servers (see local-key-server.js)
+ * for development and offline tests. MystenSealStrategy uses the Seal SDK
+ * (@mysten/seal) with Seal key servers on Sui, where access policies are
+ * seal_approve functions of a Move package.
+ */
+
+import crypto from 'crypto';
+import { AuthorizationError, DecryptionError, NetworkError, ValidationError } from './errors.js';
+import { X25519_KEY_LENGTH, deriveSharedSecret, generateX25519KeyPair } from './key-wrapping.js';
+import { splitSecret, combineShares } from './shamir.js';
+
+const RECIPIENT_IDENTITY_PREFIX = 'walrus-messaging/recipients/v1:';
+const KEY_REQUEST_DOMAIN = 'walrus-messaging/seal-key-request/v1';
+const SHARE_INFO = 'walrus-messaging/seal-share/v1';
+const SEALED_KEY_MAGIC = new TextEncoder().encode('WSK1');
+
+/**
+ * Create the identity a message's content key is sealed under
+ * The identity lists the recipients, so the recipient policy can check requesters against it
+ * @param {Array<string>} recipients - Recipient addresses
+ * @returns {string} - The identity
+ */
+export function createRecipientIdentity(recipients) {
+  return RECIPIENT_IDENTITY_PREFIX + [...new Set(recipients)].sort().join(',');
+}
+
+/**
+ * Access policy allowing the recipients listed in a recipient identity
+ * @param {string} identity - Identity the key was sealed under
+ * @param {string} requester - Address requesting the key
+ * @returns {boolean} - Whether the requester may receive the key
+ */
+export function recipientPolicy(identity, requester) {
+  return identity.startsWith(RECIPIENT_IDENTITY_PREFIX) &&
+    identity.slice(RECIPIENT_IDENTITY_PREFIX.length).split(',').includes(requester);
+}
+
+/**
+ * Encode a key request for signing by the requester
+ * @param {Object} request - { objectId, identity, ephemeralPublicKey, requester, timestamp }
+ * @returns {Uint8Array} - Bytes to sign
+ */
+export function encodeKeyRequest(request) {
+  const encoder = new TextEncoder();
+  const fields = [
+    encoder.encode(KEY_REQUEST_DOMAIN),
+    encoder.encode(request.objectId),
+    encoder.encode(request.identity),
+    request.ephemeralPublicKey,
+    encoder.encode(request.requester),
+    encoder.encode(request.timestamp)
+  ];
+  return new Uint8Array(Buffer.concat(fields.flatMap(field => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(field.length);
+    return [length, field];
+  })));
+}
+
+/**
+ * Derive the key a share is encrypted with for one key server
+ * @param {Uint8Array} sharedSecret - X25519 output of the ephemeral key and the key server's key
+ * @param {Uint8Array} ephemeralPublicKey - Ephemeral public key of the sealed key
+ * @param {Uint8Array} serverPublicKey - The key server's public key
+ * @param {string} identity - Identity the key is sealed under
+ * @returns {Buffer} - 32-byte share key
+ */
+export function deriveShareKey(sharedSecret, ephemeralPublicKey, serverPublicKey, identity) {
+  const salt = Buffer.concat([ephemeralPublicKey, serverPublicKey]);
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, `${SHARE_INFO}:${identity}`, 32));
+}
+
+/**
+ * Seal Strategy interface
+ */
+export class SealStrategy {
+  /**
+   * Seal a content key under an identity
+   * @param {Uint8Array} contentKey - The key to seal
+   * @param {Object} options - Seal options
+   * @param {string} options.identity - Identity whose access policy guards the key
+   * @returns {Promise<Uint8Array>} - The sealed key
+   */
+  async encryptKey(contentKey, options) {
+    throw new Error(`${this.constructor.name} does not implement encryptKey`);
+  }
+
+  /**
+   * Recover a sealed content key from the key servers
+   * @param {Uint8Array} sealedKey - Output of encryptKey
+   * @param {Object} options - Unseal options
+   * @param {string} options.identity - Identity the key was sealed under
+   * @param {WalletIdentity} options.requester - Identity requesting the key (signs the key requests)
+   * @returns {Promise<Uint8Array>} - The content key
+   */
+  async decryptKey(sealedKey, options) {
+    throw new Error(`${this.constructor.name} does not implement decryptKey`);
+  }
+}
+
+/**
+ * Encode a sealed key
+ * Layout: magic "WSK1" | threshold (uint8) | ephemeral public key (32)
+ *   | share count (uint8) | per share: index (uint8), object ID length (uint16 BE), object ID, encrypted share length (uint16 BE), encrypted share
+ * @param {Object} sealed - { threshold, ephemeralPublicKey, shares: [{ index, objectId, encryptedShare }] }
+ * @returns {Uint8Array}
+ */
+function encodeSealedKey(sealed) {
+  const chunks = [SEALED_KEY_MAGIC, Buffer.from([sealed.threshold]), sealed.ephemeralPublicKey, Buffer.from([sealed.shares.length])];
+  const writeBytes = bytes => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    chunks.push(length, bytes);
+  };
+  for (const share of sealed.shares) {
+    chunks.push(Buffer.from([share.index]));
+    writeBytes(Buffer.from(share.objectId));
+    writeBytes(share.encryptedShare);
+  }
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+/**
+ * Decode a sealed key
+ * @param {Uint8Array} bytes - Output of encodeSealedKey
+ * @returns {Object} - { threshold, ephemeralPublicKey, shares }
+ * @throws {DecryptionError} - If the sealed key is malformed
+ */
+function decodeSealedKey(bytes) {
+  const data = Buffer.from(bytes);
+  const malformed = () => new DecryptionError('Malformed sealed key');
+  if (data.length < SEALED_KEY_MAGIC.length + 2 + X25519_KEY_LENGTH || !data.subarray(0, 4).equals(Buffer.from(SEALED_KEY_MAGIC))) {
+    throw malformed();
+  }
+
+  let offset = SEALED_KEY_MAGIC.length;
+  const threshold = data[offset++];
+  const ephemeralPublicKey = new Uint8Array(data.subarray(offset, offset + X25519_KEY_LENGTH));
+  offset += X25519_KEY_LENGTH;
+  const shareCount = data[offset++];
+
+  const readBytes = () => {
+    if (offset + 2 > data.length || offset + 2 + data.readUInt16BE(offset) > data.length) {
+      throw malformed();
+    }
+    const length = data.readUInt16BE(offset);
+    const value = data.subarray(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    return value;
+  };
+
+  const shares = [];
+  for (let i = 0; i < shareCount; i++) {
+    if (offset >= data.length) {
+      throw malformed();
+    }
+    const index = data[offset++];
+    shares.push({ index, objectId: readBytes().toString(), encryptedShare: new Uint8Array(readBytes()) });
+  }
+  if (offset !== data.length || threshold < 1 || threshold > shareCount) {
+    throw malformed();
+  }
+  return { threshold, ephemeralPublicKey, shares };
+}
+
+/**
+ * Decrypt a key share with the key derived by its key server
+ * @param {Object} share - Sealed share ({ index, encryptedShare })
+ * @param {Uint8Array} shareKey - Key returned by the key server
+ * @returns {Uint8Array} - The share data
+ * @throws {DecryptionError} - If the key does not match the share, e.g. because it was derived for another identity
+ */
+function decryptShare(share, shareKey) {
+  const bytes = Buffer.from(share.encryptedShare);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', shareKey, bytes.subarray(0, 12));
+    decipher.setAAD(Buffer.from([share.index]));
+    decipher.setAuthTag(bytes.subarray(bytes.length - 16));
+    return new Uint8Array(Buffer.concat([decipher.update(bytes.subarray(12, bytes.length - 16)), decipher.final()]));
+  } catch (error) {
+    throw new DecryptionError('Key share does not match the sealed key', { cause: error });
+  }
+}
+
+/**
+ * Local Seal Strategy
+ * Splits each content key into Shamir shares, one per key server, and
+ * encrypts every share so that only its key server can derive the key for it
+ */
+export class LocalSealStrategy extends SealStrategy {
+  /**
+   * @param {Object} config - Strategy configuration
+   * @param {Array<KeyServer>} config.keyServers - Key servers to seal to
+   * @param {number} [config.threshold] - Key servers needed to unseal (all of them by default)
+   */
+  constructor(config) {
+    super();
+    this.keyServers = config.keyServers || [];
+    this.threshold = config.threshold ?? this.keyServers.length;
+    if (this.keyServers.length === 0) {
+      throw new ValidationError('At least one key server is required');
+    }
+    if (!Number.isInteger(this.threshold) || this.threshold < 1 || this.threshold > this.keyServers.length) {
+      throw new ValidationError(`Invalid threshold: ${this.threshold}. Must be between 1 and the number of key servers (${this.keyServers.length})`);
+    }
+  }
+
+  async encryptKey(contentKey, options) {
+    const ephemeral = generateX25519KeyPair();
+    const shares = splitSecret(contentKey, this.threshold, this.keyServers.length);
+
+    const sealedShares = await Promise.all(this.keyServers.map(async (keyServer, i) => {
+      const serverPublicKey = await keyServer.getPublicKey();
+      const shareKey = deriveShareKey(
+        deriveSharedSecret(ephemeral.privateKey, serverPublicKey),
+        ephemeral.publicKey,
+        serverPublicKey,
+        options.identity
+      );
+
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', shareKey, iv);
+      cipher.setAAD(Buffer.from([shares[i].index]));
+      const encryptedShare = Buffer.concat([iv, cipher.update(shares[i].data), cipher.final(), cipher.getAuthTag()]);
+      return { index: shares[i].index, objectId: keyServer.objectId, encryptedShare };
+    }));
+
+    return encodeSealedKey({ threshold: this.threshold, ephemeralPublicKey: ephemeral.publicKey, shares: sealedShares });
+  }
+
+  async decryptKey(sealedKey, options) {
+    const { threshold, ephemeralPublicKey, shares } = decodeSealedKey(sealedKey);
+    const recovered = [];
+    const failures = [];
+
+    // Ask one key server after another until enough shares are recovered
+    for (const share of shares) {
+      if (recovered.length === threshold) {
+        break;
+      }
+      const keyServer = this.keyServers.find(server => server.objectId === share.objectId);
+      if (!keyServer) {
+        continue;
+      }
+
+      try {
+        const request = {
+          objectId: keyServer.objectId,
+          identity: options.identity,
+          ephemeralPublicKey,
+          requester: options.requester.address,
+          timestamp: new Date().toISOString()
+        };
+        const shareKey = await keyServer.deriveKey({ ...request, signature: options.requester.sign(encodeKeyRequest(request)) });
+
+        recovered.push({ index: share.index, data: decryptShare(share, shareKey) });
+      } catch (error) {
+        failures.push({ objectId: share.objectId, error });
+      }
+    }
+
+    if (recovered.length < threshold) {
+      const details = {
+        threshold,
+        recovered: recovered.length,
+        failures: failures.map(({ objectId, error }) => ({ objectId, reason: error.message }))
+      };
+      const message = `Key servers released ${recovered.length} of ${threshold} required key shares`;
+      if (failures.some(({ error }) => error instanceof AuthorizationError)) {
+        throw new AuthorizationError(message, { details });
+      }
+      if (failures.some(({ error }) => error instanceof DecryptionError)) {
+        throw new DecryptionError(message, { details });
+      }
+      throw new NetworkError(message, { cause: failures[0]?.error, details });
+    }
+    return combineShares(recovered);
+  }
+}
+
+/**
+ * Seal SDK Strategy
+ * Seals content keys with @mysten/seal, which is loaded on first use. The
+ * identity is passed to Seal as the hex-encoded UTF-8 ID under the policy package.
+ */
+export class MystenSealStrategy extends SealStrategy {
+  /**
+   * @param {Object} config - Strategy configuration
+   * @param {SuiClient} config.suiClient - Sui client used by the Seal SDK
+   * @param {Array<string>} config.serverObjectIds - Object IDs of the Seal key servers
+   * @param {string} config.packageId - Move package whose seal_approve function is the access policy
+   * @param {number} [config.threshold] - Key servers needed to decrypt (all of them by default)
+   * @param {Function} config.getSessionKey - async (requester) => Seal SessionKey signed by the requester's wallet
+   * @param {Function} config.buildApproveTransaction - async ({ id, packageId, requester }) => transaction bytes
+   *   calling seal_approve for the ID
+   * @param {boolean} [config.verifyKeyServers] - Verify the key servers' on-chain objects (default true)
+   */
+  constructor(config) {
+    super();
+    if (!config?.suiClient || !config.packageId || !config.serverObjectIds?.length) {
+      throw new ValidationError('The Seal SDK strategy requires a Sui client, a policy package and key server object IDs');
+    }
+    this.suiClient = config.suiClient;
+    this.serverObjectIds = config.serverObjectIds;
+    this.packageId = config.packageId;
+    this.threshold = config.threshold ?? config.serverObjectIds.length;
+    this.getSessionKey = config.getSessionKey;
+    this.buildApproveTransaction = config.buildApproveTransaction;
+    this.verifyKeyServers = config.verifyKeyServers ?? true;
+    this.client = null;
+  }
+
+  /**
+   * Create the Seal client, loading @mysten/seal on first use
+   * @returns {Promise<SealClient>}
+   * @throws {ValidationError} - If @mysten/seal is not installed
+   */
+  async getClient() {
+    if (!this.client) {
+      let seal;
+      try {
+        seal = await import('@mysten/seal');
+      } catch (error) {
+        throw new ValidationError('@mysten/seal is not installed', { cause: error });
+      }
+      this.client = new seal.SealClient({
+        suiClient: this.suiClient,
+        serverObjectIds: this.serverObjectIds,
+        verifyKeyServers: this.verifyKeyServers
+      });
+    }
+    return this.client;
+  }
+
+  async encryptKey(contentKey, options) {
+    const client = await this.getClient();
+    const { encryptedObject } = await client.encrypt({
+      threshold: this.threshold,
+      packageId: this.packageId,
+      id: Buffer.from(options.identity).toString('hex'),
+      data: contentKey
+    });
+    return new Uint8Array(encryptedObject);
+  }
+
+  async decryptKey(sealedKey, options) {
+    const client = await this.getClient();
+    const id = Buffer.from(options.identity).toString('hex');
+    try {
+      const txBytes = await this.buildApproveTransaction({ id, packageId: this.packageId, requester: options.requester.address });
+      const sessionKey = await this.getSessionKey(options.requester);
+      return new Uint8Array(await client.decrypt({ data: sealedKey, sessionKey, txBytes }));
+    } catch (error) {
+      throw new AuthorizationError('Seal key servers did not release the key', {
+        cause: error,
+        details: { expected: options.requester.address }
+      });
+    }
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Session Stores
+ * Keep the ratchet sessions of two-party conversations between runs, and the
+ * private keys of the signed prekeys peers start sessions with.
+ * Session state holds the chain keys of pending messages and must stay on the
+ * device; it is never stored on Walrus.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { RatchetSession } from './ratchet-session.js';
+
+// Sessions kept per pair of addresses, e.g. when both sides started one at the same time
+const MAX_SESSIONS_PER_PEER = 5;
+
+// Prekeys kept per address: the published one and the one before it, for sessions
+// started just before a rotation. Older prekeys are deleted.
+const MAX_PREKEYS_PER_ADDRESS = 2;
+
+/**
+ * Session Store interface
+ */
+export class SessionStore {
+  /**
+   * Get the sessions between two addresses
+   * @param {string} localAddress - Own wallet address
+   * @param {string} peerAddress - Peer's wallet address
+   * @returns {Promise<Array<RatchetSession>>} - Sessions, most recently used first
+   */
+  async getSessions(localAddress, peerAddress) {
+    throw new Error(`${this.constructor.name} does not implement getSessions`);
+  }
+
+  /**
+   * Store a session and make it the one used for sending
+   * @param {RatchetSession} session - The session
+   * @returns {Promise<void>}
+   */
+  async saveSession(session) {
+    throw new Error(`${this.constructor.name} does not implement saveSession`);
+  }
+
+  /**
+   * Delete all sessions between two addresses
+   * @param {string} localAddress - Own wallet address
+   * @param {string} peerAddress - Peer's wallet address
+   * @returns {Promise<void>}
+   */
+  async deleteSessions(localAddress, peerAddress) {
+    throw new Error(`${this.constructor.name} does not implement deleteSessions`);
+  }
+
+  /**
+   * Get the prekeys of an address
+   * @param {string} localAddress - Own wallet address
+   * @returns {Promise<Array<Object>>} - Prekeys ({ publicKey, privateKey, createdAt }), newest first
+   */
+  async getPrekeys(localAddress) {
+    throw new Error(`${this.constructor.name} does not implement getPrekeys`);
+  }
+
+  /**
+   * Store a new prekey of an address, deleting prekeys old enough to be retired
+   * @param {string} localAddress - Own wallet address
+   * @param {Object} prekey - { publicKey, privateKey, createdAt }
+   * @returns {Promise<void>}
+   */
+  async savePrekey(localAddress, prekey) {
+    throw new Error(`${this.constructor.name} does not implement savePrekey`);
+  }
+}
+
+/**
+ * Local Session Store
+ * Keeps sessions and prekeys in memory, persisted to a JSON file (mode 0600) when a path is given
+ */
+export class LocalSessionStore extends SessionStore {
+  /**
+   * @param {Object} [config] - Store configuration
+   * @param {string} [config.file] - JSON file holding the sessions (in memory only if unset)
+   */
+  constructor(config = {}) {
+    super();
+    this.file = config.file || null;
+    this.sessions = null; // "local|peer" -> [session objects], loaded on first use
+    this.prekeys = new Map(); // local address -> [prekey objects], newest first
+  }
+
+  /**
+   * Load the sessions and prekeys from disk once
+   * @returns {Promise<Map>} - The sessions
+   */
+  async load() {
+    if (this.sessions) {
+      return this.sessions;
+    }
+
+    this.sessions = new Map();
+    if (this.file) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        for (const session of data.sessions || []) {
+          const key = `${session.localAddress}|${session.peerAddress}`;
+          this.sessions.set(key, [...(this.sessions.get(key) || []), session]);
+        }
+        for (const prekey of data.prekeys || []) {
+          this.prekeys.set(prekey.localAddress, [...(this.prekeys.get(prekey.localAddress) || []), prekey]);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return this.sessions;
+  }
+
+  /**
+   * Write the sessions and prekeys to disk
+   */
+  async persist() {
+    if (!this.file) {
+      return;
+    }
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(
+      this.file,
+      JSON.stringify({
+        version: 1,
+        sessions: [...this.sessions.values()].flat(),
+        prekeys: [...this.prekeys.values()].flat()
+      }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  async getSessions(localAddress, peerAddress) {
+    const sessions = await this.load();
+    return (sessions.get(`${localAddress}|${peerAddress}`) || []).map(session => RatchetSession.fromObject(session));
+  }
+
+  async saveSession(session) {
+    const sessions = await this.load();
+    const key = `${session.localAddress}|${session.peerAddress}`;
+    const others = (sessions.get(key) || []).filter(stored => stored.id !== session.id);
+    sessions.set(key, [session.toObject(), ...others].slice(0, MAX_SESSIONS_PER_PEER));
+    await this.persist();
+  }
+
+  async deleteSessions(localAddress, peerAddress) {
+    const sessions = await this.load();
+    sessions.delete(`${localAddress}|${peerAddress}`);
+    await this.persist();
+  }
+
+  async getPrekeys(localAddress) {
+    await this.load();
+    return (this.prekeys.get(localAddress) || []).map(prekey => ({
+      publicKey: new Uint8Array(Buffer.from(prekey.publicKey, 'base64')),
+      privateKey: new Uint8Array(Buffer.from(prekey.privateKey, 'base64')),
+      createdAt: prekey.createdAt
+    }));
+  }
+
+  async savePrekey(localAddress, prekey) {
+    await this.load();
+    const stored = {
+      localAddress,
+      publicKey: Buffer.from(prekey.publicKey).toString('base64'),
+      privateKey: Buffer.from(prekey.privateKey).toString('base64'),
+      createdAt: prekey.createdAt
+    };
+    this.prekeys.set(localAddress, [stored, ...(this.prekeys.get(localAddress) || [])].slice(0, MAX_PREKEYS_PER_ADDRESS));
+    await this.persist();
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Shamir Secret Sharing
+ * Splits a secret into shares so that any `threshold` of them recover it and
+ * fewer reveal nothing. Each byte of the secret is shared separately with a
+ * random polynomial over GF(2^8) (the AES field, x^8 + x^4 + x^3 + x + 1).
+ */
+
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+
+export const MAX_SHARES = 255;
+
+// Exponent and logarithm tables for generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0); // x * 3
+}
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares
+ * @param {Uint8Array} secret - The secret
+ * @param {number} threshold - Number of shares needed to recover the secret
+ * @param {number} shareCount - Number of shares to create
+ * @returns {Array<Object>} - Shares ({ index, data }), with indexes 1 to shareCount
+ * @throws {ValidationError} - If the threshold or share count is out of range
+ */
+export function splitSecret(secret, threshold, shareCount) {
+  if (!Number.isInteger(shareCount) || shareCount < 1 || shareCount > MAX_SHARES) {
+    throw new ValidationError(`Invalid share count: ${shareCount}. Must be between 1 and ${MAX_SHARES}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > shareCount) {
+    throw new ValidationError(`Invalid threshold: ${threshold}. Must be between 1 and the share count (${shareCount})`);
+  }
+
+  const shares = Array.from({ length: shareCount }, (_, i) => ({ index: i + 1, data: new Uint8Array(secret.length) }));
+  const coefficients = new Uint8Array(threshold);
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    coefficients[0] = secret[byte];
+    crypto.randomFillSync(coefficients, 1);
+
+    for (const share of shares) {
+      // Horner's rule: evaluate the polynomial at the share index
+      let value = 0;
+      for (let i = threshold - 1; i >= 0; i--) {
+        value = multiply(value, share.index) ^ coefficients[i];
+      }
+      share.data[byte] = value;
+    }
+  }
+  coefficients.fill(0);
+
+  return shares;
+}
+
+/**
+ * Recover a secret from shares
+ * Any `threshold` distinct shares recover the secret; fewer give an unrelated value,
+ * so callers that need to detect that must check the result (e.g. with an authentication tag)
+ * @param {Array<Object>} shares - Shares ({ index, data }) from splitSecret
+ * @returns {Uint8Array} - The secret
+ * @throws {ValidationError} - If no shares are given, or they have duplicate indexes or different lengths
+ */
+export function combineShares(shares) {
+  if (shares.length === 0) {
+    throw new ValidationError('At least one share is required');
+  }
+  const indexes = shares.map(share => share.index);
+  if (indexes.some(index => !Number.isInteger(index) || index < 1 || index > MAX_SHARES) || new Set(indexes).size !== indexes.length) {
+    throw new ValidationError('Shares must have distinct indexes between 1 and 255');
+  }
+  const length = shares[0].data.length;
+  if (shares.some(share => share.data.length !== length)) {
+    throw new ValidationError('Shares must all have the same length');
+  }
+
+  // Lagrange interpolation at x = 0
+  const weights = shares.map((share, i) => shares.reduce(
+    (weight, other, j) => i === j ? weight : multiply(weight, divide(other.index, other.index ^ share.index)),
+    1
+  ));
+
+  const secret = new Uint8Array(length);
+  for (let byte = 0; byte < length; byte++) {
+    let value = 0;
+    shares.forEach((share, i) => {
+      value ^= multiply(share.data[byte], weights[i]);
+    });
+    secret[byte] = value;
+  }
+  return secret;
+}
@@ -0,0 +1,194 @@
+/**
+ * Signatures
+ * Ed25519 signing compatible with Sui key schemes: Sui addresses are derived
+ * from the public key, messages are signed as Sui personal messages,
+ * signatures are serialized as flag || signature || public key, and private
+ * keys are exchanged in the bech32 "suiprivkey" format
+ */
+
+import crypto from 'crypto';
+import { decodeBech32, encodeBech32 } from './bech32.js';
+import { blake2b256 } from './blake2b.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Sui signature scheme flags
+ */
+export const SignatureScheme = {
+  ED25519: 0x00
+};
+
+/**
+ * Outcome of checking who signed an envelope
+ * Verified: the signature is valid and the key belongs to the sender's address.
+ * Unverified: the envelope is unsigned, or signed by a key not known for the address.
+ */
+export const SignatureStatus = {
+  VERIFIED: 'verified',
+  UNVERIFIED: 'unverified'
+};
+
+export const ED25519_KEY_LENGTH = 32;
+
+const ED25519_SIGNATURE_LENGTH = 64;
+export const SERIALIZED_SIGNATURE_LENGTH = 1 + ED25519_SIGNATURE_LENGTH + ED25519_KEY_LENGTH;
+
+const SUI_PRIVATE_KEY_PREFIX = 'suiprivkey';
+
+// Intent scope PersonalMessage, version 0, app id Sui
+const PERSONAL_MESSAGE_INTENT = [3, 0, 0];
+
+// DER prefixes of Ed25519 SubjectPublicKeyInfo and PKCS#8 structures holding a raw 32-byte key
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Check that a value is a raw 32-byte Ed25519 key
+ * @param {Uint8Array} key - The key bytes
+ * @param {string} label - Key description used in error messages
+ */
+function assertRawKey(key, label) {
+  if (!(key instanceof Uint8Array) || key.length !== ED25519_KEY_LENGTH) {
+    throw new ValidationError(`Invalid ${label}: expected ${ED25519_KEY_LENGTH} bytes`);
+  }
+}
+
+/**
+ * Convert a raw Ed25519 private key (seed) to a KeyObject
+ * @param {Uint8Array} privateKey - Raw private key
+ * @returns {crypto.KeyObject}
+ */
+function toPrivateKeyObject(privateKey) {
+  return crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_PREFIX, privateKey]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+}
+
+/**
+ * Convert a raw Ed25519 public key to a KeyObject
+ * @param {Uint8Array} publicKey - Raw public key
+ * @returns {crypto.KeyObject}
+ */
+function toPublicKeyObject(publicKey) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([SPKI_PREFIX, publicKey]),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Generate an Ed25519 key pair
+ * @returns {Object} - Raw key bytes ({ publicKey, privateKey })
+ */
+export function generateEd25519KeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKey: new Uint8Array(publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length)),
+    privateKey: new Uint8Array(privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(PKCS8_PREFIX.length))
+  };
+}
+
+/**
+ * Derive the public key of an Ed25519 private key
+ * @param {Uint8Array} privateKey - Raw private key
+ * @returns {Uint8Array} - Raw public key
+ */
+export function getEd25519PublicKey(privateKey) {
+  assertRawKey(privateKey, 'Ed25519 private key');
+  const publicKey = crypto.createPublicKey(toPrivateKeyObject(privateKey));
+  return new Uint8Array(publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length));
+}
+
+/**
+ * Derive the Sui address of an Ed25519 public key
+ * @param {Uint8Array} publicKey - Raw public key
+ * @returns {string} - 0x-prefixed address
+ */
+export function deriveSuiAddress(publicKey) {
+  assertRawKey(publicKey, 'Ed25519 public key');
+  const digest = blake2b256(new Uint8Array([SignatureScheme.ED25519, ...publicKey]));
+  return `0x${Buffer.from(digest).toString('hex')}`;
+}
+
+/**
+ * Compute the digest a Sui wallet signs for a personal message
+ * @param {Uint8Array} message - Message bytes
+ * @returns {Uint8Array} - BLAKE2b-256 of intent || BCS-encoded message
+ */
+function personalMessageDigest(message) {
+  // BCS encodes vector<u8> as a ULEB128 length followed by the bytes
+  const length = [];
+  let remaining = message.length;
+  do {
+    length.push((remaining & 0x7f) | (remaining > 0x7f ? 0x80 : 0));
+    remaining >>>= 7;
+  } while (remaining > 0);
+
+  return blake2b256(new Uint8Array([...PERSONAL_MESSAGE_INTENT, ...length, ...message]));
+}
+
+/**
+ * Sign a message as a Sui personal message
+ * @param {Uint8Array} message - Message bytes
+ * @param {Uint8Array} privateKey - Raw Ed25519 private key
+ * @returns {Uint8Array} - Serialized signature (flag || signature || public key)
+ */
+export function signPersonalMessage(message, privateKey) {
+  const signature = crypto.sign(null, personalMessageDigest(message), toPrivateKeyObject(privateKey));
+  return new Uint8Array([SignatureScheme.ED25519, ...signature, ...getEd25519PublicKey(privateKey)]);
+}
+
+/**
+ * Verify a serialized personal message signature
+ * @param {Uint8Array} message - Message bytes
+ * @param {Uint8Array} serializedSignature - Output of signPersonalMessage
+ * @returns {Object} - { valid, publicKey, address }; publicKey and address are null if the signature is malformed
+ */
+export function verifyPersonalMessage(message, serializedSignature) {
+  if (serializedSignature?.length !== SERIALIZED_SIGNATURE_LENGTH || serializedSignature[0] !== SignatureScheme.ED25519) {
+    return { valid: false, publicKey: null, address: null };
+  }
+
+  const signature = serializedSignature.subarray(1, 1 + ED25519_SIGNATURE_LENGTH);
+  const publicKey = serializedSignature.subarray(1 + ED25519_SIGNATURE_LENGTH);
+  let valid;
+  try {
+    valid = crypto.verify(null, personalMessageDigest(message), toPublicKeyObject(publicKey), signature);
+  } catch {
+    valid = false;
+  }
+  return { valid, publicKey: new Uint8Array(publicKey), address: deriveSuiAddress(publicKey) };
+}
+
+/**
+ * Encode an Ed25519 private key in the Sui bech32 format
+ * @param {Uint8Array} privateKey - Raw private key
+ * @returns {string} - suiprivkey1... string, as exported by Sui wallets and the CLI
+ */
+export function encodeSuiPrivateKey(privateKey) {
+  assertRawKey(privateKey, 'Ed25519 private key');
+  return encodeBech32(SUI_PRIVATE_KEY_PREFIX, new Uint8Array([SignatureScheme.ED25519, ...privateKey]));
+}
+
+/**
+ * Decode a private key in the Sui bech32 format
+ * @param {string} value - suiprivkey1... string
+ * @returns {Uint8Array} - Raw Ed25519 private key
+ * @throws {ValidationError} - If the string is not a Sui private key or uses a scheme other than Ed25519
+ */
+export function decodeSuiPrivateKey(value) {
+  const { prefix, bytes } = decodeBech32(value.trim());
+  if (prefix !== SUI_PRIVATE_KEY_PREFIX) {
+    throw new ValidationError(`Invalid Sui private key: expected the ${SUI_PRIVATE_KEY_PREFIX} prefix`);
+  }
+  if (bytes[0] !== SignatureScheme.ED25519) {
+    throw new ValidationError(`Unsupported Sui key scheme flag ${bytes[0]}: only Ed25519 keys are supported`);
+  }
+
+  const privateKey = bytes.slice(1);
+  assertRawKey(privateKey, 'Sui private key');
+  return privateKey;
+}
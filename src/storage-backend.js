@@ -0,0 +1,384 @@
+/**
+ * Storage Backends for WalrusClient
+ * Defines the backend interface used by WalrusClient and ships local
+ * implementations that work without access to the Walrus network
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ManualEpochClock } from './epoch-clock.js';
+import { BlobExpiredError, NotFoundError, ValidationError } from './errors.js';
+
+/**
+ * Compute a content-addressed blob ID for local backends
+ * Uses SHA-256 encoded as URL-safe base64, matching the shape of Walrus blob IDs
+ * @param {Uint8Array} data - The blob data
+ * @returns {string} - The blob ID
+ */
+export function computeLocalBlobId(data) {
+  return crypto.createHash('sha256').update(data).digest('base64url');
+}
+
+/**
+ * Build the metadata local backends keep for a stored blob
+ * Like Walrus, blobs are stored for one epoch unless told otherwise
+ * @param {string} blobId - The blob ID
+ * @param {Uint8Array} data - The blob data
+ * @param {Object} options - Store options
+ * @param {number} currentEpoch - The current epoch
+ * @returns {Object} - Blob metadata
+ */
+function createLocalMetadata(blobId, data, options, currentEpoch) {
+  const epochs = options.epochs || 1;
+  return {
+    blobId,
+    size: data.length,
+    owner: options.sendObjectTo || options.owner,
+    epochs,
+    startEpoch: currentEpoch,
+    endEpoch: currentEpoch + epochs,
+    deletable: Boolean(options.deletable),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Merge a new store request into the metadata of an already stored blob
+ * Expired blobs are stored afresh; live blobs keep the later of the two end epochs
+ * @param {Object} existing - Metadata of the stored blob
+ * @param {Uint8Array} data - The blob data
+ * @param {Object} options - Store options
+ * @param {number} currentEpoch - The current epoch
+ * @returns {Object} - Updated metadata and whether the blob was already certified
+ */
+function mergeLocalMetadata(existing, data, options, currentEpoch) {
+  const requested = createLocalMetadata(existing.blobId, data, options, currentEpoch);
+  if (existing.endEpoch <= currentEpoch) {
+    return { metadata: requested, alreadyCertified: false };
+  }
+  if (requested.endEpoch > existing.endEpoch) {
+    return { metadata: { ...existing, endEpoch: requested.endEpoch }, alreadyCertified: false };
+  }
+  return { metadata: existing, alreadyCertified: true };
+}
+
+/**
+ * Build the publisher-style response local backends return from storeBlob
+ * @param {Object} metadata - Blob metadata
+ * @param {boolean} alreadyCertified - Whether the blob was already stored long enough
+ * @returns {Object} - Backend store result
+ */
+function createLocalStoreResult(metadata, alreadyCertified) {
+  const { blobId, size, startEpoch, endEpoch, deletable } = metadata;
+  return {
+    blobId,
+    endEpoch,
+    response: alreadyCertified
+      ? { alreadyCertified: { blobId, endEpoch } }
+      : { newlyCreated: { blobObject: { blobId, size, deletable, storage: { startEpoch, endEpoch } } } }
+  };
+}
+
+/**
+ * Write a file through a temporary file and a rename, so a crash never leaves it partially written
+ * @param {string} filePath - Destination path
+ * @param {Uint8Array|string} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Storage Backend interface
+ * Every backend must implement storeBlob, retrieveBlob and getBlobMetadata.
+ * Backends that can prolong a blob's storage in place also implement
+ * extendBlob(blobId, { epochs }), resolving to { blobId, endEpoch }.
+ * Backends whose blob IDs can be derived from the content alone implement
+ * computeBlobId(data), which lets WalrusClient check blob IDs locally.
+ */
+export class StorageBackend {
+  /**
+   * Store a blob
+   * @param {Uint8Array} data - The data to store
+   * @param {Object} options - Normalized store options (owner, epochs, deletable, permanent, sendObjectTo)
+   * @returns {Promise<Object>} - Backend result with blobId, endEpoch, suiObjectId, txDigest and raw response
+   */
+  async storeBlob(data, options) {
+    throw new Error(`${this.constructor.name} does not implement storeBlob`);
+  }
+
+  /**
+   * Retrieve a blob
+   * @param {string} blobId - The blob ID to retrieve
+   * @returns {Promise<Uint8Array>} - The retrieved data
+   */
+  async retrieveBlob(blobId) {
+    throw new Error(`${this.constructor.name} does not implement retrieveBlob`);
+  }
+
+  /**
+   * Get blob metadata
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<Object>} - Blob metadata
+   */
+  async getBlobMetadata(blobId) {
+    throw new Error(`${this.constructor.name} does not implement getBlobMetadata`);
+  }
+}
+
+/**
+ * In-Memory Storage Backend
+ * Keeps blobs in a Map, useful for tests and short-lived local runs
+ */
+export class MemoryStorageBackend extends StorageBackend {
+  /**
+   * @param {Object} [config] - Backend configuration
+   * @param {EpochClock} [config.clock] - Epoch clock used for blob expiry (manual clock at epoch 0 by default)
+   */
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || new ManualEpochClock();
+    this.blobs = new Map(); // blobId -> { data, metadata }
+  }
+
+  /**
+   * Compute the blob ID this backend assigns to the given content
+   * @param {Uint8Array} data - The blob data
+   * @returns {string} - The blob ID
+   */
+  computeBlobId(data) {
+    return computeLocalBlobId(data);
+  }
+
+  async storeBlob(data, options = {}) {
+    const blobId = this.computeBlobId(data);
+    const currentEpoch = await this.clock.getCurrentEpoch();
+
+    const existing = this.blobs.get(blobId);
+    if (existing) {
+      const { metadata, alreadyCertified } = mergeLocalMetadata(existing.metadata, data, options, currentEpoch);
+      existing.metadata = metadata;
+      return createLocalStoreResult(metadata, alreadyCertified);
+    }
+
+    const metadata = createLocalMetadata(blobId, data, options, currentEpoch);
+    this.blobs.set(blobId, { data: new Uint8Array(data), metadata });
+
+    return createLocalStoreResult(metadata, false);
+  }
+
+  async retrieveBlob(blobId) {
+    const entry = await this.getLiveEntry(blobId, 'retrieve blob');
+    return new Uint8Array(entry.data);
+  }
+
+  async getBlobMetadata(blobId) {
+    const entry = await this.getLiveEntry(blobId, 'get blob metadata');
+    return { ...entry.metadata };
+  }
+
+  /**
+   * Extend the storage of a live blob
+   * @param {string} blobId - The blob ID
+   * @param {Object} options - Extension options
+   * @param {number} options.epochs - Number of epochs to add
+   * @returns {Promise<Object>} - The blob ID and its new end epoch
+   */
+  async extendBlob(blobId, options) {
+    const entry = await this.getLiveEntry(blobId, 'extend blob');
+    entry.metadata = { ...entry.metadata, endEpoch: entry.metadata.endEpoch + options.epochs };
+    return { blobId, endEpoch: entry.metadata.endEpoch };
+  }
+
+  /**
+   * Look up a blob that has not expired
+   * @param {string} blobId - The blob ID
+   * @param {string} operation - Operation description used in error messages
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async getLiveEntry(blobId, operation) {
+    const entry = this.blobs.get(blobId);
+    if (!entry) {
+      throw new NotFoundError(`Failed to ${operation}: 404 Blob ${blobId} not found`, { details: { blobId } });
+    }
+    if (entry.metadata.endEpoch <= await this.clock.getCurrentEpoch()) {
+      throw new BlobExpiredError(
+        `Failed to ${operation}: 404 Blob ${blobId} expired at epoch ${entry.metadata.endEpoch}`,
+        { details: { blobId, endEpoch: entry.metadata.endEpoch } }
+      );
+    }
+    return entry;
+  }
+}
+
+/**
+ * Filesystem Storage Backend
+ * Content-addressed store on local disk: each blob is written to
+ * <directory>/<first two chars of blob ID>/<blob ID> with a sidecar metadata file
+ */
+export class FilesystemStorageBackend extends StorageBackend {
+  /**
+   * @param {Object} config - Backend configuration
+   * @param {string} config.directory - Root directory for stored blobs
+   * @param {EpochClock} [config.clock] - Epoch clock used for blob expiry (manual clock at epoch 0 by default)
+   */
+  constructor(config) {
+    super();
+    if (!config || !config.directory) {
+      throw new ValidationError('FilesystemStorageBackend requires a directory');
+    }
+    this.directory = config.directory;
+    this.clock = config.clock || new ManualEpochClock();
+  }
+
+  /**
+   * Compute the blob ID this backend assigns to the given content
+   * @param {Uint8Array} data - The blob data
+   * @returns {string} - The blob ID
+   */
+  computeBlobId(data) {
+    return computeLocalBlobId(data);
+  }
+
+  /**
+   * Resolve the on-disk paths for a blob
+   * @param {string} blobId - The blob ID
+   * @returns {Object} - Paths for the blob data and its metadata
+   */
+  getBlobPaths(blobId) {
+    if (!/^[A-Za-z0-9_-]+$/.test(blobId)) {
+      throw new ValidationError(`Invalid blob ID: ${blobId}`, { details: { blobId } });
+    }
+    const dir = path.join(this.directory, blobId.substring(0, 2));
+    return {
+      dir,
+      dataPath: path.join(dir, blobId),
+      metadataPath: path.join(dir, `${blobId}.json`)
+    };
+  }
+
+  async storeBlob(data, options = {}) {
+    const blobId = this.computeBlobId(data);
+    const { dir, dataPath, metadataPath } = this.getBlobPaths(blobId);
+    const currentEpoch = await this.clock.getCurrentEpoch();
+
+    const existing = await this.readMetadata(blobId);
+    if (existing) {
+      const { metadata, alreadyCertified } = mergeLocalMetadata(existing, data, options, currentEpoch);
+      if (!alreadyCertified) {
+        await this.writeMetadata(blobId, metadata);
+      }
+      return createLocalStoreResult(metadata, alreadyCertified);
+    }
+
+    const metadata = createLocalMetadata(blobId, data, options, currentEpoch);
+
+    await fs.mkdir(dir, { recursive: true });
+    await writeFileAtomic(dataPath, data);
+    await this.writeMetadata(blobId, metadata);
+
+    return createLocalStoreResult(metadata, false);
+  }
+
+  async retrieveBlob(blobId) {
+    await this.getLiveMetadata(blobId, 'retrieve blob');
+    const { dataPath } = this.getBlobPaths(blobId);
+    return new Uint8Array(await fs.readFile(dataPath));
+  }
+
+  async getBlobMetadata(blobId) {
+    return await this.getLiveMetadata(blobId, 'get blob metadata');
+  }
+
+  /**
+   * Extend the storage of a live blob
+   * @param {string} blobId - The blob ID
+   * @param {Object} options - Extension options
+   * @param {number} options.epochs - Number of epochs to add
+   * @returns {Promise<Object>} - The blob ID and its new end epoch
+   */
+  async extendBlob(blobId, options) {
+    const metadata = await this.getLiveMetadata(blobId, 'extend blob');
+    metadata.endEpoch += options.epochs;
+    await this.writeMetadata(blobId, metadata);
+    return { blobId, endEpoch: metadata.endEpoch };
+  }
+
+  /**
+   * Read the metadata of a blob that has not expired
+   * @param {string} blobId - The blob ID
+   * @param {string} operation - Operation description used in error messages
+   * @returns {Promise<Object>} - Blob metadata
+   */
+  async getLiveMetadata(blobId, operation) {
+    const metadata = await this.readMetadata(blobId);
+    if (!metadata) {
+      throw new NotFoundError(`Failed to ${operation}: 404 Blob ${blobId} not found`, { details: { blobId } });
+    }
+    if (metadata.endEpoch <= await this.clock.getCurrentEpoch()) {
+      throw new BlobExpiredError(
+        `Failed to ${operation}: 404 Blob ${blobId} expired at epoch ${metadata.endEpoch}`,
+        { details: { blobId, endEpoch: metadata.endEpoch } }
+      );
+    }
+    return metadata;
+  }
+
+  /**
+   * Read the sidecar metadata file of a blob
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<Object|null>} - Blob metadata, or null if the blob is not stored
+   */
+  async readMetadata(blobId) {
+    const { metadataPath } = this.getBlobPaths(blobId);
+    try {
+      return JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the sidecar metadata file of a blob
+   * @param {string} blobId - The blob ID
+   * @param {Object} metadata - Blob metadata
+   * @returns {Promise<void>}
+   */
+  async writeMetadata(blobId, metadata) {
+    const { metadataPath } = this.getBlobPaths(blobId);
+    await writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
+  }
+}
+
+/**
+ * Create a local storage backend by name
+ * @param {Object} options - Backend options
+ * @param {string} [options.type] - 'memory', 'filesystem' or 'http' (default)
+ * @param {string} [options.directory] - Root directory for the filesystem backend
+ * @param {EpochClock} [options.clock] - Epoch clock used by local backends for blob expiry
+ * @returns {StorageBackend|undefined} - The backend, or undefined to use the default HTTP backend
+ */
+export function createStorageBackend(options = {}) {
+  switch (options.type) {
+    case 'memory':
+      return new MemoryStorageBackend({ clock: options.clock });
+    case 'filesystem':
+      return new FilesystemStorageBackend({
+        directory: options.directory || '.walrus-blobs',
+        clock: options.clock
+      });
+    case undefined:
+    case '':
+    case 'http':
+      return undefined;
+    default:
+      throw new ValidationError(`Unknown storage backend: ${options.type}. Must be one of: memory, filesystem, http`);
+  }
+}
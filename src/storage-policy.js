@@ -0,0 +1,77 @@
+/**
+ * Storage Policy
+ * Walrus storage lifetime options and the per-kind defaults the services use
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Kinds of blobs the services store
+ */
+export const StorageKind = {
+  MESSAGE: 'message',
+  EPHEMERAL_MESSAGE: 'ephemeralMessage',
+  CONVERSATION: 'conversation',
+  GROUP_KEY: 'groupKey',
+  RECOVERY_SHARE: 'recoveryShare',
+  STORAGE_INDEX: 'storageIndex'
+};
+
+/**
+ * Default storage options per blob kind
+ * Ephemeral messages are short-lived and deletable; conversations, group keys
+ * and the storage index have to outlive the messages that reference them, and
+ * key backup shares have to last until they are needed
+ */
+export const DEFAULT_STORAGE_POLICY = {
+  [StorageKind.MESSAGE]: { epochs: 10 },
+  [StorageKind.EPHEMERAL_MESSAGE]: { epochs: 1, deletable: true },
+  [StorageKind.CONVERSATION]: { epochs: 53 },
+  [StorageKind.GROUP_KEY]: { epochs: 53 },
+  [StorageKind.RECOVERY_SHARE]: { epochs: 53 },
+  [StorageKind.STORAGE_INDEX]: { epochs: 53 }
+};
+
+/**
+ * Normalize and validate the options accepted by storeBlob
+ * For backwards compatibility a plain string is treated as the owner address
+ * @param {Object|string} [options] - Store options or owner address
+ * @param {string} [options.owner] - The owner wallet address (informational)
+ * @param {number} [options.epochs] - Number of epochs to store the blob for
+ * @param {boolean} [options.deletable] - Store as a deletable blob
+ * @param {boolean} [options.permanent] - Store as a permanent (non-deletable) blob
+ * @param {string} [options.sendObjectTo] - Address to transfer the Sui blob object to
+ * @returns {Object} - Normalized store options
+ */
+export function normalizeStoreOptions(options = {}) {
+  const normalized = typeof options === 'string' ? { owner: options } : { ...options };
+
+  if (normalized.epochs !== undefined) {
+    if (!Number.isInteger(normalized.epochs) || normalized.epochs < 1) {
+      throw new ValidationError(`Invalid epochs: ${normalized.epochs}. Must be a positive integer`);
+    }
+  }
+
+  if (normalized.deletable && normalized.permanent) {
+    throw new ValidationError('A blob cannot be both deletable and permanent');
+  }
+
+  if (normalized.sendObjectTo !== undefined && !/^0x[0-9a-fA-F]{1,64}$/.test(normalized.sendObjectTo)) {
+    throw new ValidationError(`Invalid sendObjectTo address: ${normalized.sendObjectTo}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Merge a partial storage policy with the defaults
+ * @param {Object} [policy] - Partial policy (kind -> store options)
+ * @returns {Object} - Complete storage policy
+ */
+export function createStoragePolicy(policy = {}) {
+  const merged = {};
+  for (const kind of Object.values(StorageKind)) {
+    merged[kind] = { ...DEFAULT_STORAGE_POLICY[kind], ...policy[kind] };
+  }
+  return merged;
+}
@@ -0,0 +1,116 @@
+/**
+ * TLS Policy
+ * Certificate verification settings for HTTPS connections to Walrus endpoints:
+ * strict verification by default, custom CA bundles, public key pinning per
+ * network, and an explicit insecure mode restricted to test networks
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import https from 'https';
+import tls from 'tls';
+import { ValidationError } from './errors.js';
+import { silentLogger } from './logger.js';
+
+/**
+ * Networks on which certificate verification may be disabled
+ */
+export const INSECURE_TLS_NETWORKS = ['testnet', 'localnet'];
+
+/**
+ * Compute the pin of a certificate's public key
+ * Pins use the HPKP format: "sha256/" followed by the base64 SHA-256 of the
+ * DER-encoded SubjectPublicKeyInfo
+ * @param {Object} certificate - Peer certificate as returned by tls (must include pubkey)
+ * @returns {string} - The public key pin
+ */
+export function computePublicKeyPin(certificate) {
+  return `sha256/${crypto.createHash('sha256').update(certificate.pubkey).digest('base64')}`;
+}
+
+/**
+ * Resolve the TLS settings that apply to a network
+ * @param {Object} [config] - TLS configuration
+ * @param {string|Buffer|Array} [config.ca] - Additional trusted CA certificates (PEM)
+ * @param {string|Array<string>} [config.caFile] - Path(s) to PEM CA bundles
+ * @param {Array<string>|Object} [config.pins] - Public key pins, or an object of pins per network
+ * @param {boolean} [config.insecure] - Disable certificate verification (testnet/localnet only)
+ * @param {string} network - Network the client connects to
+ * @returns {Object} - Resolved policy ({ network, ca, pins, insecure })
+ */
+export function createTlsPolicy(config = {}, network = 'mainnet') {
+  const pins = Array.isArray(config.pins) ? config.pins : (config.pins?.[network] || []);
+
+  for (const pin of pins) {
+    if (!/^sha256\/[A-Za-z0-9+/]{43}=$/.test(pin)) {
+      throw new ValidationError(`Invalid TLS pin: ${pin}. Expected "sha256/<base64 SPKI digest>"`);
+    }
+  }
+
+  if (config.insecure) {
+    if (!INSECURE_TLS_NETWORKS.includes(network)) {
+      throw new ValidationError(`Insecure TLS is not allowed on ${network}; it is only available on ${INSECURE_TLS_NETWORKS.join(' and ')}`);
+    }
+    if (pins.length > 0) {
+      throw new ValidationError('Insecure TLS cannot be combined with certificate pinning');
+    }
+  }
+
+  const caFiles = [config.caFile].flat().filter(Boolean);
+  const ca = [
+    ...[config.ca].flat().filter(Boolean),
+    ...caFiles.map(file => fs.readFileSync(file))
+  ];
+
+  return {
+    network,
+    ca: ca.length > 0 ? ca : undefined,
+    pins,
+    insecure: Boolean(config.insecure)
+  };
+}
+
+/**
+ * Create the HTTPS agent enforcing a TLS policy
+ * Custom CAs are trusted in addition to Node's bundled root certificates.
+ * Insecure mode is reported as a process warning as well as through the logger,
+ * so it stays visible when logging is silent.
+ * @param {Object} policy - Policy returned by createTlsPolicy
+ * @param {Logger} [logger] - Logger for the insecure mode warning
+ * @returns {https.Agent} - The agent
+ */
+export function createHttpsAgent(policy, logger = silentLogger) {
+  if (policy.insecure) {
+    const warning = `TLS certificate verification is DISABLED for ${policy.network}. ` +
+      'Connections to Walrus endpoints can be intercepted. Never use this outside local testing.';
+    process.emitWarning(warning, { code: 'WALRUS_INSECURE_TLS' });
+    logger.warn(warning, { operation: 'createHttpsAgent', network: policy.network });
+    return new https.Agent({ rejectUnauthorized: false });
+  }
+
+  const options = { rejectUnauthorized: true };
+  if (policy.ca) {
+    options.ca = [...tls.rootCertificates, ...policy.ca];
+  }
+
+  if (policy.pins.length > 0) {
+    options.checkServerIdentity = (hostname, certificate) => {
+      const error = tls.checkServerIdentity(hostname, certificate);
+      if (error) {
+        return error;
+      }
+
+      // Accept the connection if any certificate in the chain matches a pin
+      const seen = new Set();
+      for (let cert = certificate; cert && !seen.has(cert); cert = cert.issuerCertificate) {
+        seen.add(cert);
+        if (cert.pubkey && policy.pins.includes(computePublicKeyPin(cert))) {
+          return undefined;
+        }
+      }
+      return new Error(`Certificate pin mismatch for ${hostname}: no certificate in the chain matches the ${policy.network} pins`);
+    };
+  }
+
+  return new https.Agent(options);
+}
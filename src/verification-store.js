@@ -0,0 +1,126 @@
+/**
+ * Verification Stores
+ * Remember which contacts the current user has verified, with the fingerprint
+ * of the keys they verified, so a later key change can be detected.
+ * Verifications are the user's own trust decisions and stay on the device.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Verification Store interface
+ * Verifications are { address, fingerprint, verifiedAt }
+ */
+export class VerificationStore {
+  /**
+   * Get the verification of a contact
+   * @param {string} localAddress - Own wallet address
+   * @param {string} address - Contact's wallet address
+   * @returns {Promise<Object|null>} - The verification, or null if the contact is not verified
+   */
+  async getVerification(localAddress, address) {
+    throw new Error(`${this.constructor.name} does not implement getVerification`);
+  }
+
+  /**
+   * Store the verification of a contact, replacing any previous one
+   * @param {string} localAddress - Own wallet address
+   * @param {Object} verification - { address, fingerprint, verifiedAt }
+   * @returns {Promise<void>}
+   */
+  async saveVerification(localAddress, verification) {
+    throw new Error(`${this.constructor.name} does not implement saveVerification`);
+  }
+
+  /**
+   * Delete the verification of a contact
+   * @param {string} localAddress - Own wallet address
+   * @param {string} address - Contact's wallet address
+   * @returns {Promise<void>}
+   */
+  async deleteVerification(localAddress, address) {
+    throw new Error(`${this.constructor.name} does not implement deleteVerification`);
+  }
+}
+
+/**
+ * Local Verification Store
+ * Keeps verifications in memory, persisted to a JSON file (mode 0600) when a path is given
+ */
+export class LocalVerificationStore extends VerificationStore {
+  /**
+   * @param {Object} [config] - Store configuration
+   * @param {string} [config.file] - JSON file holding the verifications (in memory only if unset)
+   */
+  constructor(config = {}) {
+    super();
+    this.file = config.file || null;
+    this.verifications = null; // "local|address" -> verification, loaded on first use
+  }
+
+  /**
+   * Load the verifications from disk once
+   * @returns {Promise<Map>} - The verifications
+   */
+  async load() {
+    if (this.verifications) {
+      return this.verifications;
+    }
+
+    this.verifications = new Map();
+    if (this.file) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        for (const verification of data.verifications || []) {
+          this.verifications.set(`${verification.localAddress}|${verification.address}`, verification);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return this.verifications;
+  }
+
+  /**
+   * Write the verifications to disk
+   */
+  async persist() {
+    if (!this.file) {
+      return;
+    }
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(
+      this.file,
+      JSON.stringify({ version: 1, verifications: [...this.verifications.values()] }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  async getVerification(localAddress, address) {
+    const verifications = await this.load();
+    const verification = verifications.get(`${localAddress}|${address}`);
+    return verification
+      ? { address: verification.address, fingerprint: verification.fingerprint, verifiedAt: verification.verifiedAt }
+      : null;
+  }
+
+  async saveVerification(localAddress, verification) {
+    const verifications = await this.load();
+    verifications.set(`${localAddress}|${verification.address}`, {
+      localAddress,
+      address: verification.address,
+      fingerprint: verification.fingerprint,
+      verifiedAt: verification.verifiedAt
+    });
+    await this.persist();
+  }
+
+  async deleteVerification(localAddress, address) {
+    const verifications = await this.load();
+    verifications.delete(`${localAddress}|${address}`);
+    await this.persist();
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Wallet Identity
+ * Key pairs bound to a wallet address: the X25519 key that content keys are
+ * wrapped to and the Ed25519 key that signs envelopes, plus helpers to persist
+ * identities for local development
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { encodePublicKeyRecord } from './key-directory.js';
+import { generateX25519KeyPair, getX25519PublicKey } from './key-wrapping.js';
+import {
+  decodeSuiPrivateKey,
+  deriveSuiAddress,
+  generateEd25519KeyPair,
+  getEd25519PublicKey,
+  signPersonalMessage
+} from './signatures.js';
+
+export class WalletIdentity {
+  /**
+   * @param {Object} config - Identity configuration
+   * @param {string} [config.address] - Wallet address (derived from the signing key if omitted)
+   * @param {Uint8Array} config.encryptionPrivateKey - Raw X25519 private key
+   * @param {Uint8Array} config.signingPrivateKey - Raw Ed25519 private key
+   */
+  constructor(config) {
+    if (!config?.signingPrivateKey) {
+      throw new ValidationError('Wallet identity requires a signing key');
+    }
+    this.encryptionPrivateKey = config.encryptionPrivateKey;
+    this.encryptionPublicKey = getX25519PublicKey(config.encryptionPrivateKey);
+    this.signingPrivateKey = config.signingPrivateKey;
+    this.signingPublicKey = getEd25519PublicKey(config.signingPrivateKey);
+    this.address = config.address || deriveSuiAddress(this.signingPublicKey);
+  }
+
+  /**
+   * Generate a new identity
+   * Without an address, the identity uses the Sui address of its signing key
+   * @param {string} [address] - Wallet address to bind the keys to
+   * @returns {WalletIdentity} - The identity
+   */
+  static generate(address) {
+    return new WalletIdentity({
+      address,
+      encryptionPrivateKey: generateX25519KeyPair().privateKey,
+      signingPrivateKey: generateEd25519KeyPair().privateKey
+    });
+  }
+
+  /**
+   * Create an identity from a Sui wallet's exported private key
+   * The wallet key becomes the signing key, so the identity's address is the
+   * wallet address; a new encryption key pair is generated for it.
+   * @param {string} suiPrivateKey - suiprivkey1... string
+   * @returns {WalletIdentity} - The identity
+   * @throws {ValidationError} - If the key is not an Ed25519 Sui private key
+   */
+  static fromSuiPrivateKey(suiPrivateKey) {
+    return new WalletIdentity({
+      encryptionPrivateKey: generateX25519KeyPair().privateKey,
+      signingPrivateKey: decodeSuiPrivateKey(suiPrivateKey)
+    });
+  }
+
+  /**
+   * Whether the address is the Sui address of the signing key
+   * Signatures by such identities can be verified without a key directory
+   * @returns {boolean}
+   */
+  isSelfCertifying() {
+    return deriveSuiAddress(this.signingPublicKey) === this.address.toLowerCase();
+  }
+
+  /**
+   * Sign bytes as a Sui personal message
+   * @param {Uint8Array} message - Message bytes
+   * @returns {Uint8Array} - Serialized signature
+   */
+  sign(message) {
+    return signPersonalMessage(message, this.signingPrivateKey);
+  }
+
+  /**
+   * Public keys of this identity, as published in a key directory
+   * The record is signed with the signing key, so directories can check it
+   * was published by the holder of the key.
+   * @param {Object} [options] - Record options
+   * @param {Array<string>} [options.ciphers] - Names of the ciphers to declare (see CipherRegistry.getSupportedCiphers)
+   * @param {Object} [options.prekey] - Signed prekey to publish ({ publicKey, signature }, base64)
+   * @returns {Object} - Public key record ({ address, encryptionKey, signingKey, ciphers, prekey, signature })
+   */
+  toPublicRecord(options = {}) {
+    const record = {
+      address: this.address,
+      encryptionKey: Buffer.from(this.encryptionPublicKey).toString('base64'),
+      signingKey: Buffer.from(this.signingPublicKey).toString('base64'),
+      ...(options.ciphers && { ciphers: options.ciphers }),
+      ...(options.prekey && { prekey: options.prekey })
+    };
+    return { ...record, signature: Buffer.from(this.sign(encodePublicKeyRecord(record))).toString('base64') };
+  }
+
+  /**
+   * Convert to a plain object for storage
+   * The object contains the private key and must be kept secret
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      address: this.address,
+      encryptionPrivateKey: Buffer.from(this.encryptionPrivateKey).toString('base64'),
+      signingPrivateKey: Buffer.from(this.signingPrivateKey).toString('base64')
+    };
+  }
+
+  /**
+   * Create an identity from a stored plain object
+   * @param {Object} data - Object returned by toObject
+   * @returns {WalletIdentity}
+   */
+  static fromObject(data) {
+    return new WalletIdentity({
+      address: data.address,
+      encryptionPrivateKey: new Uint8Array(Buffer.from(data.encryptionPrivateKey, 'base64')),
+      signingPrivateKey: new Uint8Array(Buffer.from(data.signingPrivateKey, 'base64'))
+    });
+  }
+}
+
+/**
+ * Load the identity of an address from a directory, generating it on first use
+ * Identities are stored unencrypted as <directory>/<address>.json and are meant
+ * for local development only. Files written before identities had a signing
+ * key are given one.
+ * @param {string} address - Wallet address
+ * @param {string} directory - Directory holding identity files
+ * @returns {Promise<WalletIdentity>} - The identity
+ */
+export async function loadOrCreateIdentity(address, directory) {
+  const filePath = path.join(directory, `${address}.json`);
+  let identity;
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (data.signingPrivateKey) {
+      return WalletIdentity.fromObject(data);
+    }
+    identity = WalletIdentity.fromObject({
+      ...data,
+      signingPrivateKey: Buffer.from(generateEd25519KeyPair().privateKey).toString('base64')
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    identity = WalletIdentity.generate(address);
+  }
+
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(identity.toObject(), null, 2), { mode: 0o600 });
+  return identity;
+}
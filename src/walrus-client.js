@@ -1,122 +1,186 @@
 /**
  * Walrus Client for decentralized storage operations
  * Handles blob storage and retrieval using Walrus network
+ * The actual transport is delegated to a storage backend (HTTP by default)
  */
 
-import https from 'https';
+import { Readable } from 'stream';
+import { HttpStorageBackend } from './http-storage-backend.js';
+import { BlobCache } from './blob-cache.js';
+import { normalizeStoreOptions } from './storage-policy.js';
+import { computeBlobDigest, verifyBlobDigest } from './blob-integrity.js';
+import { IntegrityError, ValidationError } from './errors.js';
+import { silentLogger } from './logger.js';
+import {
+  DEFAULT_CHUNK_OPTIONS,
+  splitIntoChunks,
+  createChunkManifest,
+  serializeChunkManifest,
+  parseChunkManifest
+} from './chunked-storage.js';
 
 export class WalrusClient {
-  constructor(config) {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} [config.aggregatorUrl] - Walrus aggregator URL (HTTP backend)
+   * @param {string} [config.publisherUrl] - Walrus publisher URL (HTTP backend)
+   * @param {string} [config.network] - Network name
+   * @param {Object} [config.tls] - TLS options for the HTTP backend (ca, caFile, pins, insecure)
+   * @param {StorageBackend} [config.backend] - Storage backend to use instead of HTTP
+   * @param {Object} [config.chunking] - Default chunking options (chunkSize, concurrency)
+   * @param {BlobCache|Object} [config.cache] - Blob cache, or options to create one (disabled if omitted)
+   * @param {Logger} [config.logger] - Logger (silent by default)
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || silentLogger;
     this.aggregatorUrl = config.aggregatorUrl;
     this.publisherUrl = config.publisherUrl;
     this.network = config.network || 'mainnet';
-    
-    // Create HTTPS agent that ignores SSL certificate errors for testnet
-    this.httpsAgent = new https.Agent({
-      rejectUnauthorized: false
-    });
+    this.backend = config.backend || new HttpStorageBackend(config);
+    this.chunking = { ...DEFAULT_CHUNK_OPTIONS, ...config.chunking };
+
+    // Blobs are immutable, so retrieved and stored blobs can be cached by ID
+    if (config.cache instanceof BlobCache) {
+      this.cache = config.cache;
+    } else {
+      this.cache = config.cache ? new BlobCache(config.cache) : null;
+    }
   }
 
   /**
    * Store a blob on Walrus network
    * @param {Uint8Array} data - The data to store
-   * @param {string} owner - The owner wallet address
-   * @returns {Promise<Object>} - Storage result with blob ID and metadata
+   * @param {Object|string} [options] - Store options, or the owner address for backwards compatibility
+   * @param {string} [options.owner] - The owner wallet address
+   * @param {number} [options.epochs] - Number of epochs to store the blob for
+   * @param {boolean} [options.deletable] - Store as a deletable blob
+   * @param {boolean} [options.permanent] - Store as a permanent blob
+   * @param {string} [options.sendObjectTo] - Address to transfer the Sui blob object to
+   * @returns {Promise<Object>} - Storage result with blob ID, content digest and metadata
    */
-  async storeBlob(data, owner) {
+  async storeBlob(data, options = {}) {
     try {
-      console.log(`Storing blob of size ${data.length} bytes for owner ${owner}`);
-      
-      // Create the storage request
-      const request = {
-        data: Array.from(data), // Convert to array for JSON serialization
-        owner: owner,
-        network: this.network
-      };
+      const storeOptions = normalizeStoreOptions(options);
+      const { owner } = storeOptions;
+      const startedAt = Date.now();
+      this.logger.debug('Storing blob', {
+        operation: 'storeBlob',
+        size: data.length,
+        owner,
+        epochs: storeOptions.epochs
+      });
 
-      // Send to Walrus publisher using PUT /v1/blobs as per Walrus API docs
-      const response = await fetch(`${this.publisherUrl}/v1/blobs`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/octet-stream',
-        },
-        body: data, // Send the raw data directly
-        agent: this.httpsAgent
+      const digest = computeBlobDigest(data);
+      const { blobId, suiObjectId, txDigest, endEpoch, response } = await this.backend.storeBlob(data, storeOptions);
+      this.verifyBlobId(blobId, data);
+
+      this.logger.info(response?.alreadyCertified ? 'Blob already certified' : 'Blob stored', {
+        operation: 'storeBlob',
+        blobId,
+        size: data.length,
+        suiObjectId,
+        txDigest,
+        endEpoch,
+        durationMs: Date.now() - startedAt
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to store blob: ${response.status} ${response.statusText}`);
+      if (this.cache && blobId) {
+        await this.cache.set(blobId, data);
       }
 
-      const result = await response.json();
-      let blobId, suiObjectId, txDigest;
-      if (result.newlyCreated) {
-        blobId = result.newlyCreated.blobObject?.blobId;
-        suiObjectId = result.newlyCreated.blobObject?.id;
-        txDigest = result.newlyCreated.event?.txDigest;
-        console.log(`Blob stored successfully!`);
-        console.log(`  Walrus Blob ID: ${blobId}`);
-        console.log(`  Sui Blob Object ID: ${suiObjectId}`);
-        if (txDigest) console.log(`  Sui Transaction Digest: ${txDigest}`);
-      } else if (result.alreadyCertified) {
-        blobId = result.alreadyCertified.blobId;
-        txDigest = result.alreadyCertified.event?.txDigest;
-        console.log(`Blob already certified!`);
-        console.log(`  Walrus Blob ID: ${blobId}`);
-        if (txDigest) console.log(`  Sui Transaction Digest: ${txDigest}`);
-      } else {
-        blobId = result.blobId;
-        console.log(`Blob stored, but could not extract Sui object or tx digest.`);
-      }
-      
       return {
         blobId: blobId,
         size: data.length,
+        digest,
         owner: owner,
+        epochs: storeOptions.epochs,
+        deletable: Boolean(storeOptions.deletable),
+        endEpoch,
+        sendObjectTo: storeOptions.sendObjectTo,
         timestamp: new Date().toISOString(),
         suiObjectId,
         txDigest,
-        response: result // Include full response for debugging
+        response // Include full response for debugging
       };
     } catch (error) {
-      console.error('Error storing blob:', error);
+      this.logger.error('Error storing blob', { operation: 'storeBlob', size: data.length, error });
       throw error;
     }
   }
 
   /**
    * Retrieve a blob from Walrus network
+   * Downloaded bytes are checked against the expected digest when one is given,
+   * and against the blob ID itself when the backend can compute blob IDs locally
    * @param {string} blobId - The blob ID to retrieve
+   * @param {Object} [options] - Retrieval options
+   * @param {string} [options.expectedDigest] - SHA-256 hex digest recorded when the blob was stored
    * @returns {Promise<Uint8Array>} - The retrieved data
+   * @throws {IntegrityError} - If the data does not match the digest or blob ID
    */
-  async retrieveBlob(blobId) {
+  async retrieveBlob(blobId, options = {}) {
+    const { expectedDigest } = options;
     try {
-      console.log(`Retrieving blob with ID: ${blobId}`);
-      
-      // Get blob from Walrus aggregator using GET /v1/blobs/<blobId> as per Walrus API docs
-      const response = await fetch(`${this.aggregatorUrl}/v1/blobs/${blobId}`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/octet-stream',
-        },
-        agent: this.httpsAgent
-      });
+      const startedAt = Date.now();
+      this.logger.debug('Retrieving blob', { operation: 'retrieveBlob', blobId });
 
-      if (!response.ok) {
-        throw new Error(`Failed to retrieve blob: ${response.status} ${response.statusText}`);
+      if (this.cache) {
+        const cached = await this.cache.get(blobId);
+        if (cached && (!expectedDigest || computeBlobDigest(cached) === expectedDigest)) {
+          this.logger.debug('Blob served from cache', { operation: 'retrieveBlob', blobId, size: cached.length });
+          return cached;
+        }
+        if (cached) {
+          // A corrupted cache entry must not mask a good copy on the network
+          this.logger.warn('Cached blob failed integrity check, refetching', { operation: 'retrieveBlob', blobId });
+          await this.cache.invalidate(blobId);
+        }
       }
 
-      const arrayBuffer = await response.arrayBuffer();
-      const data = new Uint8Array(arrayBuffer);
-      
-      console.log(`Blob retrieved successfully, size: ${data.length} bytes`);
+      const data = await this.backend.retrieveBlob(blobId);
+      this.verifyBlobId(blobId, data);
+      if (expectedDigest) {
+        verifyBlobDigest(blobId, data, expectedDigest);
+      }
+
+      if (this.cache) {
+        await this.cache.set(blobId, data);
+      }
+
+      this.logger.info('Blob retrieved', {
+        operation: 'retrieveBlob',
+        blobId,
+        size: data.length,
+        durationMs: Date.now() - startedAt
+      });
       return data;
     } catch (error) {
-      console.error('Error retrieving blob:', error);
+      this.logger.error('Error retrieving blob', { operation: 'retrieveBlob', blobId, error });
       throw error;
     }
   }
 
+  /**
+   * Check a blob ID against its content, when the backend can compute blob IDs locally
+   * Walrus blob IDs are derived from the erasure-coded slivers, so the HTTP backend
+   * cannot be checked this way; callers rely on the recorded digest instead
+   * @param {string} blobId - The reported or requested blob ID
+   * @param {Uint8Array} data - The blob data
+   * @throws {IntegrityError} - If the blob ID does not match the content
+   */
+  verifyBlobId(blobId, data) {
+    if (typeof this.backend.computeBlobId !== 'function') {
+      return;
+    }
+    const actual = this.backend.computeBlobId(data);
+    if (actual !== blobId) {
+      throw new IntegrityError(
+        `Blob ID mismatch: expected ${blobId}, content hashes to ${actual}`,
+        { details: { blobId, expected: blobId, actual } }
+      );
+    }
+  }
+
   /**
    * Get blob metadata
    * @param {string} blobId - The blob ID
@@ -124,22 +188,198 @@ export class WalrusClient {
    */
   async getBlobMetadata(blobId) {
     try {
-      const response = await fetch(`${this.aggregatorUrl}/v1/blobs/${blobId}/metadata`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        },
-        agent: this.httpsAgent
+      return await this.backend.getBlobMetadata(blobId);
+    } catch (error) {
+      this.logger.error('Error getting blob metadata', { operation: 'getBlobMetadata', blobId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the storage backend can extend blobs in place
+   * @returns {boolean} - True if extendBlob is supported
+   */
+  canExtendBlobs() {
+    return typeof this.backend.extendBlob === 'function';
+  }
+
+  /**
+   * Extend the storage duration of a stored blob
+   * @param {string} blobId - The blob ID
+   * @param {Object} options - Extension options
+   * @param {number} options.epochs - Number of epochs to add
+   * @returns {Promise<Object>} - The blob ID and its new end epoch
+   */
+  async extendBlob(blobId, options) {
+    try {
+      if (!this.canExtendBlobs()) {
+        throw new ValidationError(`${this.backend.constructor.name} does not support extending blobs`);
+      }
+
+      const result = await this.backend.extendBlob(blobId, options);
+      this.logger.info('Blob extended', {
+        operation: 'extendBlob',
+        blobId,
+        epochs: options.epochs,
+        endEpoch: result.endEpoch
       });
+      return result;
+    } catch (error) {
+      this.logger.error('Error extending blob', { operation: 'extendBlob', blobId, error });
+      throw error;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to get blob metadata: ${response.status} ${response.statusText}`);
+  /**
+   * Remove a blob from the local cache
+   * @param {string} blobId - The blob ID
+   * @returns {Promise<boolean>} - True if the blob was cached
+   */
+  async invalidateCache(blobId) {
+    return this.cache ? await this.cache.invalidate(blobId) : false;
+  }
+
+  /**
+   * Remove every blob from the local cache
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    if (this.cache) {
+      await this.cache.clear();
+    }
+  }
+
+  /**
+   * Get local cache statistics
+   * @returns {Object|null} - Cache statistics, or null if caching is disabled
+   */
+  getCacheStats() {
+    return this.cache ? this.cache.getStats() : null;
+  }
+
+  /**
+   * Store a large payload as several chunk blobs plus a manifest blob
+   * Chunks are uploaded concurrently; only `concurrency` chunks are held in memory
+   * @param {Uint8Array|AsyncIterable<Uint8Array>} source - The payload or a stream of it
+   * @param {Object|string} [options] - Store and chunking options, or the owner address
+   * @param {number} [options.chunkSize] - Chunk size in bytes
+   * @param {number} [options.concurrency] - Number of chunk uploads in flight
+   * @returns {Promise<Object>} - Storage result for the manifest blob
+   */
+  async storeBlobChunked(source, options = {}) {
+    const { chunkSize, concurrency, ...storeOptions } = {
+      ...this.chunking,
+      ...(typeof options === 'string' ? { owner: options } : options)
+    };
+    const { owner } = storeOptions;
+
+    try {
+      const startedAt = Date.now();
+      this.logger.debug('Storing chunked blob', { operation: 'storeBlobChunked', owner, chunkSize });
+
+      const chunks = [];
+      const inFlight = new Set();
+      let position = 0;
+
+      for await (const chunk of splitIntoChunks(source, chunkSize)) {
+        const index = position++;
+        const upload = this.storeBlob(chunk, storeOptions).then(result => {
+          chunks[index] = { blobId: result.blobId, size: chunk.length, sha256: result.digest };
+        });
+        inFlight.add(upload);
+        upload.then(() => inFlight.delete(upload), () => {});
+
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight);
+        }
       }
+      await Promise.all(inFlight);
 
-      return await response.json();
+      const manifest = createChunkManifest(chunks, chunkSize);
+      const manifestResult = await this.storeBlob(serializeChunkManifest(manifest), storeOptions);
+
+      this.logger.info('Chunked blob stored', {
+        operation: 'storeBlobChunked',
+        blobId: manifestResult.blobId,
+        chunkCount: chunks.length,
+        size: manifest.size,
+        durationMs: Date.now() - startedAt
+      });
+
+      return {
+        ...manifestResult,
+        size: manifest.size,
+        chunked: true,
+        chunkCount: chunks.length,
+        manifest
+      };
     } catch (error) {
-      console.error('Error getting blob metadata:', error);
+      this.logger.error('Error storing chunked blob', { operation: 'storeBlobChunked', error });
       throw error;
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Retrieve a blob as a Node stream
+   * Manifest blobs written by storeBlobChunked are reassembled chunk by chunk,
+   * prefetching up to `concurrency` chunks; any other blob is streamed as-is
+   * @param {string} blobId - The blob ID (manifest or plain blob)
+   * @param {Object} options - Retrieval options
+   * @param {number} [options.concurrency] - Number of chunk downloads in flight
+   * @param {string} [options.expectedDigest] - Recorded digest of the manifest (or plain) blob
+   * @returns {Promise<Readable>} - Stream of the blob contents
+   */
+  async retrieveBlobStream(blobId, options = {}) {
+    const { concurrency, expectedDigest } = { ...this.chunking, ...options };
+
+    const data = await this.retrieveBlob(blobId, { expectedDigest });
+    const manifest = parseChunkManifest(data);
+    if (!manifest) {
+      return Readable.from([Buffer.from(data.buffer, data.byteOffset, data.length)]);
+    }
+
+    this.logger.debug('Streaming chunked blob', {
+      operation: 'retrieveBlobStream',
+      blobId,
+      chunkCount: manifest.chunks.length,
+      size: manifest.size
+    });
+
+    const fetchChunk = async (chunk, index) => {
+      const chunkData = await this.retrieveBlob(chunk.blobId, { expectedDigest: chunk.sha256 });
+      if (chunkData.length !== chunk.size) {
+        throw new IntegrityError(
+          `Chunk ${index} (${chunk.blobId}) of blob ${blobId} has ${chunkData.length} bytes, expected ${chunk.size}`,
+          { details: { blobId: chunk.blobId, expected: chunk.size, actual: chunkData.length } }
+        );
+      }
+      return chunkData;
+    };
+
+    async function* readChunks() {
+      const pending = [];
+      let next = 0;
+
+      const schedule = () => {
+        const download = fetchChunk(manifest.chunks[next], next);
+        download.catch(() => {}); // Surfaced when awaited below
+        pending.push(download);
+        next++;
+      };
+
+      while (next < manifest.chunks.length && pending.length < concurrency) {
+        schedule();
+      }
+
+      while (pending.length > 0) {
+        const chunkData = await pending.shift();
+        if (next < manifest.chunks.length) {
+          schedule();
+        }
+        yield Buffer.from(chunkData.buffer, chunkData.byteOffset, chunkData.length);
+      }
+    }
+
+    return Readable.from(readChunks());
+  }
+}
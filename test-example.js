@@ -7,6 +7,8 @@
 
 import dotenv from 'dotenv';
 import { EncryptionService } from './src/encryption-service.js';
+import { WalletIdentity } from './src/wallet-identity.js';
+import { LocalKeyDirectory } from './src/key-directory.js';
 
 // Load environment variables
 dotenv.config();
@@ -58,8 +60,6 @@ async function testEncryption() {
   console.log('🔐 Testing Encryption Service...');
   console.log('=====================================');
   
-  const encryptionService = new EncryptionService();
-  
   try {
     // Test message
     const originalMessage = "Hello! This is a test message for Walrus encrypted messaging! 🔐";
@@ -72,6 +72,15 @@ async function testEncryption() {
     console.log(`📤 Using sender: ${senderAddress}`);
     console.log(`📥 Using receiver: ${receiverAddress}`);
     
+    // Throwaway key pairs for both wallets
+    const senderIdentity = WalletIdentity.generate(senderAddress);
+    const receiverIdentity = WalletIdentity.generate(receiverAddress);
+    const keyDirectory = new LocalKeyDirectory();
+    const encryptionService = new EncryptionService({ identities: [senderIdentity], keyDirectory });
+    const receiverEncryptionService = new EncryptionService({ identities: [receiverIdentity], keyDirectory });
+    await encryptionService.publishPublicKeys(senderAddress);
+    await receiverEncryptionService.publishPublicKeys(receiverAddress);
+    
     // Encrypt the message
     console.log('\n🔒 Encrypting message...');
     const encryptedData = await encryptionService.encryptMessage(
@@ -82,9 +91,9 @@ async function testEncryption() {
     
     console.log('✅ Message encrypted successfully!');
     console.log(`📤 Sender: ${encryptedData.sender}`);
-    console.log(`📥 Recipient: ${encryptedData.recipient}`);
+    console.log(`📥 Recipients: ${encryptedData.recipients.join(', ')}`);
     console.log(`📅 Timestamp: ${encryptedData.timestamp}`);
-    console.log(`🔑 Sealed key length: ${encryptedData.sealedKey.length} bytes`);
+    console.log(`🔑 Wrapped key length: ${encryptedData.wrappedKeys[0].length} bytes per recipient`);
     console.log(`📦 Encrypted message length: ${encryptedData.encryptedMessage.length} bytes`);
     
     // Serialize for storage simulation
@@ -100,32 +109,49 @@ async function testEncryption() {
     // Verify data integrity
     const isIntegrityValid = 
       encryptedData.sender === deserializedData.sender &&
-      encryptedData.recipient === deserializedData.recipient &&
+      encryptedData.recipients.join() === deserializedData.recipients.join() &&
       encryptedData.timestamp === deserializedData.timestamp &&
       encryptedData.encryptedMessage.length === deserializedData.encryptedMessage.length &&
-      encryptedData.sealedKey.length === deserializedData.sealedKey.length;
+      encryptedData.wrappedKeys.length === deserializedData.wrappedKeys.length;
     
     console.log(`🔍 Data integrity check: ${isIntegrityValid ? '✅ PASSED' : '❌ FAILED'}`);
     
-    // Simulate decryption (in real app, this would use recipient's private key)
-    console.log('\n🔓 Simulating decryption...');
-    console.log('⚠️  Note: In a real implementation, decryption would require the recipient\'s private key');
-    console.log('⚠️  This is a simplified simulation for demonstration purposes');
+    // Decrypt with the receiver's private key
+    console.log('\n🔓 Decrypting as the receiver...');
+    const { message: decryptedMessage, verification } = await receiverEncryptionService.openMessage(
+      deserializedData,
+      receiverAddress,
+      senderAddress
+    );
+    console.log(`🔍 Round trip check: ${decryptedMessage === originalMessage ? '✅ PASSED' : '❌ FAILED'}`);
+    console.log(`🔏 Sender signature: ${verification.status} (${verification.reason})`);
+    
+    // Claiming to be someone else breaks the sender's signature
+    console.log('\n🚫 Decrypting with a forged sender...');
+    try {
+      await receiverEncryptionService.decryptMessage({ ...deserializedData, sender: receiverAddress }, receiverAddress, receiverAddress);
+      console.log('❌ Forged sender was accepted');
+    } catch (error) {
+      console.log(`✅ Rejected: ${error.message}`);
+    }
     
-    // For demonstration, we'll show what the decryption process would look like
-    console.log('\n📋 Decryption process would involve:');
-    console.log('1. Using recipient\'s private key to unseal the encryption key');
-    console.log('2. Using the unsealed key to decrypt the message');
-    console.log('3. Verifying sender and recipient addresses');
-    console.log('4. Returning the original message');
+    // Rewriting the recipient field does not help anyone else unwrap the content key
+    console.log('\n🚫 Decrypting with the sender\'s key instead...');
+    try {
+      await encryptionService.decryptMessage({ ...deserializedData, recipients: [senderAddress] }, senderAddress, senderAddress);
+      console.log('❌ Message was readable without the receiver\'s key');
+    } catch (error) {
+      console.log(`✅ Rejected: ${error.message}`);
+    }
     
     console.log('\n🎉 Encryption test completed successfully!');
     console.log('\n📚 What was demonstrated:');
-    console.log('✅ Message encryption with @mysten/seal');
-    console.log('✅ Recipient-specific key sealing');
+    console.log('✅ Message encryption with AES-GCM');
+    console.log('✅ Content key wrapped to the receiver\'s X25519 key');
     console.log('✅ Data serialization for storage');
     console.log('✅ Data integrity verification');
-    console.log('✅ Decryption process overview');
+    console.log('✅ Decryption with the receiver\'s private key');
+    console.log('✅ Sender signature verification');
     
   } catch (error) {
     console.error('❌ Encryption test failed:', error.message);
@@ -140,20 +166,18 @@ async function testKeyGeneration() {
   const encryptionService = new EncryptionService();
   
   try {
-    // Generate a key
-    console.log('🔑 Generating encryption key...');
-    const key = await encryptionService.generateKey();
-    console.log('✅ Key generated successfully!');
-    
-    // Export key
-    console.log('📤 Exporting key to bytes...');
-    const keyBytes = await encryptionService.exportKey(key);
-    console.log(`📏 Key size: ${keyBytes.length} bytes`);
-    
-    // Import key
-    console.log('📥 Importing key from bytes...');
-    const importedKey = await encryptionService.importKey(keyBytes);
-    console.log('✅ Key imported successfully!');
+    // Content keys come from the cipher the registry negotiates
+    console.log('🔑 Generating a content key...');
+    const cipher = encryptionService.ciphers.negotiate([]);
+    const key = crypto.getRandomValues(new Uint8Array(cipher.keyLength));
+    console.log(`✅ Key generated for ${cipher.name}!`);
+    console.log(`📏 Key size: ${key.length} bytes`);
+    
+    // Round trip through the cipher with the new key
+    const iv = crypto.getRandomValues(new Uint8Array(cipher.ivLength));
+    const plaintext = new TextEncoder().encode('key check');
+    const decrypted = await cipher.decrypt(key, iv, await cipher.encrypt(key, iv, plaintext));
+    console.log(`🔍 Round trip check: ${Buffer.from(decrypted).equals(Buffer.from(plaintext)) ? '✅ PASSED' : '❌ FAILED'}`);
     
     console.log('🎉 Key generation test completed!');
     